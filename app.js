@@ -4,7 +4,7 @@
 // registrations, history of entries, bitácora, and a simple administration panel.
 
 (function () {
-  const { useState, useEffect, useMemo } = React;
+  const { useState, useEffect, useMemo, useRef } = React;
 
   /*
    * IndexedDB helper functions
@@ -22,10 +22,32 @@
       // Bump the database version to 2 to accommodate schema changes such
       // as adjusting index constraints. Existing databases at version 1
       // will trigger onupgradeneeded and perform the necessary updates.
-      const request = indexedDB.open('access_control_db', 2);
+      // Version 3 replaces plaintext guard passwords with PBKDF2 hashes.
+      // Version 4 indexes pedestrians by codigoUnico to pair visits.
+      // Version 5 adds the lista_negra (watchlist) store.
+      // Version 6 adds the pendientes_sync outbox for Firestore replication.
+      // Version 7 indexes replicated stores by their Firestore document id.
+      // Version 8 gives every replicated record a global uid that is also
+      // its Firestore document id, replacing remoteId.
+      // Version 9 adds the fotos store for compressed photo Blobs.
+      // Version 10 adds [placa, fecha] and [destino, fecha] indexes so the
+      // history can page through one plate or destination by date.
+      // Version 11 added a perfiles_recientes autocomplete cache.
+      // Version 12 replaces it with the visitantes and vehiculos_registrados
+      // profile stores, which access records point at.
+      // Version 13 replaces the version 10 indexes with [placaNorm, fecha]
+      // and [destinoNorm, fecha] over normalised copies of the plate and
+      // destination, so those filters ignore case and match prefixes.
+      const request = indexedDB.open('access_control_db', 13);
       request.onupgradeneeded = function (event) {
         const db = event.target.result;
         const txn = event.target.transaction;
+        // Create an index on an existing store unless it is already there
+        function ensureIndex(store, name, keyPath) {
+          if (!store.indexNames.contains(name)) {
+            store.createIndex(name, keyPath, { unique: false });
+          }
+        }
         // Create missing stores
         if (!db.objectStoreNames.contains('vehiculos')) {
           const vehiculos = db.createObjectStore('vehiculos', { keyPath: 'id', autoIncrement: true });
@@ -62,9 +84,105 @@
           }
           directorios.createIndex('destino', 'destino', { unique: false });
         }
+        if (event.oldVersion < 4) {
+          ensureIndex(txn.objectStore('peatones'), 'codigoUnico', 'codigoUnico');
+        }
+        if (!db.objectStoreNames.contains('lista_negra')) {
+          // Watchlist entries are looked up by kind and normalised value
+          const listaNegra = db.createObjectStore('lista_negra', { keyPath: 'id', autoIncrement: true });
+          listaNegra.createIndex('clave', ['tipo', 'clave'], { unique: false });
+        }
+        if (!db.objectStoreNames.contains('pendientes_sync')) {
+          // Outbox of local changes waiting to reach Firestore, in order
+          db.createObjectStore('pendientes_sync', { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains('fotos')) {
+          // Photo Blobs keyed by the SHA-256 of their bytes
+          db.createObjectStore('fotos', { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains('visitantes')) {
+          // Visitor profiles; built from the history by migrateProfiles()
+          const visitantes = db.createObjectStore('visitantes', { keyPath: 'id', autoIncrement: true });
+          visitantes.createIndex('uid', 'uid', { unique: false });
+          visitantes.createIndex('nombreNorm', 'nombreNorm', { unique: false });
+          visitantes.createIndex('codigoUnico', 'codigoUnico', { unique: false });
+        }
+        if (!db.objectStoreNames.contains('vehiculos_registrados')) {
+          const registrados = db.createObjectStore('vehiculos_registrados', { keyPath: 'id', autoIncrement: true });
+          registrados.createIndex('uid', 'uid', { unique: false });
+          registrados.createIndex('placaNorm', 'placaNorm', { unique: false });
+        }
+        // Nothing creates the version 11 cache any more; only devices
+        // that ran that version still have it
+        if (db.objectStoreNames.contains('perfiles_recientes')) {
+          db.deleteObjectStore('perfiles_recientes');
+        }
+        if (event.oldVersion < 12) {
+          ensureIndex(txn.objectStore('vehiculos'), 'vehiculoUid', 'vehiculoUid');
+          ensureIndex(txn.objectStore('peatones'), 'visitanteUid', 'visitanteUid');
+        }
+        // Existing records are rewritten by a single cursor per store
+        // that applies every step below, so that one step's update
+        // cannot overwrite another's
+        const rewrites = [];
+        if (event.oldVersion < 8) {
+          REPLICATED_STORES.forEach(name => {
+            const store = txn.objectStore(name);
+            if (store.indexNames.contains('remoteId')) store.deleteIndex('remoteId');
+            ensureIndex(store, 'uid', 'uid');
+          });
+          // Records already in Firestore keep their document id
+          rewrites.push((name, record) => {
+            if (record.uid) return record;
+            const { remoteId, ...rest } = record;
+            return Object.assign(rest, { uid: remoteId || newUid() });
+          });
+        }
+        if (event.oldVersion < 13) {
+          ['vehiculos', 'peatones'].forEach(name => {
+            const store = txn.objectStore(name);
+            ['placa_fecha', 'destino_fecha'].forEach(index => {
+              if (store.indexNames.contains(index)) store.deleteIndex(index);
+            });
+            if (name === 'vehiculos') ensureIndex(store, 'placaNorm_fecha', ['placaNorm', 'fecha']);
+            ensureIndex(store, 'destinoNorm_fecha', ['destinoNorm', 'fecha']);
+          });
+          rewrites.push(withHistoryKeys);
+        }
+        if (rewrites.length > 0) {
+          REPLICATED_STORES.forEach(name => {
+            txn.objectStore(name).openCursor().onsuccess = function (e) {
+              const cursor = e.target.result;
+              if (!cursor) return;
+              const updated = rewrites.reduce((record, rewrite) => rewrite(name, record), cursor.value);
+              if (updated !== cursor.value) cursor.update(updated);
+              cursor.continue();
+            };
+          });
+        }
       };
       request.onsuccess = function (event) {
-        resolve(event.target.result);
+        const db = event.target.result;
+        // Photo conversion can take a while, so it runs in the background.
+        // Both migrations rewrite access records, so they run in turn.
+        migrateInlinePhotos(db)
+          .catch(err => {
+            console.error('Error migrando fotografías', err);
+          })
+          .then(() => migrateProfiles(db))
+          .catch(err => {
+            console.error('Error creando perfiles de visitantes', err);
+          });
+        // Plaintext passwords are hashed on every start, not only when
+        // upgrading from version 2: guards can also arrive from a booth
+        // still running an old version, and a failed run is retried.
+        // WebCrypto is asynchronous and would let the versionchange
+        // transaction auto-commit, so this cannot run in the upgrade.
+        migratePlaintextPasswords(db)
+          .catch(err => {
+            console.error('Error migrando contraseñas de guardias', err);
+          })
+          .then(() => resolve(db));
       };
       request.onerror = function (event) {
         reject(event.target.error);
@@ -72,102 +190,368 @@
     });
   }
 
-  // Vehiculos operations
+  /*
+   * Firestore replication layer
+   *
+   * Every insert, update and delete on a replicated store is mirrored to
+   * a Firestore collection of the same name when the global `firestore`
+   * object exists (see connectFirestore() below). Every
+   * record gets a random `uid` when it is created, which is also the id
+   * of its Firestore document, so pushing the same change twice (a
+   * retry, an edit, an import) always lands on the same document. Each
+   * document also carries the device id of the booth that created it as
+   * `origen` and, for that booth, the local key as `indexedDbId`.
+   *
+   * Changes are not sent directly. Write helpers add an entry to the
+   * pendientes_sync store inside the same transaction as the local
+   * write, so a change is either saved together with its outbox entry
+   * or not at all. Changes are queued even while replication is off or
+   * the Firebase SDK failed to load, so nothing made before the booth
+   * gets connected is lost. flushOutbox() then pushes the queue in order
+   * once a Firestore instance is available; a
+   * failed entry stays in the queue and is retried with exponential
+   * backoff, and the entries behind it wait so that an update can never
+   * overtake the insert it depends on. The queue is flushed after every
+   * write, periodically, and as soon as the browser comes back online.
+   *
+   * The pull side (startRemotePull) listens to every replicated
+   * collection and merges documents written by other booths into the
+   * local stores. Conflicts are resolved by last writer wins: every
+   * write stamps the record with `actualizado` (ms since the epoch) and
+   * a version only replaces another one with an older stamp, both when
+   * pulling and when pushing. Deletes are replicated as tombstones
+   * (`eliminado: true`) rather than removed documents, so a booth that
+   * was offline still learns about them.
+   *
+   * flushOutbox() accepts any object implementing the subset of the
+   * Firestore v8 API used below, so it can run against the Firestore
+   * emulator (firestore.useEmulator) or a local stub assigned to
+   * `window.firestore` before app.js loads.
+   *
+   * Imports (applyImport) only insert and update, queueing those
+   * changes like any other write; they never delete, so an import on
+   * one booth cannot wipe the shared dataset.
+   */
+  const REPLICATED_STORES = ['vehiculos', 'peatones', 'bitacora', 'guardias', 'directorios', 'lista_negra', 'visitantes', 'vehiculos_registrados'];
+  const SYNC_STORE = 'pendientes_sync';
+  const SYNC_RETRY_BASE_MS = 5000;
+  const SYNC_RETRY_MAX_MS = 10 * 60 * 1000;
+  const SYNC_INTERVAL_MS = 30000;
+
+  function getFirestore() {
+    if (typeof window !== 'undefined' && window.firestore && typeof window.firestore.collection === 'function') {
+      return window.firestore;
+    }
+    return null;
+  }
+
+  /*
+   * Runtime Firebase configuration. An administrator pastes the config
+   * object of the Firebase project (and optionally the host of a
+   * Firestore emulator) in the administration panel; both are kept in
+   * localStorage and Firestore is initialised from them when the app
+   * starts or the settings change, so index.html never has to be edited.
+   */
+  const FIREBASE_CONFIG_KEY = 'firebase_config';
+  const FIREBASE_EMULATOR_KEY = 'firebase_emulador';
+  const FIREBASE_REQUIRED_FIELDS = ['apiKey', 'projectId', 'appId'];
+  const FIREBASE_TEST_TIMEOUT_MS = 10000;
+
   /**
-   * Insert a new vehicle record into IndexedDB. In addition to saving
-   * locally, this helper will also attempt to replicate the record to
-   * a remote Firestore collection if the global `firestore` object
-   * exists (see index.html for Firebase initialization). The Firestore
-   * replication is intentionally fire‑and‑forget: any errors during
-   * the network request are logged to the console but do not block
-   * the local write.
+   * Parse and validate a Firebase config. Accepts plain JSON as well as
+   * the JavaScript snippet shown by the Firebase console
+   * (`const firebaseConfig = { apiKey: "...", ... };`).
    *
-   * @param {IDBDatabase} db    An open IndexedDB instance.
-   * @param {Object}      record The vehicle record to store. This may
-   *                            include additional fields such as
-   *                            `registroTipo`, `razonBloqueo` and photo
-   *                            data URLs.
-   * @returns {Promise<number>} A promise that resolves with the
-   *                            auto‑generated record ID.
+   * @param {string} text The pasted configuration.
+   * @returns {Object} The config object.
+   * @throws {Error} With a message for the administrator when invalid.
    */
-  function addVehiculo(db, record) {
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction('vehiculos', 'readwrite');
-      const store = tx.objectStore('vehiculos');
-      const req = store.add(record);
-      req.onsuccess = function (e) {
-        const id = e.target.result;
-        // Replicate to Firestore if available
-        if (typeof window !== 'undefined' && window.firestore && typeof window.firestore.collection === 'function') {
-          // Use a shallow copy so we don't accidentally mutate the original record
-          const copy = Object.assign({}, record, { indexedDbId: id });
-          try {
-            window.firestore.collection('vehiculos').add(copy).catch(err => {
-              console.error('Error replicando vehículo a Firestore', err);
-            });
-          } catch (err) {
-            console.error('Error iniciando replicación a Firestore', err);
-          }
-        }
-        resolve(id);
-      };
-      req.onerror = function (e) {
-        reject(e.target.error);
-      };
-    });
+  function parseFirebaseConfig(text) {
+    const raw = String(text || '').trim();
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+      throw new Error('No se encontró un objeto de configuración entre llaves');
+    }
+    // Quote bare keys, turn single quotes into double quotes and drop
+    // trailing commas so the console snippet becomes valid JSON
+    const json = raw.slice(start, end + 1)
+      .replace(/([{,]\s*)([A-Za-z_$][\w$]*)\s*:/g, '$1"$2":')
+      .replace(/'([^'\\]*)'/g, '"$1"')
+      .replace(/,\s*}/g, '}');
+    let config;
+    try {
+      config = JSON.parse(json);
+    } catch (err) {
+      throw new Error('La configuración no tiene un formato válido');
+    }
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw new Error('La configuración debe ser un objeto');
+    }
+    for (const field of FIREBASE_REQUIRED_FIELDS) {
+      const value = config[field];
+      if (typeof value !== 'string' || !value.trim() || value.startsWith('YOUR_')) {
+        throw new Error(`Falta el campo "${field}" de la configuración`);
+      }
+    }
+    return config;
   }
-  function getAllVehiculos(db) {
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction('vehiculos', 'readonly');
-      const store = tx.objectStore('vehiculos');
-      const req = store.getAll();
-      req.onsuccess = function (e) {
-        resolve(e.target.result || []);
-      };
-      req.onerror = function (e) {
-        reject(e.target.error);
+
+  /**
+   * Parse an emulator host written as `host:puerto`.
+   *
+   * @param {string} text
+   * @returns {{host: string, port: number}|null} null when empty.
+   */
+  function parseEmulatorHost(text) {
+    const raw = String(text || '').trim();
+    if (!raw) return null;
+    const match = raw.match(/^([^\s:/]+):(\d{1,5})$/);
+    if (!match) {
+      throw new Error('El emulador debe escribirse como host:puerto, por ejemplo localhost:8080');
+    }
+    return { host: match[1], port: Number(match[2]) };
+  }
+
+  function getFirebaseSettings() {
+    let config = null;
+    try {
+      config = JSON.parse(localStorage.getItem(FIREBASE_CONFIG_KEY) || 'null');
+    } catch (err) {
+      console.warn('No se pudo leer la configuración de Firebase', err);
+    }
+    return { config, emulador: localStorage.getItem(FIREBASE_EMULATOR_KEY) || '' };
+  }
+  function saveFirebaseSettings(config, emulador) {
+    if (config) {
+      localStorage.setItem(FIREBASE_CONFIG_KEY, JSON.stringify(config));
+    } else {
+      localStorage.removeItem(FIREBASE_CONFIG_KEY);
+    }
+    if (emulador) {
+      localStorage.setItem(FIREBASE_EMULATOR_KEY, emulador);
+    } else {
+      localStorage.removeItem(FIREBASE_EMULATOR_KEY);
+    }
+  }
+
+  /*
+   * The Firebase app created from the stored settings. Components follow
+   * the connection through useFirestoreConnection(); the App restarts
+   * the push and pull loops whenever it changes.
+   */
+  let firebaseApp = null;
+  let firestoreConnection = { proyecto: '', emulador: '' };
+  const firestoreListeners = new Set();
+  function setFirestoreConnection(connection) {
+    firestoreConnection = connection;
+    firestoreListeners.forEach(listener => listener(connection));
+  }
+
+  function createFirestore(config, emulador, appName) {
+    if (typeof firebase === 'undefined' || typeof firebase.initializeApp !== 'function') {
+      throw new Error('El SDK de Firebase no está cargado');
+    }
+    const host = parseEmulatorHost(emulador);
+    const app = firebase.initializeApp(config, appName);
+    const firestore = app.firestore();
+    // Must happen before the first request
+    if (host) firestore.useEmulator(host.host, host.port);
+    return { app, firestore };
+  }
+
+  /**
+   * Replace the current Firestore connection with one built from the
+   * given settings, or disconnect when `config` is null.
+   *
+   * @param {Object|null} config   Firebase config object.
+   * @param {string}      emulador Optional `host:puerto` of an emulator.
+   */
+  async function connectFirestore(config, emulador) {
+    // The old instance stays in window.firestore until it is replaced,
+    // so changes made meanwhile are still queued
+    if (firebaseApp) {
+      const previous = firebaseApp;
+      firebaseApp = null;
+      await previous.delete();
+    }
+    if (!config) {
+      window.firestore = null;
+      setFirestoreConnection({ proyecto: '', emulador: '' });
+      return;
+    }
+    const { app, firestore } = createFirestore(config, emulador, 'caseta');
+    firebaseApp = app;
+    window.firestore = firestore;
+    updateSyncStatus({ ultimoError: '' });
+    setFirestoreConnection({ proyecto: config.projectId, emulador: emulador || '' });
+  }
+
+  /**
+   * Connect with the settings saved in localStorage, if any. Without
+   * saved settings `window.firestore` is left alone, so a stub assigned
+   * before app.js loads keeps working.
+   */
+  function connectFirestoreFromSettings() {
+    const { config, emulador } = getFirebaseSettings();
+    if (!config) return Promise.resolve();
+    return connectFirestore(config, emulador);
+  }
+
+  /**
+   * Check that a configuration reaches Firestore by reading one document
+   * from the server, using a temporary Firebase app so the current
+   * connection is not disturbed.
+   *
+   * @returns {Promise<void>} Rejects with the reason of the failure.
+   */
+  async function testFirestoreConnection(config, emulador) {
+    const { app, firestore } = createFirestore(config, emulador, 'prueba-' + Date.now());
+    let timer = null;
+    try {
+      const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Tiempo de espera agotado')), FIREBASE_TEST_TIMEOUT_MS);
+      });
+      await Promise.race([firestore.collection('guardias').limit(1).get({ source: 'server' }), timeout]);
+    } finally {
+      clearTimeout(timer);
+      await app.delete();
+    }
+  }
+
+  /**
+   * Hook returning the current Firestore connection
+   * ({ proyecto, emulador }) and re‑rendering when it changes.
+   */
+  function useFirestoreConnection() {
+    const [connection, setConnection] = useState(firestoreConnection);
+    useEffect(() => {
+      firestoreListeners.add(setConnection);
+      return () => {
+        firestoreListeners.delete(setConnection);
       };
+    }, []);
+    return connection;
+  }
+
+  /**
+   * Random RFC 4122 version 4 UUID. crypto.randomUUID is only available
+   * in secure contexts, so fall back to getRandomValues elsewhere.
+   */
+  function newUid() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  /**
+   * Random identifier of this browser installation, created on first
+   * use and kept in localStorage. Stored in every document this booth
+   * writes so its own changes can be told apart when they come back.
+   */
+  function getDeviceId() {
+    let id = localStorage.getItem('dispositivo_id');
+    if (!id) {
+      id = newUid();
+      localStorage.setItem('dispositivo_id', id);
+    }
+    return id;
+  }
+
+  /**
+   * Copy of a new record with its global uid. Records that already have
+   * one (restored from a backup or pulled from Firestore) keep it.
+   */
+  function withUid(record) {
+    if (record.uid) return Object.assign({}, record);
+    // Backups taken while remoteId existed carry the document id there
+    const { remoteId, ...rest } = record;
+    return Object.assign(rest, { uid: remoteId || newUid() });
+  }
+
+  /**
+   * Copy of a record stamped with the time of the local change, used by
+   * the last‑writer‑wins rule.
+   */
+  function stampUpdated(record) {
+    return Object.assign({}, record, { actualizado: Date.now() });
+  }
+
+  // Fields that only make sense on this device or inside Firestore
+  const LOCAL_ONLY_FIELDS = ['id'];
+  const REMOTE_ONLY_FIELDS = ['indexedDbId', 'modificadoPor', 'eliminado', 'subido'];
+  // Local keys of other records; only meaningful on the booth that
+  // created the record, so they are never copied between booths.
+  const LINK_FIELDS = ['entradaId', 'salidaId'];
+
+  /**
+   * Queue one local change for replication. Must be called with the
+   * readwrite transaction that performs the change, which therefore has
+   * to include SYNC_STORE. Changes are queued whether or not Firestore
+   * is connected; flushOutbox() waits for a connection.
+   *
+   * @param {IDBTransaction} tx  The transaction of the local write.
+   * @param {string} storeName   Name of the object store (and collection).
+   * @param {'insert'|'update'|'delete'} op The kind of change.
+   * @param {number} id          The IndexedDB key of the record.
+   * @param {Object} [record]    The stored record. For deletes, the
+   *                             record as it was before removal.
+   */
+  function enqueueChange(tx, storeName, op, id, record) {
+    if (!REPLICATED_STORES.includes(storeName)) return;
+    tx.objectStore(SYNC_STORE).add({
+      storeName,
+      op,
+      recordId: id,
+      record: record ? Object.assign({}, record) : null,
+      creado: Date.now(),
+      intentos: 0,
+      siguienteIntento: 0,
+      ultimoError: ''
     });
   }
-  function suggestVehiculos(db, prefix) {
+
+  /**
+   * Queue every record of the replicated stores, e.g. when replication
+   * is switched on for a device that already holds data. Documents are
+   * addressed by uid, so records already in Firestore are not duplicated.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @returns {Promise<number>} Number of records queued.
+   */
+  async function enqueueAllRecords(db) {
+    let total = 0;
+    for (const storeName of REPLICATED_STORES) {
+      total += await new Promise((resolve, reject) => {
+        const tx = db.transaction([storeName, SYNC_STORE], 'readwrite');
+        const req = tx.objectStore(storeName).getAll();
+        let count = 0;
+        req.onsuccess = function (e) {
+          const records = e.target.result || [];
+          records.forEach(record => enqueueChange(tx, storeName, 'update', record.id, record));
+          count = records.length;
+        };
+        tx.oncomplete = function () {
+          resolve(count);
+        };
+        tx.onerror = function (e) {
+          reject(e.target.error);
+        };
+      });
+    }
+    scheduleOutboxFlush(db);
+    return total;
+  }
+
+  function getStoreRecord(db, storeName, id) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('vehiculos', 'readonly');
-      const store = tx.objectStore('vehiculos');
-      const req = store.getAll();
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).get(id);
       req.onsuccess = function (e) {
-        const items = e.target.result || [];
-        const upper = (prefix || '').toUpperCase();
-        // Filter by prefix and sort by descending ID (most recent first)
-        const sorted = items
-          .filter(item => (item.placa || '').toUpperCase().startsWith(upper))
-          .sort((a, b) => b.id - a.id);
-        // Deduplicate plates: keep only the latest entry for each unique plate
-        const seen = new Set();
-        const deduped = [];
-        for (const item of sorted) {
-          const plateKey = (item.placa || '').toUpperCase();
-          if (!seen.has(plateKey)) {
-            seen.add(plateKey);
-            deduped.push(item);
-          }
-          if (deduped.length >= 5) break;
-        }
-        const filtered = deduped.map(item => {
-          return {
-            placa: item.placa,
-            nombre: item.nombre,
-            motivo: item.motivo,
-            modelo: item.modelo,
-            color: item.color,
-            destino: item.destino,
-            registroTipo: item.registroTipo || '',
-            razonBloqueo: item.razonBloqueo || '',
-            fotoVehiculo: item.fotoVehiculo || '',
-            fotoIdentificacion: item.fotoIdentificacion || '',
-            fotoPersona: item.fotoPersona || ''
-          };
-        });
-        resolve(filtered);
+        resolve(e.target.result || null);
       };
       req.onerror = function (e) {
         reject(e.target.error);
@@ -176,99 +560,131 @@
   }
 
   /**
-   * Suggest pedestrian records based on a prefix of the name. This helper
-   * retrieves all pedestrian entries from IndexedDB, filters them by the
-   * provided prefix and sorts the results by descending ID so that the
-   * most recent record for each unique visitor is returned first. It
-   * deduplicates by visitor name (case‑insensitive) and returns at
-   * most five suggestions. Each suggestion includes the same fields as
-   * the full record, allowing the caller to prefill form values.
+   * Delete a record from a replicated store. The record is read first in
+   * the same transaction so the queued delete knows which Firestore
+   * document to turn into a tombstone.
    *
-   * @param {IDBDatabase} db    An open IndexedDB instance.
-   * @param {string}      prefix The prefix to filter names by.
-   * @returns {Promise<Array>}   A promise resolving with an array of
-   *                             suggestion objects.
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName The object store.
+   * @param {number}      id        Key of the record to delete.
    */
-  function suggestPeatones(db, prefix) {
+  function deleteStoreRecord(db, storeName, id) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('peatones', 'readonly');
-      const store = tx.objectStore('peatones');
-      const req = store.getAll();
-      req.onsuccess = function (e) {
-        const items = e.target.result || [];
-        const termLower = (prefix || '').toLowerCase();
-        // Filter by prefix on either the name or the unique code. Codes
-        // are compared as strings to support leading zeros (e.g. "01").
-        const sorted = items
-          .filter(item => {
-            const nameMatch = (item.nombre || '').toLowerCase().startsWith(termLower);
-            const codeMatch = String(item.codigoUnico || '').toLowerCase().startsWith(termLower);
-            return nameMatch || codeMatch;
-          })
-          .sort((a, b) => b.id - a.id);
-        // Deduplicate by name
-        const seen = new Set();
-        const deduped = [];
-        for (const item of sorted) {
-          const key = (item.nombre || '').toLowerCase();
-          if (!seen.has(key)) {
-            seen.add(key);
-            deduped.push(item);
-          }
-          if (deduped.length >= 5) break;
-        }
-        resolve(deduped);
+      const tx = db.transaction([storeName, SYNC_STORE], 'readwrite');
+      const store = tx.objectStore(storeName);
+      const getReq = store.get(id);
+      getReq.onsuccess = function (e) {
+        const existing = e.target.result;
+        const req = store.delete(id);
+        req.onsuccess = function () {
+          enqueueChange(tx, storeName, 'delete', id, existing);
+          resolve();
+        };
+        req.onerror = function (ev) {
+          reject(ev.target.error);
+        };
       };
-      req.onerror = function (e) {
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      getReq.onerror = function (e) {
         reject(e.target.error);
       };
     });
   }
 
   /**
-   * Compute the next unique code for a pedestrian. The unique code is a
-   * two‑digit string (e.g. "01", "02") assigned to each visitor to
-   * uniquely identify them. This helper scans all existing pedestrian
-   * records and finds the highest numeric code present. It then
-   * increments that code by one and returns a zero‑padded string. If
-   * no valid codes are found, it returns "01".
-   *
-   * @param {IDBDatabase} db An open IndexedDB instance.
-   * @returns {Promise<string>} The next available unique code.
+   * Build the Firestore document for a local record. Records pulled from
+   * another booth keep the `origen` of the booth that created them, and
+   * their `indexedDbId` is left untouched by merging (see setIfNewer).
+   * Firestore rejects undefined values, so those are skipped.
    */
-  function getNextCodigoUnico(db) {
-    return getAllPeatones(db).then(list => {
-      let maxNum = 0;
-      for (const p of list) {
-        const c = String(p.codigoUnico || '').trim();
-        const n = parseInt(c, 10);
-        if (!isNaN(n) && n > maxNum) {
-          maxNum = n;
-        }
-      }
-      const next = (maxNum + 1).toString().padStart(2, '0');
-      return next;
+  function toRemoteDocument(record, recordId, actualizado) {
+    const deviceId = getDeviceId();
+    const foreign = record && record.origen && record.origen !== deviceId;
+    const doc = {};
+    Object.keys(record || {}).forEach(key => {
+      if (LOCAL_ONLY_FIELDS.includes(key) || record[key] === undefined) return;
+      if (foreign && LINK_FIELDS.includes(key)) return;
+      doc[key] = record[key];
     });
+    doc.origen = foreign ? record.origen : deviceId;
+    if (!foreign) doc.indexedDbId = recordId;
+    doc.modificadoPor = deviceId;
+    doc.actualizado = (record && record.actualizado) || actualizado;
+    // Time of the upload, which the pull side uses as its watermark
+    doc.subido = Date.now();
+    return doc;
   }
 
-  // Peatones operations
-  function addPeaton(db, record) {
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction('peatones', 'readwrite');
-      const store = tx.objectStore('peatones');
-      const req = store.add(record);
-      req.onsuccess = function (e) {
-        resolve(e.target.result);
-      };
-      req.onerror = function (e) {
-        reject(e.target.error);
-      };
+  /**
+   * The Firestore document holding a local record, named by its uid, or
+   * null for a change queued before records had one. Documents are never
+   * looked up by `indexedDbId`: local keys repeat across booths, so such
+   * a lookup could overwrite another booth's record.
+   */
+  function remoteRef(collection, record) {
+    const uid = record && (record.uid || record.remoteId);
+    return uid ? collection.doc(uid) : null;
+  }
+
+  /**
+   * Write a document unless Firestore already holds a newer version of
+   * it, which will reach this booth through the pull side instead.
+   * Documents created by another booth are merged so the links only
+   * that booth understands survive.
+   */
+  function setIfNewer(ref, doc) {
+    return ref.get().then(current => {
+      const existing = current.exists ? current.data() : null;
+      if (existing && (existing.actualizado || 0) > (doc.actualizado || 0)) return;
+      const merge = !doc.eliminado && doc.origen !== getDeviceId();
+      return merge ? ref.set(doc, { merge: true }) : ref.set(doc);
     });
   }
-  function getAllPeatones(db) {
+
+  /**
+   * Apply one queued change to Firestore.
+   *
+   * @param {IDBDatabase} db  An open IndexedDB instance.
+   * @param {Object} remote   A Firestore instance (or compatible stub).
+   * @param {Object} entry    An entry of the pendientes_sync store.
+   * @returns {Promise<void>} Rejects when Firestore rejects the change.
+   */
+  async function pushChange(db, remote, entry) {
+    const { storeName, op, recordId, creado } = entry;
+    const collection = remote.collection(storeName);
+    if (op === 'delete') {
+      const ref = remoteRef(collection, entry.record);
+      // A record deleted before it had a uid cannot be addressed
+      if (!ref) return;
+      const base = toRemoteDocument(entry.record, recordId, creado);
+      // Only keep what other booths need to recognise the record
+      const tombstone = {
+        origen: base.origen,
+        modificadoPor: base.modificadoPor,
+        subido: base.subido,
+        eliminado: true,
+        actualizado: creado
+      };
+      if (base.indexedDbId !== undefined) tombstone.indexedDbId = base.indexedDbId;
+      await setIfNewer(ref, tombstone);
+      return;
+    }
+    // Changes queued before the uid migration carry no uid; the current
+    // local record has one.
+    const current = await getStoreRecord(db, storeName, recordId);
+    const record = Object.assign({}, entry.record, current && current.uid ? { uid: current.uid } : null);
+    const ref = remoteRef(collection, record);
+    // Nothing to do for a record without uid that is gone by now
+    if (!ref) return;
+    await setIfNewer(ref, toRemoteDocument(record, recordId, creado));
+  }
+
+  function getAllPendingSync(db) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('peatones', 'readonly');
-      const store = tx.objectStore('peatones');
+      const tx = db.transaction(SYNC_STORE, 'readonly');
+      const store = tx.objectStore(SYNC_STORE);
       const req = store.getAll();
       req.onsuccess = function (e) {
         resolve(e.target.result || []);
@@ -278,39 +694,34 @@
       };
     });
   }
-
-  // Bitacora operations
-  function addNota(db, record) {
+  function countPendingSync(db) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('bitacora', 'readwrite');
-      const store = tx.objectStore('bitacora');
-      const req = store.add(record);
+      const tx = db.transaction(SYNC_STORE, 'readonly');
+      const req = tx.objectStore(SYNC_STORE).count();
       req.onsuccess = function (e) {
-        resolve(e.target.result);
+        resolve(e.target.result || 0);
       };
       req.onerror = function (e) {
         reject(e.target.error);
       };
     });
   }
-  function getAllBitacora(db) {
+  function putPendingSync(db, entry) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('bitacora', 'readonly');
-      const store = tx.objectStore('bitacora');
-      const req = store.getAll();
-      req.onsuccess = function (e) {
-        resolve(e.target.result || []);
+      const tx = db.transaction(SYNC_STORE, 'readwrite');
+      const req = tx.objectStore(SYNC_STORE).put(entry);
+      req.onsuccess = function () {
+        resolve();
       };
       req.onerror = function (e) {
         reject(e.target.error);
       };
     });
   }
-  function deleteNota(db, id) {
+  function deletePendingSync(db, id) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('bitacora', 'readwrite');
-      const store = tx.objectStore('bitacora');
-      const req = store.delete(id);
+      const tx = db.transaction(SYNC_STORE, 'readwrite');
+      const req = tx.objectStore(SYNC_STORE).delete(id);
       req.onsuccess = function () {
         resolve();
       };
@@ -320,35 +731,707 @@
     });
   }
 
-  // Guardias operations
-  function addGuard(db, record) {
-    return new Promise((resolve, reject) => {
-      const tx = db.transaction('guardias', 'readwrite');
-      const store = tx.objectStore('guardias');
-      const req = store.add(record);
-      req.onsuccess = function (e) {
-        resolve(e.target.result);
-      };
-      req.onerror = function (e) {
-        reject(e.target.error);
-      };
-    });
+  /*
+   * Sync status shared with the UI: pending count, time of the last
+   * successful push (persisted in localStorage) and the last error.
+   * Components subscribe through useSyncStatus().
+   */
+  const syncStatus = {
+    pendientes: 0,
+    ultimaSincronizacion: Number(localStorage.getItem('ultima_sincronizacion')) || null,
+    ultimoError: ''
+  };
+  const syncListeners = new Set();
+  function updateSyncStatus(changes) {
+    Object.assign(syncStatus, changes);
+    syncListeners.forEach(listener => listener(Object.assign({}, syncStatus)));
+  }
+  async function refreshPendingCount(db) {
+    try {
+      updateSyncStatus({ pendientes: await countPendingSync(db) });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  function syncBackoff(intentos) {
+    return Math.min(SYNC_RETRY_BASE_MS * Math.pow(2, intentos - 1), SYNC_RETRY_MAX_MS);
   }
 
+  let flushInProgress = null;
   /**
-   * Clear all records from the specified object store. This helper is used
-   * during import operations to reset stores before inserting new data.
+   * Push queued changes to Firestore in order. Stops at the first entry
+   * that is still waiting for its retry time or that fails, which gets
+   * its attempt counter and next retry time updated. Concurrent calls
+   * share the running flush.
    *
-   * @param {IDBDatabase} db      An open IndexedDB instance.
-   * @param {string} storeName    The name of the object store to clear.
+   * @param {IDBDatabase} db       An open IndexedDB instance.
+   * @param {Object}      [remote] Firestore instance or stub; defaults to
+   *                               `window.firestore`.
+   * @param {boolean}     [force]  Ignore the backoff (e.g. when the
+   *                               connection just came back).
+   * @returns {Promise<number>} Number of changes pushed.
    */
-  function clearObjectStore(db, storeName) {
+  function flushOutbox(db, remote, force) {
+    if (flushInProgress) return flushInProgress;
+    const target = remote || getFirestore();
+    if (!db || !target) return Promise.resolve(0);
+    flushInProgress = (async () => {
+      let pushed = 0;
+      try {
+        const entries = await getAllPendingSync(db);
+        for (const entry of entries) {
+          if (!force && entry.siguienteIntento > Date.now()) break;
+          try {
+            await pushChange(db, target, entry);
+          } catch (err) {
+            const intentos = (entry.intentos || 0) + 1;
+            await putPendingSync(db, Object.assign({}, entry, {
+              intentos,
+              siguienteIntento: Date.now() + syncBackoff(intentos),
+              ultimoError: String((err && err.message) || err)
+            }));
+            updateSyncStatus({ ultimoError: String((err && err.message) || err) });
+            break;
+          }
+          await deletePendingSync(db, entry.id);
+          pushed++;
+        }
+        if (pushed > 0) {
+          const now = Date.now();
+          localStorage.setItem('ultima_sincronizacion', String(now));
+          updateSyncStatus({ ultimaSincronizacion: now, ultimoError: '' });
+        }
+      } catch (err) {
+        console.error('Error procesando la cola de sincronización', err);
+      } finally {
+        flushInProgress = null;
+        await refreshPendingCount(db);
+      }
+      return pushed;
+    })();
+    return flushInProgress;
+  }
+
+  function scheduleOutboxFlush(db) {
+    refreshPendingCount(db);
+    if (!getFirestore()) return;
+    // Let the caller finish its own work first
+    setTimeout(() => flushOutbox(db), 0);
+  }
+
+  /**
+   * Start the background sync loop: a periodic flush that honours the
+   * backoff and an immediate forced flush whenever the browser reports
+   * that the connection is back.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @returns {Function} Stops the loop.
+   */
+  function startOutboxSync(db) {
+    const onOnline = () => flushOutbox(db, null, true);
+    window.addEventListener('online', onOnline);
+    const timer = setInterval(() => flushOutbox(db), SYNC_INTERVAL_MS);
+    refreshPendingCount(db);
+    flushOutbox(db, null, true);
+    return () => {
+      window.removeEventListener('online', onOnline);
+      clearInterval(timer);
+    };
+  }
+
+  /**
+   * Hook returning the current sync status and re‑rendering on changes.
+   */
+  function useSyncStatus() {
+    const [status, setStatus] = useState(Object.assign({}, syncStatus));
+    useEffect(() => {
+      syncListeners.add(setStatus);
+      return () => {
+        syncListeners.delete(setStatus);
+      };
+    }, []);
+    return status;
+  }
+
+  /*
+   * Pull side: documents written by other booths are merged into the
+   * local stores without going through the outbox, so they are never
+   * pushed back. Components that show replicated data subscribe through
+   * onRemoteChange() to reload when something arrives.
+   */
+  const SYNC_PULL_MARGIN_MS = 5 * 60 * 1000;
+  const remoteChangeListeners = new Set();
+  function onRemoteChange(listener) {
+    remoteChangeListeners.add(listener);
+    return () => {
+      remoteChangeListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Convert a Firestore document into a local record (without `id`).
+   * Records created by another booth keep its `origen`; later pushes
+   * address the same document through the uid the record is stored
+   * with.
+   */
+  function fromRemoteDocument(data, own) {
+    const record = {};
+    Object.keys(data).forEach(key => {
+      if (REMOTE_ONLY_FIELDS.includes(key)) return;
+      if (!own && LINK_FIELDS.includes(key)) return;
+      record[key] = data[key];
+    });
+    if (own) {
+      delete record.origen;
+    } else {
+      // Documents from before `origen` existed belong to an unknown booth
+      record.origen = data.origen || 'legado';
+    }
+    return record;
+  }
+
+  // Whether a legacy document (without `origen`) is a copy of the record
+  function sameContent(local, data) {
+    return Object.keys(data).every(key =>
+      REMOTE_ONLY_FIELDS.includes(key) || key === 'actualizado' || key === 'uid' ||
+        JSON.stringify(local[key]) === JSON.stringify(data[key])
+    );
+  }
+
+  /**
+   * Merge one Firestore document into its local store, following the
+   * last‑writer‑wins rule described above. The local copy is found by
+   * uid (the document id). Documents pushed before records had a uid
+   * are matched by `indexedDbId` instead, and the local record adopts
+   * the document id as its uid.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName Replicated store (and collection).
+   * @param {string}      docId     Firestore document id.
+   * @param {Object}      data      Document contents.
+   * @returns {Promise<boolean>} Whether the local store changed.
+   */
+  function mergeRemoteDocument(db, storeName, docId, data) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction(storeName, 'readwrite');
+      const own = data.origen === getDeviceId();
+      let changed = false;
+      const tx = db.transaction([storeName, SYNC_STORE], 'readwrite');
       const store = tx.objectStore(storeName);
-      const req = store.clear();
-      req.onsuccess = function () {
-        resolve();
+      let pendingDeletes = [];
+
+      function apply(local) {
+        const version = data.actualizado || 0;
+        if (local) {
+          if (version <= (local.actualizado || 0)) {
+            // Local copy is as new or newer; just remember the link
+            if (local.uid !== docId) store.put(Object.assign({}, local, { uid: docId }));
+            return;
+          }
+          if (data.eliminado) {
+            store.delete(local.id);
+          } else {
+            const links = {};
+            LINK_FIELDS.forEach(key => {
+              if (!own && local[key] !== undefined) links[key] = local[key];
+            });
+            store.put(withHistoryKeys(storeName, Object.assign(fromRemoteDocument(data, own), links, { id: local.id, uid: docId })));
+          }
+          changed = true;
+          return;
+        }
+        // Records deleted here but not pushed yet stay deleted unless
+        // the remote version is newer than the deletion
+        const deletedAt = pendingDeletes
+          .filter(entry => entry.record && entry.record.uid === docId)
+          .reduce((max, entry) => Math.max(max, entry.creado), 0);
+        // A document of our own without a local record was deleted or
+        // cleared here on purpose, so it is not recreated
+        if (data.eliminado || own || version <= deletedAt) return;
+        store.add(withHistoryKeys(storeName, Object.assign(fromRemoteDocument(data, own), { uid: docId })));
+        changed = true;
+      }
+
+      const pendingReq = tx.objectStore(SYNC_STORE).getAll();
+      pendingReq.onsuccess = function (e) {
+        pendingDeletes = (e.target.result || []).filter(entry => entry.storeName === storeName && entry.op === 'delete');
+        const byUid = store.index('uid').get(docId);
+        byUid.onsuccess = function (ev) {
+          const linked = ev.target.result;
+          const mayBeOurs = own || !data.origen;
+          if (linked || !mayBeOurs || data.indexedDbId == null) {
+            apply(linked || null);
+            return;
+          }
+          const byKey = store.get(data.indexedDbId);
+          byKey.onsuccess = function (kev) {
+            const local = kev.target.result;
+            const matches = local && (own || sameContent(local, data));
+            if (matches) {
+              apply(local);
+            } else if (!own) {
+              apply(null);
+            }
+          };
+        };
+      };
+      tx.oncomplete = function () {
+        if (changed) remoteChangeListeners.forEach(listener => listener(storeName));
+        resolve(changed);
+      };
+      tx.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Listen to every replicated collection and merge what other booths
+   * write. Each collection remembers (in localStorage) the upload time of
+   * the newest document seen, so the next start only asks for documents
+   * uploaded after it, minus a margin for clock differences between
+   * booths. Merging is idempotent, so the overlap is harmless.
+   *
+   * @param {IDBDatabase} db       An open IndexedDB instance.
+   * @param {Object}      [remote] Firestore instance or stub; defaults to
+   *                               `window.firestore`.
+   * @returns {Function} Stops listening.
+   */
+  function startRemotePull(db, remote) {
+    const target = remote || getFirestore();
+    if (!db || !target) return () => {};
+    const deviceId = getDeviceId();
+    const stops = REPLICATED_STORES.map(storeName => {
+      const key = 'sync_desde_' + storeName;
+      const since = Number(localStorage.getItem(key)) || 0;
+      const collection = target.collection(storeName);
+      const query = since ? collection.where('subido', '>', since - SYNC_PULL_MARGIN_MS) : collection;
+      // Snapshots are merged one after another, in arrival order
+      let queue = Promise.resolve();
+      return query.onSnapshot(snapshot => {
+        const changes = snapshot.docChanges().filter(change => change.type !== 'removed');
+        queue = queue.then(async () => {
+          let newest = Number(localStorage.getItem(key)) || 0;
+          for (const change of changes) {
+            const data = change.doc.data();
+            if (data.modificadoPor !== deviceId) {
+              await mergeRemoteDocument(db, storeName, change.doc.id, data);
+            }
+            newest = Math.max(newest, data.subido || 0);
+          }
+          if (newest) localStorage.setItem(key, String(newest));
+        }).catch(err => {
+          console.error('Error aplicando cambios remotos de ' + storeName, err);
+        });
+      }, err => {
+        console.error('Error escuchando ' + storeName + ' en Firestore', err);
+        updateSyncStatus({ ultimoError: String((err && err.message) || err) });
+      });
+    });
+    return () => stops.forEach(stop => stop());
+  }
+
+  /*
+   * Photo (media) store
+   *
+   * Photos are downscaled and JPEG‑compressed on a canvas, then stored
+   * once as Blobs in the `fotos` store under the SHA‑256 of their bytes:
+   *   { id, blob, tipo, tamano, creado }
+   * Access records only keep the id in fotoVehiculo / fotoIdentificacion
+   * / fotoPersona, so repeat visits that carry a photo forward share the
+   * same Blob and records stay small in getAll() calls, backups and
+   * Firestore documents. The fotos store itself is not replicated; a
+   * booth shows photos taken at another booth only if it has the Blob.
+   * Records written before this store existed hold data URLs, which are
+   * still displayed until migrateInlinePhotos() converts them.
+   */
+  const FOTO_FIELDS = ['fotoVehiculo', 'fotoIdentificacion', 'fotoPersona'];
+  const FOTO_MAX_SIDE = 1280;
+  const FOTO_JPEG_QUALITY = 0.7;
+
+  function loadImage(blob) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(blob);
+      const img = new Image();
+      img.onload = function () {
+        URL.revokeObjectURL(url);
+        resolve(img);
+      };
+      img.onerror = function () {
+        URL.revokeObjectURL(url);
+        reject(new Error('No se pudo leer la imagen'));
+      };
+      img.src = url;
+    });
+  }
+
+  /**
+   * Downscale an image so its longest side is at most FOTO_MAX_SIDE
+   * pixels and re‑encode it as JPEG.
+   *
+   * @param {Blob} blob The original image (e.g. a File from the camera).
+   * @returns {Promise<Blob>} The compressed JPEG.
+   */
+  async function compressImage(blob) {
+    const img = await loadImage(blob);
+    return drawToJpeg(img, img.naturalWidth || img.width, img.naturalHeight || img.height);
+  }
+
+  /**
+   * Draw an image or a video frame on a canvas no larger than
+   * FOTO_MAX_SIDE and encode it as JPEG.
+   *
+   * @param {CanvasImageSource} source The image or <video> element.
+   * @param {number} width  Natural width of the source.
+   * @param {number} height Natural height of the source.
+   * @returns {Promise<Blob>}
+   */
+  function drawToJpeg(source, width, height) {
+    const scale = Math.min(1, FOTO_MAX_SIDE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(result => {
+        if (result) {
+          resolve(result);
+        } else {
+          reject(new Error('No se pudo comprimir la imagen'));
+        }
+      }, 'image/jpeg', FOTO_JPEG_QUALITY);
+    });
+  }
+
+  function blobToArrayBuffer(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+  function dataUrlToBlob(dataUrl) {
+    const match = /^data:([^;,]*)(;base64)?,(.*)$/.exec(dataUrl || '');
+    if (!match) throw new Error('URL de datos inválida');
+    const bytes = match[2] ? base64ToBytes(match[3]) : new TextEncoder().encode(decodeURIComponent(match[3]));
+    return new Blob([bytes], { type: match[1] || 'application/octet-stream' });
+  }
+
+  // Photo id of a Blob: the hex SHA‑256 of its bytes
+  async function fotoIdFor(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blobToArrayBuffer(blob));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Store a Blob in the fotos store unless identical bytes are already
+   * there.
+   *
+   * @param {IDBDatabase} db
+   * @param {Blob}        blob An already compressed image.
+   * @returns {Promise<string>} The photo id (hex SHA‑256 of the bytes).
+   */
+  async function saveFoto(db, blob) {
+    // Hash before opening the transaction, which would auto‑commit while
+    // waiting for WebCrypto
+    const id = await fotoIdFor(blob);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('fotos', 'readwrite');
+      const store = tx.objectStore('fotos');
+      const req = store.get(id);
+      req.onsuccess = function (e) {
+        if (!e.target.result) {
+          store.add({ id, blob, tipo: blob.type, tamano: blob.size, creado: Date.now() });
+        }
+      };
+      tx.oncomplete = function () {
+        resolve(id);
+      };
+      tx.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getFoto(db, id) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('fotos', 'readonly');
+      const req = tx.objectStore('fotos').get(id);
+      req.onsuccess = function (e) {
+        resolve(e.target.result || null);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getAllFotos(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('fotos', 'readonly');
+      const req = tx.objectStore('fotos').getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Turn the value of a photo field into a photo id: Blobs picked in a
+   * form (already compressed by compressImage) are stored, data URLs
+   * from older records are compressed and stored, ids are returned as
+   * they are.
+   *
+   * @param {IDBDatabase} db
+   * @param {Blob|string|null} foto
+   * @returns {Promise<string>} The id, or '' when there is no photo.
+   */
+  async function storeFoto(db, foto) {
+    if (!foto) return '';
+    if (typeof foto === 'string') {
+      if (!foto.startsWith('data:')) return foto;
+      return saveFoto(db, await compressImage(dataUrlToBlob(foto)));
+    }
+    return saveFoto(db, foto);
+  }
+
+  /**
+   * Copy of a record whose photo fields hold photo ids.
+   */
+  async function withStoredFotos(db, record) {
+    const result = Object.assign({}, record);
+    for (const field of FOTO_FIELDS) {
+      if (field in result) result[field] = await storeFoto(db, result[field]);
+    }
+    return result;
+  }
+
+  /**
+   * Move photos stored inline as data URLs into the fotos store. Runs in
+   * the background after the database opens and is remembered as done
+   * in localStorage once every photo has been converted, so an
+   * interrupted or partly failed run resumes on the next start. The
+   * photo fields are rewritten locally only, like the profile references
+   * of migrateProfiles(): every booth converts its own copy, and
+   * uploading the records would overwrite the photos other booths hold.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   */
+  async function migrateInlinePhotos(db) {
+    if (localStorage.getItem('fotos_migradas')) return;
+    let failed = false;
+    for (const storeName of ['vehiculos', 'peatones']) {
+      const list = storeName === 'vehiculos' ? await getAllVehiculos(db) : await getAllPeatones(db);
+      for (const record of list) {
+        const inline = FOTO_FIELDS.filter(field => typeof record[field] === 'string' && record[field].startsWith('data:'));
+        if (inline.length === 0) continue;
+        const ids = {};
+        for (const field of inline) {
+          try {
+            ids[field] = await storeFoto(db, record[field]);
+          } catch (err) {
+            failed = true;
+            console.warn('No se pudo migrar una fotografía', err);
+          }
+        }
+        if (Object.keys(ids).length === 0) continue;
+        await new Promise((resolve, reject) => {
+          const tx = db.transaction(storeName, 'readwrite');
+          const store = tx.objectStore(storeName);
+          store.get(record.id).onsuccess = function (e) {
+            const current = e.target.result;
+            if (!current) return;
+            // Only fields that still hold the converted photo are replaced
+            const changed = Object.keys(ids).filter(field => current[field] === record[field]);
+            if (changed.length === 0) return;
+            const updated = Object.assign({}, current);
+            changed.forEach(field => {
+              updated[field] = ids[field];
+            });
+            store.put(updated);
+          };
+          tx.oncomplete = resolve;
+          tx.onerror = e => reject(e.target.error);
+        });
+      }
+    }
+    if (!failed) localStorage.setItem('fotos_migradas', '1');
+  }
+
+  // Vehiculos operations
+  /**
+   * Insert a new vehicle record into IndexedDB. The record receives a
+   * global uid unless it already has one (see withUid()), and is queued
+   * for replication to Firestore in the same transaction (see
+   * enqueueChange()).
+   *
+   * @param {IDBDatabase} db    An open IndexedDB instance.
+   * @param {Object}      record The vehicle record to store. This may
+   *                            include additional fields such as
+   *                            `registroTipo`, `razonBloqueo` and photo
+   *                            ids (see storeFoto()).
+   * @returns {Promise<number>} A promise that resolves with the
+   *                            auto‑generated record ID.
+   */
+  function addVehiculo(db, record) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['vehiculos', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('vehiculos');
+      const stored = stampUpdated(withUid(withHistoryKeys('vehiculos', record)));
+      const req = store.add(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, 'vehiculos', 'insert', id, stored);
+        resolve(id);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getAllVehiculos(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('vehiculos', 'readonly');
+      const store = tx.objectStore('vehiculos');
+      const req = store.getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  /*
+   * Visitor profiles
+   *
+   * Who a visitor is lives in a profile: `vehiculos_registrados` holds
+   * one per vehicle (plate, model, colour, usual driver and destination)
+   * and `visitantes` one per pedestrian (name, codigoUnico, ID). Both
+   * also keep the classification and the latest photos. Access records
+   * point at their profile through `vehiculoUid` / `visitanteUid`, the
+   * profile's global uid, and still keep a copy of the visitor data as it
+   * was at that visit, which is what the history shows.
+   *
+   * registerAccess() creates or refreshes the profile of every visit, and
+   * administrators can edit and merge profiles directly (PerfilesView).
+   * Profiles are indexed by the plate uppercased without spaces or
+   * hyphens, the name folded for accents and case, and the codigoUnico,
+   * so a typed prefix is a key range. Records without a reference (made
+   * before profiles existed, or updated at a booth that had not migrated
+   * yet) find their profile through the same normalised keys.
+   */
+  const PROFILE_STORES = { vehiculos: 'vehiculos_registrados', peatones: 'visitantes' };
+  const PROFILE_REFS = { vehiculos: 'vehiculoUid', peatones: 'visitanteUid' };
+  const PROFILE_FIELDS = {
+    vehiculos: ['placa', 'nombre', 'modelo', 'color', 'destino', 'motivo', 'registroTipo', 'razonBloqueo', 'fotoVehiculo', 'fotoIdentificacion', 'fotoPersona'],
+    peatones: ['nombre', 'codigoUnico', 'id_opcional', 'destino', 'motivo', 'registroTipo', 'razonBloqueo', 'fotoPersona', 'fotoIdentificacion']
+  };
+  const SUGGESTION_LIMIT = 5;
+
+  function normalizePlaca(placa) {
+    return String(placa || '').toUpperCase().replace(/[\s-]/g, '');
+  }
+
+  function foldName(nombre) {
+    return String(nombre || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Normalised key of the visitor of an access record or profile: the
+   * plate for vehicles, the folded name for pedestrians ('' if missing).
+   */
+  function profileKey(storeName, record) {
+    return storeName === 'vehiculos' ? normalizePlaca(record.placa) : foldName(record.nombre);
+  }
+
+  function normalizeDestino(destino) {
+    return String(destino || '').trim().toLowerCase();
+  }
+
+  /**
+   * Copy of an access record with the normalised plate (vehiculos) and
+   * destination that the history filters page through (see
+   * historyIndexRange()). Other stores' records are returned as they are.
+   */
+  function withHistoryKeys(storeName, record) {
+    if (storeName !== 'vehiculos' && storeName !== 'peatones') return record;
+    const keys = { destinoNorm: normalizeDestino(record.destino) };
+    if (storeName === 'vehiculos') keys.placaNorm = normalizePlaca(record.placa);
+    return Object.assign({}, record, keys);
+  }
+
+  // Lookup fields derived from the editable ones
+  function withProfileKeys(storeName, profile) {
+    const key = storeName === 'vehiculos' ? { placaNorm: normalizePlaca(profile.placa) } : { nombreNorm: foldName(profile.nombre) };
+    return Object.assign({}, profile, key);
+  }
+
+  /**
+   * Profile data taken from an access record on top of `previous`.
+   * Photos are kept when the record has none (salidas never carry them).
+   */
+  function profileFromRecord(storeName, record, previous) {
+    const profile = Object.assign({}, previous);
+    PROFILE_FIELDS[storeName].forEach(field => {
+      if (FOTO_FIELDS.includes(field) && !record[field]) return;
+      if (record[field] !== undefined) profile[field] = record[field];
+    });
+    profile.ultimaVisita = Math.max(recordTime(record), (previous && previous.ultimaVisita) || 0);
+    return withProfileKeys(storeName, profile);
+  }
+
+  /**
+   * Insert or overwrite a profile in `vehiculos_registrados` or
+   * `visitantes`, queueing it for replication like any other record.
+   *
+   * @param {IDBDatabase} db           An open IndexedDB instance.
+   * @param {string}      profileStore 'vehiculos_registrados' or 'visitantes'.
+   * @param {Object}      profile      The profile; with `id` it is updated.
+   * @returns {Promise<number>} The profile id.
+   */
+  function saveProfile(db, profileStore, profile) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([profileStore, SYNC_STORE], 'readwrite');
+      const store = tx.objectStore(profileStore);
+      const isNew = profile.id == null;
+      const stored = stampUpdated(isNew ? withUid(profile) : profile);
+      const req = isNew ? store.add(stored) : store.put(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, profileStore, isNew ? 'insert' : 'update', id, stored);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+        resolve(id);
+      };
+      tx.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  function getAllProfiles(db, profileStore) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(profileStore, 'readonly');
+      const req = tx.objectStore(profileStore).getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
       };
       req.onerror = function (e) {
         reject(e.target.error);
@@ -356,84 +1439,1938 @@
     });
   }
 
+  // First record of `indexName` equal to `value`, or null
+  function getByIndex(db, storeName, indexName, value) {
+    return new Promise((resolve, reject) => {
+      if (value == null || value === '') {
+        resolve(null);
+        return;
+      }
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).index(indexName).get(value);
+      req.onsuccess = function (e) {
+        resolve(e.target.result || null);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * The profile of the visitor of an access record: the one it points at
+   * or, failing that, the one with the same plate or folded name.
+   *
+   * @param {IDBObjectStore} profileStore The profile store, in an open transaction.
+   * @param {string}         storeName    'vehiculos' or 'peatones'.
+   * @param {Object}         record       An access record.
+   * @returns {Promise<Object|null>}
+   */
+  async function findProfile(profileStore, storeName, record) {
+    const ref = record[PROFILE_REFS[storeName]];
+    const byRef = ref ? await requestResult(profileStore.index('uid').get(ref)) : null;
+    if (byRef) return byRef;
+    const key = profileKey(storeName, record);
+    if (!key) return null;
+    return (await requestResult(profileStore.index(storeName === 'vehiculos' ? 'placaNorm' : 'nombreNorm').get(key))) || null;
+  }
+
+  /**
+   * Create or refresh the profile of the visitor of a new access record
+   * and return a copy of the record that points at it. Records older
+   * than the profile's latest visit (e.g. imported history) only link.
+   * Runs inside the caller's transaction, which must include the profile
+   * store and the outbox.
+   */
+  async function linkProfile(tx, storeName, record) {
+    if (!profileKey(storeName, record)) return record;
+    const profileStoreName = PROFILE_STORES[storeName];
+    const profileStore = tx.objectStore(profileStoreName);
+    const existing = await findProfile(profileStore, storeName, record);
+    let profile = existing;
+    if (!existing || recordTime(record) >= (existing.ultimaVisita || 0)) {
+      profile = stampUpdated(existing ? profileFromRecord(storeName, record, existing) : withUid(profileFromRecord(storeName, record, null)));
+      const id = await requestResult(existing ? profileStore.put(profile) : profileStore.add(profile));
+      profile.id = id;
+      enqueueChange(tx, profileStoreName, existing ? 'update' : 'insert', id, profile);
+    }
+    return Object.assign({}, record, { [PROFILE_REFS[storeName]]: profile.uid });
+  }
+
+  // Profile uid derived from the visitor key, so booths migrating the
+  // same visitor create the same Firestore document
+  async function migratedProfileUid(storeName, key) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(storeName + ':' + key));
+    return 'perfil-' + Array.from(new Uint8Array(digest).slice(0, 16)).map(b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Build profiles from the existing history: one per plate and per
+   * pedestrian name, from that visitor's records oldest to newest. Access
+   * records then point at their profile; that reference is written
+   * locally only (other booths compute the same one), so the records are
+   * not uploaded again. Remembered as done in localStorage like the photo
+   * migration.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   */
+  async function migrateProfiles(db) {
+    if (localStorage.getItem('perfiles_migrados')) return;
+    for (const storeName of ['vehiculos', 'peatones']) {
+      const profileStore = PROFILE_STORES[storeName];
+      const records = storeName === 'vehiculos' ? await getAllVehiculos(db) : await getAllPeatones(db);
+      records.sort((a, b) => (recordTime(a) - recordTime(b)) || (a.id - b.id));
+      const built = new Map();
+      records.forEach(record => {
+        const key = profileKey(storeName, record);
+        if (key) built.set(key, profileFromRecord(storeName, record, built.get(key)));
+      });
+      const uids = new Map();
+      for (const [key, profile] of built) {
+        // Profiles pulled from a booth that migrated first, or created by
+        // a visit registered meanwhile, are reused
+        const uid = await migratedProfileUid(storeName, key);
+        const existing = (await getByIndex(db, profileStore, 'uid', uid)) ||
+          (await getByIndex(db, profileStore, storeName === 'vehiculos' ? 'placaNorm' : 'nombreNorm', key));
+        if (existing) {
+          uids.set(key, existing.uid);
+          continue;
+        }
+        await saveProfile(db, profileStore, Object.assign(profile, { uid }));
+        uids.set(key, uid);
+      }
+      await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const ref = PROFILE_REFS[storeName];
+        tx.objectStore(storeName).openCursor().onsuccess = function (e) {
+          const cursor = e.target.result;
+          if (!cursor) return;
+          const uid = uids.get(profileKey(storeName, cursor.value));
+          if (!cursor.value[ref] && uid) cursor.update(Object.assign({}, cursor.value, { [ref]: uid }));
+          cursor.continue();
+        };
+        tx.oncomplete = resolve;
+        tx.onerror = e => reject(e.target.error);
+      });
+    }
+    localStorage.setItem('perfiles_migrados', '1');
+  }
+
+  /**
+   * Move everything of profile `drop` onto profile `keep`: the access
+   * records that point at `drop` (or match its plate or name without a
+   * reference) are re‑pointed, fields missing from `keep` are filled in
+   * from `drop`, and `drop` is deleted.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName 'vehiculos' or 'peatones'.
+   * @param {Object}      keep      The profile that remains.
+   * @param {Object}      drop      The profile merged into it.
+   */
+  async function mergeProfiles(db, storeName, keep, drop) {
+    const ref = PROFILE_REFS[storeName];
+    const records = storeName === 'vehiculos' ? await getAllVehiculos(db) : await getAllPeatones(db);
+    const dropKey = storeName === 'vehiculos' ? drop.placaNorm : drop.nombreNorm;
+    for (const record of records) {
+      const points = record[ref] === drop.uid || (!record[ref] && profileKey(storeName, record) === dropKey);
+      if (points) await updateAccessRecord(db, storeName, Object.assign({}, record, { [ref]: keep.uid }));
+    }
+    const merged = Object.assign({}, keep);
+    PROFILE_FIELDS[storeName].forEach(field => {
+      if (!merged[field] && drop[field]) merged[field] = drop[field];
+    });
+    merged.ultimaVisita = Math.max(keep.ultimaVisita || 0, drop.ultimaVisita || 0);
+    await saveProfile(db, PROFILE_STORES[storeName], withProfileKeys(storeName, merged));
+    await deleteStoreRecord(db, PROFILE_STORES[storeName], drop.id);
+  }
+
+  // Number of access records pointing at a profile
+  function countProfileRecords(db, storeName, uid) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).index(PROFILE_REFS[storeName]).count(uid);
+      req.onsuccess = function (e) {
+        resolve(e.target.result);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * The most recent profiles whose `indexName` key starts with `prefix`.
+   * The cursor keeps only the best `limit` profiles seen so far, in
+   * order, so each further profile costs at most one comparison against
+   * the weakest of them.
+   */
+  function recentProfiles(db, profileStore, indexName, prefix, limit) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(profileStore, 'readonly');
+      const index = tx.objectStore(profileStore).index(indexName);
+      const req = index.openCursor(IDBKeyRange.bound(prefix, prefix + '\uffff'));
+      const top = [];
+      req.onsuccess = function (e) {
+        const cursor = e.target.result;
+        if (!cursor) {
+          resolve(top);
+          return;
+        }
+        const profile = cursor.value;
+        const time = profile.ultimaVisita || 0;
+        if (top.length < limit || time > (top[top.length - 1].ultimaVisita || 0)) {
+          const at = top.findIndex(p => (p.ultimaVisita || 0) < time);
+          top.splice(at === -1 ? top.length : at, 0, profile);
+          if (top.length > limit) top.pop();
+        }
+        cursor.continue();
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Suggest registered vehicles whose plate starts with `prefix`,
+   * ignoring case, spaces and hyphens. Returns at most five, most recent
+   * first, with the fields needed to prefill the form.
+   *
+   * @param {IDBDatabase} db     An open IndexedDB instance.
+   * @param {string}      prefix The typed part of the plate.
+   * @returns {Promise<Array>}
+   */
+  function suggestVehiculos(db, prefix) {
+    return recentProfiles(db, 'vehiculos_registrados', 'placaNorm', normalizePlaca(prefix), SUGGESTION_LIMIT).then(profiles =>
+      profiles.map(item => ({
+        placa: item.placa,
+        nombre: item.nombre,
+        motivo: item.motivo,
+        modelo: item.modelo,
+        color: item.color,
+        destino: item.destino,
+        registroTipo: item.registroTipo || '',
+        razonBloqueo: item.razonBloqueo || '',
+        fotoVehiculo: item.fotoVehiculo || '',
+        fotoIdentificacion: item.fotoIdentificacion || '',
+        fotoPersona: item.fotoPersona || ''
+      }))
+    );
+  }
+
+  /**
+   * Suggest pedestrians whose name (ignoring accents and case) or unique
+   * code starts with `prefix`. Returns at most five profiles from
+   * `visitantes`, most recent first, so the caller can prefill the form.
+   *
+   * @param {IDBDatabase} db    An open IndexedDB instance.
+   * @param {string}      prefix The prefix to filter names by.
+   * @returns {Promise<Array>}   A promise resolving with an array of
+   *                             suggestion objects.
+   */
+  async function suggestPeatones(db, prefix) {
+    const [byName, byCode] = await Promise.all([
+      recentProfiles(db, 'visitantes', 'nombreNorm', foldName(prefix), SUGGESTION_LIMIT),
+      recentProfiles(db, 'visitantes', 'codigoUnico', String(prefix || '').trim(), SUGGESTION_LIMIT)
+    ]);
+    const seen = new Set();
+    return byName.concat(byCode)
+      .sort((a, b) => b.ultimaVisita - a.ultimaVisita)
+      .filter(item => !seen.has(item.uid) && seen.add(item.uid))
+      .slice(0, SUGGESTION_LIMIT);
+  }
+
+  /**
+   * Compute the next unique code for a pedestrian. The unique code is a
+   * two‑digit string (e.g. "01", "02") assigned to each visitor to
+   * uniquely identify them. This helper scans all existing pedestrian
+   * records and finds the highest numeric code present. It then
+   * increments that code by one and returns a zero‑padded string. If
+   * no valid codes are found, it returns "01".
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @returns {Promise<string>} The next available unique code.
+   */
+  function getNextCodigoUnico(db) {
+    return getAllPeatones(db).then(list => {
+      let maxNum = 0;
+      for (const p of list) {
+        const c = String(p.codigoUnico || '').trim();
+        const n = parseInt(c, 10);
+        if (!isNaN(n) && n > maxNum) {
+          maxNum = n;
+        }
+      }
+      const next = (maxNum + 1).toString().padStart(2, '0');
+      return next;
+    });
+  }
+
+  // Peatones operations
+  function addPeaton(db, record) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['peatones', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('peatones');
+      const stored = stampUpdated(withUid(withHistoryKeys('peatones', record)));
+      const req = store.add(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, 'peatones', 'insert', id, stored);
+        resolve(id);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getAllPeatones(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('peatones', 'readonly');
+      const store = tx.objectStore('peatones');
+      const req = store.getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  // Peatones and vehiculos share the same visit model: an 'entrada'
+  // record stays open until a 'salida' for the same plate or codigoUnico
+  // closes it. Both records are linked: the salida keeps `entradaId` and
+  // the entrada receives `salidaId`, `salidaFecha`, `salidaHora` and
+  // `salidaTimestamp`. Legacy records without links are paired in
+  // memory by buildVisits().
+
+  /**
+   * Key that identifies the visitor of an access record: the plate
+   * (uppercased, without spaces or hyphens) for vehicles and the
+   * codigoUnico for pedestrians. Returns '' when the record carries no
+   * usable key, in which case it is never paired.
+   *
+   * @param {string} storeName 'vehiculos' or 'peatones'.
+   * @param {Object} record    An access record.
+   * @returns {string}
+   */
+  function visitKey(storeName, record) {
+    if (!record) return '';
+    if (storeName === 'vehiculos') {
+      return normalizePlaca(record.placa);
+    }
+    return String(record.codigoUnico || '').trim();
+  }
+
+  /**
+   * Time of an access record in milliseconds. New records store a
+   * `timestamp`; older ones only have `fecha` and `hora`.
+   */
+  function recordTime(record) {
+    if (record && typeof record.timestamp === 'number') return record.timestamp;
+    const parsed = Date.parse(`${(record && record.fecha) || ''}T${(record && record.hora) || '00:00:00'}`);
+    return isNaN(parsed) ? 0 : parsed;
+  }
+
+  /**
+   * Format a duration in milliseconds as "2 h 05 min" (or "12 min").
+   */
+  function formatDuration(ms) {
+    if (ms == null || isNaN(ms) || ms < 0) return '';
+    const totalMin = Math.floor(ms / 60000);
+    const h = Math.floor(totalMin / 60);
+    const m = totalMin % 60;
+    if (h === 0) return `${m} min`;
+    return `${h} h ${String(m).padStart(2, '0')} min`;
+  }
+
+  /**
+   * Find the most recent 'entrada' for a visitor that has not been
+   * closed by a 'salida' yet. Only that visitor's records are read,
+   * newest first, through the [placaNorm, fecha] index for vehicles and
+   * the codigoUnico index for pedestrians.
+   *
+   * @param {IDBObjectStore} store     'vehiculos' or 'peatones', in an open transaction.
+   * @param {string}         storeName 'vehiculos' or 'peatones'.
+   * @param {string}         key       Result of visitKey().
+   * @returns {Promise<Object|null>}
+   */
+  function findOpenEntrada(store, storeName, key) {
+    return new Promise((resolve, reject) => {
+      if (!key) {
+        resolve(null);
+        return;
+      }
+      const req = storeName === 'vehiculos'
+        ? store.index('placaNorm_fecha').openCursor(IDBKeyRange.bound([key, ''], [key, '\uffff']), 'prev')
+        : store.index('codigoUnico').openCursor(IDBKeyRange.only(key), 'prev');
+      req.onsuccess = function (e) {
+        const cursor = e.target.result;
+        if (!cursor) {
+          resolve(null);
+          return;
+        }
+        const rec = cursor.value;
+        // A later salida without link means the previous visit was
+        // already closed before links existed; stop looking.
+        if (rec.accion === 'salida') {
+          resolve(null);
+          return;
+        }
+        if (rec.accion === 'entrada' && rec.salidaId == null) {
+          resolve(rec);
+          return;
+        }
+        cursor.continue();
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Overwrite an existing vehiculos or peatones record.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName 'vehiculos' or 'peatones'.
+   * @param {Object}      record    The full record including its id.
+   */
+  function updateAccessRecord(db, storeName, record) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction([storeName, SYNC_STORE], 'readwrite');
+      const store = tx.objectStore(storeName);
+      const stored = stampUpdated(withHistoryKeys(storeName, record));
+      const req = store.put(stored);
+      req.onsuccess = function (e) {
+        enqueueChange(tx, storeName, 'update', stored.id, stored);
+        resolve(e.target.result);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Save an access record. The visitor's profile is created or refreshed
+   * and the record points at it. Entries and denials are simply inserted;
+   * a 'salida' additionally closes the visitor's open 'entrada' and both
+   * records are linked to each other. Everything happens in one
+   * transaction, so two open tabs or a double click cannot close
+   * the same entrada twice, and a failure leaves nothing half written.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName 'vehiculos' or 'peatones'.
+   * @param {Object}      record    The access record to store.
+   * @param {Object}      [openEntrada] The entrada to close. When omitted
+   *                            the latest open entrada of the visitor is used.
+   * @returns {Promise<number>}     The ID of the inserted record.
+   */
+  async function registerAccess(db, storeName, record, openEntrada) {
+    const tx = db.transaction([storeName, PROFILE_STORES[storeName], SYNC_STORE], 'readwrite');
+    const finished = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onabort = function () {
+        reject(tx.error || new Error('Registro cancelado'));
+      };
+    });
+    let id;
+    try {
+      const store = tx.objectStore(storeName);
+      const linked = await linkProfile(tx, storeName, record);
+      let entrada = null;
+      if (linked.accion === 'salida') {
+        if (openEntrada) {
+          // The caller's copy may be stale; it is only closed if it is
+          // still open
+          const current = await requestResult(store.get(openEntrada.id));
+          entrada = current && current.salidaId == null ? current : null;
+        } else {
+          entrada = await findOpenEntrada(store, storeName, visitKey(storeName, linked));
+        }
+      }
+      const stored = stampUpdated(withUid(withHistoryKeys(storeName, entrada ? Object.assign({}, linked, { entradaId: entrada.id }) : linked)));
+      id = await requestResult(store.add(stored));
+      enqueueChange(tx, storeName, 'insert', id, stored);
+      if (entrada) {
+        const closed = stampUpdated(Object.assign({}, entrada, {
+          salidaId: id,
+          salidaFecha: linked.fecha,
+          salidaHora: linked.hora,
+          salidaTimestamp: recordTime(linked)
+        }));
+        await requestResult(store.put(closed));
+        enqueueChange(tx, storeName, 'update', closed.id, closed);
+      }
+    } catch (err) {
+      try {
+        tx.abort();
+      } catch (_) {
+        // Already aborted by the failed request
+      }
+      await finished.catch(() => {});
+      throw err;
+    }
+    await finished;
+    scheduleOutboxFlush(db);
+    return id;
+  }
+
+  /**
+   * Group the access records of one store into visits. Each visit is
+   * { entrada, salida, denegado } where only the applicable records are
+   * set. Linked records are paired through their ids; legacy records
+   * without links are paired chronologically, each 'salida' closing the
+   * latest open 'entrada' of the same visitor.
+   *
+   * @param {string} storeName 'vehiculos' or 'peatones'.
+   * @param {Array}  records   All records of that store.
+   * @returns {Array<{entrada: ?Object, salida: ?Object, denegado: ?Object}>}
+   */
+  function buildVisits(storeName, records) {
+    const byId = new Map(records.map(r => [r.id, r]));
+    const sorted = [...records].sort((a, b) => (recordTime(a) - recordTime(b)) || (a.id - b.id));
+    const visits = [];
+    const visitByEntradaId = new Map();
+    // Open legacy visits per visitor key
+    const openByKey = new Map();
+    for (const rec of sorted) {
+      const accion = (rec.accion || '').toLowerCase();
+      if (accion === 'entrada') {
+        const visit = { entrada: rec, salida: null, denegado: null };
+        visits.push(visit);
+        visitByEntradaId.set(rec.id, visit);
+        if (rec.salidaId != null && byId.has(rec.salidaId)) {
+          visit.salida = byId.get(rec.salidaId);
+        } else if (rec.salidaId == null) {
+          const key = visitKey(storeName, rec);
+          if (key) openByKey.set(key, visit);
+        }
+      } else if (accion === 'salida') {
+        if (rec.entradaId != null && byId.has(rec.entradaId)) {
+          // Already attached to its entrada above
+          continue;
+        }
+        const key = visitKey(storeName, rec);
+        const open = key ? openByKey.get(key) : null;
+        if (open && !open.salida) {
+          open.salida = rec;
+          openByKey.delete(key);
+        } else {
+          visits.push({ entrada: null, salida: rec, denegado: null });
+        }
+      } else {
+        visits.push({ entrada: null, salida: null, denegado: rec });
+      }
+    }
+    return visits;
+  }
+
+  /**
+   * List the visits that are still open (an 'entrada' without a
+   * matching 'salida') across vehiculos and peatones, oldest first.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @returns {Promise<Array<{storeName: string, entrada: Object}>>}
+   */
+  async function getOpenVisits(db) {
+    const [vehiculos, peatones] = await Promise.all([getAllVehiculos(db), getAllPeatones(db)]);
+    const open = [];
+    for (const [storeName, list] of [['vehiculos', vehiculos], ['peatones', peatones]]) {
+      for (const visit of buildVisits(storeName, list)) {
+        if (visit.entrada && !visit.salida && !visit.entrada.salidaHora) {
+          open.push({ storeName, entrada: visit.entrada });
+        }
+      }
+    }
+    return open.sort((a, b) => recordTime(a.entrada) - recordTime(b.entrada));
+  }
+
+  /**
+   * Classification of a record with the legacy 'frecuente' value read
+   * as 'pase directo'.
+   */
+  function normalizeRegistroTipo(tipo) {
+    return tipo === 'frecuente' ? 'pase directo' : (tipo || '');
+  }
+
+  /**
+   * Key that groups the records of one visitor for the timeline: the
+   * plate or pedestrian code (see visitKey), falling back to the name
+   * for pedestrians registered without a code.
+   */
+  function visitorKey(storeName, record) {
+    const key = visitKey(storeName, record);
+    if (key || storeName === 'vehiculos') return key;
+    return 'nombre:' + String(record.nombre || '').trim().toLowerCase();
+  }
+
+  /**
+   * All visits of the plate or pedestrian of `record`, newest first.
+   * Each visit also carries `registroTipo`, the classification it was
+   * registered with, and `cambio` ({ de, a }) when that classification
+   * differs from the previous visit.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName 'vehiculos' or 'peatones'.
+   * @param {Object}      record    Any access record of the visitor.
+   * @returns {Promise<Array>}
+   */
+  async function getVisitorTimeline(db, storeName, record) {
+    const key = visitorKey(storeName, record);
+    const all = await (storeName === 'vehiculos' ? getAllVehiculos(db) : getAllPeatones(db));
+    const own = key ? all.filter(r => visitorKey(storeName, r) === key) : all.filter(r => r.id === record.id);
+    const visits = buildVisits(storeName, own);
+    let previous = null;
+    for (const visit of visits) {
+      // A salida repeats its entrada's classification, so read the
+      // record that started the visit
+      const main = visit.entrada || visit.denegado || visit.salida;
+      visit.registroTipo = normalizeRegistroTipo(main.registroTipo);
+      if (previous !== null && visit.registroTipo !== previous) {
+        visit.cambio = { de: previous, a: visit.registroTipo };
+      }
+      previous = visit.registroTipo;
+    }
+    return visits.reverse();
+  }
+
+  /**
+   * Photos of a visit in display order, skipping repeats (a salida
+   * registered from the form may carry the entrada's photos again).
+   *
+   * @returns {Array<{campo: string, foto: string}>}
+   */
+  function visitPhotos(visit) {
+    const fotos = [];
+    for (const rec of [visit.entrada, visit.denegado, visit.salida]) {
+      if (!rec) continue;
+      for (const campo of FOTO_FIELDS) {
+        if (rec[campo] && !fotos.some(f => f.foto === rec[campo])) fotos.push({ campo, foto: rec[campo] });
+      }
+    }
+    return fotos;
+  }
+
+  /**
+   * Build the 'salida' record that closes an open visit: the visitor
+   * data of the entrada with the current time and the guard on shift.
+   * Photos and replication fields stay on the entrada only.
+   *
+   * @param {Object} entrada The open entrada record.
+   * @param {Object} guard   The logged‑in guard.
+   * @param {string} turno   The current shift.
+   */
+  function buildSalidaRecord(entrada, guard, turno) {
+    const {
+      id, accion, fecha, hora, timestamp, salidaId, salidaFecha, salidaHora, salidaTimestamp,
+      guardiaId, guardiaNombre, fotoVehiculo, fotoIdentificacion, fotoPersona,
+      uid, origen, indexedDbId, actualizado, ...visitor
+    } = entrada;
+    const now = new Date();
+    return Object.assign(visitor, {
+      fecha: now.toISOString().slice(0, 10),
+      hora: now.toTimeString().slice(0, 8),
+      timestamp: now.getTime(),
+      accion: 'salida',
+      ...guardStamp(guard, turno)
+    });
+  }
+
+  /*
+   * Stay limit for the occupancy panel, in minutes. Stored in
+   * localStorage like the custom vehicle models so every booth can
+   * choose its own value.
+   */
+  const DEFAULT_STAY_LIMIT_MINUTES = 240;
+  function getStayLimitMinutes() {
+    const stored = parseInt(localStorage.getItem('limite_estancia_minutos'), 10);
+    return !isNaN(stored) && stored > 0 ? stored : DEFAULT_STAY_LIMIT_MINUTES;
+  }
+  function setStayLimitMinutes(minutes) {
+    localStorage.setItem('limite_estancia_minutos', String(minutes));
+  }
+
+  // Bitacora operations
+  function addNota(db, record) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['bitacora', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('bitacora');
+      const stored = stampUpdated(withUid(record));
+      const req = store.add(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, 'bitacora', 'insert', id, stored);
+        resolve(id);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getAllBitacora(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('bitacora', 'readonly');
+      const store = tx.objectStore('bitacora');
+      const req = store.getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function deleteNota(db, id) {
+    return deleteStoreRecord(db, 'bitacora', id);
+  }
+
+  /*
+   * Password hashing helpers
+   *
+   * Guard passwords are never stored. Instead we keep a PBKDF2‑SHA256
+   * derivation of the password together with a random per‑guard salt
+   * and the iteration count, so the work factor can be raised later
+   * without invalidating existing accounts. All values are base64
+   * encoded so they survive JSON backups and Firestore replication.
+   */
+  const PASSWORD_ITERATIONS = 210000;
+  const PASSWORD_SALT_BYTES = 16;
+  const PASSWORD_HASH_BITS = 256;
+
+  function bytesToBase64(bytes) {
+    let binary = '';
+    const arr = new Uint8Array(bytes);
+    for (let i = 0; i < arr.length; i++) {
+      binary += String.fromCharCode(arr[i]);
+    }
+    return btoa(binary);
+  }
+  function base64ToBytes(str) {
+    const binary = atob(str || '');
+    const arr = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      arr[i] = binary.charCodeAt(i);
+    }
+    return arr;
+  }
+
+  /**
+   * Derive a PBKDF2 hash for a password. When no salt is given a new
+   * random one is generated.
+   *
+   * @param {string}     password   The plaintext password.
+   * @param {string}     [salt]     Base64 salt of an existing record.
+   * @param {number}     [iterations] Iteration count of an existing record.
+   * @returns {Promise<{passwordHash:string, passwordSalt:string, passwordIterations:number}>}
+   */
+  async function hashPassword(password, salt, iterations) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('WebCrypto no está disponible en este navegador');
+    }
+    const saltBytes = salt ? base64ToBytes(salt) : window.crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const rounds = iterations || PASSWORD_ITERATIONS;
+    const keyMaterial = await window.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password || ''),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await window.crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt: saltBytes, iterations: rounds, hash: 'SHA-256' },
+      keyMaterial,
+      PASSWORD_HASH_BITS
+    );
+    return {
+      passwordHash: bytesToBase64(bits),
+      passwordSalt: bytesToBase64(saltBytes),
+      passwordIterations: rounds
+    };
+  }
+
+  /**
+   * Check a password against a stored guard record. The comparison of
+   * the derived hashes runs over the full length to avoid leaking the
+   * position of the first mismatch.
+   *
+   * @param {string} password The password typed by the user.
+   * @param {Object} guard    A guard record with passwordHash/passwordSalt.
+   * @returns {Promise<boolean>}
+   */
+  async function verifyPassword(password, guard) {
+    if (!guard || !guard.passwordHash || !guard.passwordSalt) return false;
+    const { passwordHash } = await hashPassword(password, guard.passwordSalt, guard.passwordIterations);
+    return sameSecret(passwordHash, guard.passwordHash);
+  }
+
+  // Compare two strings over their full length
+  function sameSecret(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+      diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+  }
+
+  /**
+   * Return a copy of a guard record where a plaintext `password` field
+   * has been replaced by its hash. Records without a plaintext password
+   * are returned unchanged (apart from the copy).
+   *
+   * @param {Object} record A guard record.
+   * @returns {Promise<Object>}
+   */
+  async function withHashedPassword(record) {
+    const { password, ...rest } = record || {};
+    if (typeof password !== 'string' || password === '') {
+      return rest;
+    }
+    const hashed = await hashPassword(password);
+    return Object.assign(rest, hashed);
+  }
+
+  /**
+   * Replace every plaintext password still present in the guardias store
+   * with a salted hash. Runs every time the database is opened.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   */
+  async function migratePlaintextPasswords(db) {
+    const list = await getAllGuardias(db);
+    for (const guard of list) {
+      if (typeof guard.password === 'string') {
+        const migrated = await withHashedPassword(guard);
+        await updateGuard(db, migrated);
+      }
+    }
+  }
+
+  // Guardias operations
+  /**
+   * Insert a guard. A plaintext `password` in the record is hashed
+   * before it reaches IndexedDB, so no caller can store it by accident.
+   *
+   * @param {IDBDatabase} db     An open IndexedDB instance.
+   * @param {Object}      record { nombre, usuario, password, rol } or a
+   *                             record that already carries a hash.
+   * @returns {Promise<number>}  The auto‑generated guard ID.
+   */
+  async function addGuard(db, record) {
+    const stored = stampUpdated(withUid(await withHashedPassword(record)));
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['guardias', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('guardias');
+      const req = store.add(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, 'guardias', 'insert', id, stored);
+        resolve(id);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /*
+   * Backup format
+   *
+   * Backups are an envelope around the store contents:
+   *
+   *   { formato: 'control-accesos-respaldo', version: 2,
+   *     app: APP_VERSION, exportado: ISO timestamp,
+   *     conteos: { store: record count }, checksum: SHA-256 hex,
+   *     datos: { vehiculos: [...], peatones: [...], ..., fotos: [...] } }
+   *
+   * The checksum covers JSON.stringify(datos), which serialises the
+   * parsed backup back to the same text. Backups exported before the
+   * envelope existed are the bare `datos` object and count as version 1;
+   * readBackup() migrates them one version at a time through
+   * BACKUP_MIGRATIONS and validates every record against BACKUP_SCHEMA
+   * before anything is planned.
+   */
+  const BACKUP_FORMAT = 'control-accesos-respaldo';
+  const BACKUP_VERSION = 2;
+  // Application release recorded in backups
+  const APP_VERSION = '1.12.0';
+  // Values of `accion` on access records, including the spellings of
+  // denials older versions stored
+  const BACKUP_ACCIONES = ['entrada', 'salida', 'denegado', 'negado', 'denegada'];
+  const BACKUP_STORES = ['vehiculos', 'peatones', 'bitacora', 'guardias', 'directorios', 'lista_negra', 'visitantes', 'vehiculos_registrados', 'fotos'];
+  // Field types per store. A trailing '!' marks required fields. Fields
+  // not listed are kept as they are.
+  const BACKUP_SCHEMA = {
+    vehiculos: { placa: 'texto!', fecha: 'fecha!', hora: 'hora!', accion: 'accion', timestamp: 'numero', entradaId: 'id', salidaId: 'id' },
+    peatones: { nombre: 'texto!', fecha: 'fecha!', hora: 'hora!', accion: 'accion', timestamp: 'numero', entradaId: 'id', salidaId: 'id' },
+    bitacora: { fecha: 'fecha!', hora: 'hora!', nota: 'texto!', timestamp: 'numero' },
+    guardias: { usuario: 'texto!', nombre: 'texto', rol: 'texto', passwordHash: 'texto', passwordSalt: 'texto', passwordIterations: 'numero' },
+    directorios: { destino: 'texto!', residentes: 'lista', telefonos: 'lista', indicaciones: 'texto' },
+    lista_negra: { tipo: 'tipoLista!', valor: 'texto!', razon: 'texto', expira: 'fecha' },
+    visitantes: { nombre: 'texto!' },
+    vehiculos_registrados: { placa: 'texto!' },
+    fotos: { id: 'texto!', datos: 'imagen!' }
+  };
+  const BACKUP_COMMON_FIELDS = { uid: 'texto', actualizado: 'numero' };
+  const BACKUP_TYPE_CHECKS = {
+    texto: v => typeof v === 'string',
+    numero: v => typeof v === 'number' && isFinite(v),
+    id: v => typeof v === 'number' || typeof v === 'string',
+    lista: v => Array.isArray(v) && v.every(x => typeof x === 'string'),
+    fecha: v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v),
+    hora: v => typeof v === 'string' && /^\d{2}:\d{2}(:\d{2})?$/.test(v),
+    accion: v => BACKUP_ACCIONES.includes(v),
+    tipoLista: v => LISTA_NEGRA_TIPOS.some(t => t.value === v),
+    imagen: v => typeof v === 'string' && v.startsWith('data:image/')
+  };
+  const BACKUP_TYPE_LABELS = {
+    texto: 'texto',
+    numero: 'un número',
+    id: 'un identificador',
+    lista: 'una lista de textos',
+    fecha: 'una fecha AAAA-MM-DD',
+    hora: 'una hora HH:MM',
+    accion: "'entrada', 'salida' o 'denegado'",
+    tipoLista: 'un tipo de lista negra válido',
+    imagen: 'una imagen en data URL'
+  };
+  // BACKUP_MIGRATIONS[n] turns the `datos` of a version n backup into
+  // those of version n + 1.
+  const BACKUP_MIGRATIONS = {
+    // Version 1 kept the Firestore document id in remoteId, which later
+    // became the global uid
+    1: datos => {
+      const migrated = {};
+      BACKUP_STORES.filter(name => Array.isArray(datos[name])).forEach(name => {
+        migrated[name] = datos[name].map(rec => {
+          if (!rec || typeof rec !== 'object' || !rec.remoteId) return rec;
+          const { remoteId, ...rest } = rec;
+          return rest.uid ? rest : Object.assign(rest, { uid: remoteId });
+        });
+      });
+      return migrated;
+    }
+  };
+
+  async function backupChecksum(datos) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(datos)));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Check every record of `datos` against BACKUP_SCHEMA.
+   *
+   * @returns {Array<{store: string, indice: number, mensaje: string}>}
+   *   One entry per invalid record, `indice` being its 1-based position.
+   */
+  function validateBackupData(datos) {
+    const errores = [];
+    BACKUP_STORES.forEach(storeName => {
+      const records = datos[storeName];
+      if (records === undefined) return;
+      if (!Array.isArray(records)) {
+        errores.push({ store: storeName, indice: 0, mensaje: 'debe ser una lista de registros' });
+        return;
+      }
+      const schema = Object.assign({}, BACKUP_COMMON_FIELDS, BACKUP_SCHEMA[storeName]);
+      records.forEach((rec, i) => {
+        if (!rec || typeof rec !== 'object' || Array.isArray(rec)) {
+          errores.push({ store: storeName, indice: i + 1, mensaje: 'no es un objeto' });
+          return;
+        }
+        const problemas = [];
+        Object.keys(schema).forEach(field => {
+          const required = schema[field].endsWith('!');
+          const type = schema[field].replace('!', '');
+          const value = rec[field];
+          if (value == null || value === '') {
+            if (required) problemas.push(`falta ${field}`);
+          } else if (!BACKUP_TYPE_CHECKS[type](value)) {
+            problemas.push(`${field} debe ser ${BACKUP_TYPE_LABELS[type]}`);
+          }
+        });
+        if (problemas.length) errores.push({ store: storeName, indice: i + 1, mensaje: problemas.join('; ') });
+      });
+    });
+    return errores;
+  }
+
+  /**
+   * Parse, verify, migrate and validate the text of a backup file.
+   *
+   * @param {string} text The contents of the file.
+   * @returns {Promise<{datos: Object|null, version: number, info: Object, errores: Array}>}
+   *   `datos` is in the current format and only set when there are no
+   *   errors. `info` holds the export timestamp and application release
+   *   when the backup records them. Errors about the file as a whole
+   *   have no `store`.
+   */
+  async function readBackup(text) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (err) {
+      return { datos: null, version: 0, info: {}, errores: [{ mensaje: 'El archivo no contiene un JSON válido' }] };
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { datos: null, version: 0, info: {}, errores: [{ mensaje: 'El archivo no es un respaldo' }] };
+    }
+    let version;
+    let datos;
+    let info = {};
+    const errores = [];
+    if (parsed.formato === BACKUP_FORMAT) {
+      version = parsed.version;
+      datos = parsed.datos;
+      info = { exportado: parsed.exportado || '', app: parsed.app || '' };
+      if (!Number.isInteger(version) || version < 1) {
+        return { datos: null, version: 0, info: {}, errores: [{ mensaje: 'El respaldo no indica una versión de formato válida' }] };
+      }
+      if (version > BACKUP_VERSION) {
+        return { datos: null, version, info: {}, errores: [{ mensaje: `El respaldo usa la versión ${version} del formato y esta aplicación solo admite hasta la ${BACKUP_VERSION}. Actualice la aplicación.` }] };
+      }
+      if (!datos || typeof datos !== 'object' || Array.isArray(datos)) {
+        return { datos: null, version, info: {}, errores: [{ mensaje: 'El respaldo no contiene datos' }] };
+      }
+      if (parsed.checksum !== await backupChecksum(datos)) {
+        errores.push({ mensaje: 'La suma de verificación no coincide: el archivo está dañado o fue modificado' });
+      }
+      Object.keys(parsed.conteos || {}).forEach(storeName => {
+        const count = Array.isArray(datos[storeName]) ? datos[storeName].length : 0;
+        if (count !== parsed.conteos[storeName]) {
+          errores.push({ store: storeName, mensaje: `se esperaban ${parsed.conteos[storeName]} registros y hay ${count}` });
+        }
+      });
+    } else if (BACKUP_STORES.some(name => Array.isArray(parsed[name]))) {
+      version = 1;
+      datos = parsed;
+    } else {
+      return { datos: null, version: 0, info: {}, errores: [{ mensaje: 'El archivo no es un respaldo' }] };
+    }
+    for (let v = version; v < BACKUP_VERSION; v++) {
+      datos = BACKUP_MIGRATIONS[v](datos);
+    }
+    errores.push(...validateBackupData(datos));
+    return { datos: errores.length ? null : datos, version, info, errores };
+  }
+
+  /*
+   * Encrypted backups
+   *
+   * An encrypted backup wraps the JSON text of a regular backup:
+   *
+   *   { formato: 'control-accesos-respaldo-cifrado', version: 1,
+   *     kdf: { nombre: 'PBKDF2', hash: 'SHA-256', iteraciones, sal },
+   *     cifrado: { nombre: 'AES-GCM', iv },
+   *     datos: base64 ciphertext }
+   *
+   * The AES-GCM key is derived from the passphrase with the same PBKDF2
+   * work factor as guard passwords. GCM authenticates the ciphertext, so
+   * a wrong passphrase and a modified file both fail to decrypt.
+   */
+  const BACKUP_CIPHER_FORMAT = 'control-accesos-respaldo-cifrado';
+  const BACKUP_CIPHER_VERSION = 1;
+  const BACKUP_IV_BYTES = 12;
+  const BACKUP_PASSPHRASE_MIN = 8;
+
+  async function deriveBackupKey(passphrase, salt, iterations) {
+    if (!window.crypto || !window.crypto.subtle) {
+      throw new Error('WebCrypto no está disponible en este navegador');
+    }
+    const keyMaterial = await window.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(passphrase),
+      'PBKDF2',
+      false,
+      ['deriveKey']
+    );
+    return window.crypto.subtle.deriveKey(
+      { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt the JSON text of a backup with a passphrase.
+   *
+   * @param {string} text       The backup as JSON.
+   * @param {string} passphrase The passphrase chosen by the administrator.
+   * @returns {Promise<Object>} The encrypted backup envelope.
+   */
+  async function encryptBackup(text, passphrase) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const iv = window.crypto.getRandomValues(new Uint8Array(BACKUP_IV_BYTES));
+    const key = await deriveBackupKey(passphrase, salt, PASSWORD_ITERATIONS);
+    const ciphertext = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return {
+      formato: BACKUP_CIPHER_FORMAT,
+      version: BACKUP_CIPHER_VERSION,
+      kdf: { nombre: 'PBKDF2', hash: 'SHA-256', iteraciones: PASSWORD_ITERATIONS, sal: bytesToBase64(salt) },
+      cifrado: { nombre: 'AES-GCM', iv: bytesToBase64(iv) },
+      datos: bytesToBase64(ciphertext)
+    };
+  }
+
+  // The parsed envelope when `text` is an encrypted backup, else null
+  function parseEncryptedBackup(text) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && parsed.formato === BACKUP_CIPHER_FORMAT ? parsed : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Decrypt an encrypted backup envelope back to the JSON text of the
+   * backup. Throws when the passphrase is wrong or the file was altered.
+   */
+  async function decryptBackup(envelope, passphrase) {
+    if (envelope.version > BACKUP_CIPHER_VERSION) {
+      throw new Error('El respaldo cifrado fue creado por una versión más reciente de la aplicación');
+    }
+    const { kdf = {}, cifrado = {} } = envelope;
+    if (kdf.nombre !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cifrado.nombre !== 'AES-GCM') {
+      throw new Error('Método de cifrado no admitido');
+    }
+    const key = await deriveBackupKey(passphrase, base64ToBytes(kdf.sal), kdf.iteraciones);
+    let plaintext;
+    try {
+      plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(cifrado.iv) }, key, base64ToBytes(envelope.datos));
+    } catch (err) {
+      throw new Error('Contraseña incorrecta o respaldo dañado');
+    }
+    return new TextDecoder().decode(plaintext);
+  }
+
+  /**
+   * Export the entire contents of all object stores as a backup in the
+   * current format (see BACKUP_FORMAT). `datos` contains keys for
+   * vehiculos, peatones, bitacora, guardias, directorios, lista_negra,
+   * the visitantes and vehiculos_registrados profiles and fotos (each
+   * photo as a data URL in `datos`). This function does not initiate
+   * a download on its own; callers can convert the result to a Blob and
+   * trigger a download as needed.
+   *
+   * With `opciones.fotos` set to false `datos.fotos` is left empty; the
+   * records still name their photos by id, which resolve as long as the
+   * local fotos store keeps them.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @param {Object} [opciones]
+   * @param {boolean} [opciones.fotos=true] Whether to include the photo data.
+   * @returns {Promise<Object>} A promise that resolves with the backup.
+   */
+  async function exportDatabase(db, opciones = {}) {
+    if (!db) throw new Error('DB not initialised');
+    const incluirFotos = opciones.fotos !== false;
+    const [vehiculos, peatones, bitacora, guardias, directorios, listaNegra, visitantes, vehiculosRegistrados, fotos] = await Promise.all([
+      getAllVehiculos(db),
+      getAllPeatones(db),
+      getAllBitacora(db),
+      getAllGuardias(db),
+      getAllDirectorios(db),
+      getAllListaNegra(db),
+      getAllProfiles(db, 'visitantes'),
+      getAllProfiles(db, 'vehiculos_registrados'),
+      incluirFotos ? getAllFotos(db) : []
+    ]);
+    // Guards only carry password hashes, but strip any stray plaintext
+    // field defensively: backups are shared through navigator.share.
+    const safeGuardias = guardias.map(({ password, ...rest }) => rest);
+    // Blobs do not survive JSON, so photos travel as data URLs
+    const exportedFotos = [];
+    for (const { id, tipo, creado, blob } of fotos) {
+      exportedFotos.push({ id, tipo, creado, datos: await blobToDataUrl(blob) });
+    }
+    const datos = {
+      vehiculos,
+      peatones,
+      bitacora,
+      guardias: safeGuardias,
+      directorios,
+      lista_negra: listaNegra,
+      visitantes,
+      vehiculos_registrados: vehiculosRegistrados,
+      fotos: exportedFotos
+    };
+    const conteos = {};
+    BACKUP_STORES.forEach(name => {
+      conteos[name] = datos[name].length;
+    });
+    return {
+      formato: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      app: APP_VERSION,
+      exportado: new Date().toISOString(),
+      conteos,
+      checksum: await backupChecksum(datos),
+      datos
+    };
+  }
+
+  /*
+   * Automatic backups
+   *
+   * Snapshots of exportDatabase() live in a database of their own,
+   * access_control_backups, so resetting access_control_db does not
+   * take them along. `respaldos` holds the metadata shown in the list
+   * and `contenidos` the backup JSON under the same id, so listing the
+   * snapshots does not load every backup into memory. Depending on the
+   * mode chosen in the administration panel a snapshot is taken once a
+   * day or at every shift change, and only the newest AUTO_BACKUP_KEEP
+   * of each motivo are kept, so manual snapshots never push out the
+   * scheduled ones. Snapshots leave the photo data out: the records
+   * keep their photo ids, which still resolve from the fotos store of
+   * access_control_db, and a full copy is one "Exportar datos" away.
+   */
+  const AUTO_BACKUP_DB = 'access_control_backups';
+  const AUTO_BACKUP_KEEP = 14;
+  // How often a running app checks whether a snapshot is due
+  const AUTO_BACKUP_CHECK_MS = 60 * 60 * 1000;
+  const AUTO_BACKUP_MODES = [
+    { value: 'diario', label: 'Una vez al día' },
+    { value: 'turno', label: 'En cada cambio de turno' },
+    { value: 'desactivado', label: 'Desactivados' }
+  ];
+  const AUTO_BACKUP_MOTIVOS = { diario: 'Diario', turno: 'Cambio de turno', manual: 'Manual' };
+
+  function getAutoBackupMode() {
+    const stored = localStorage.getItem('respaldo_automatico');
+    return AUTO_BACKUP_MODES.some(m => m.value === stored) ? stored : 'diario';
+  }
+  function setAutoBackupMode(mode) {
+    localStorage.setItem('respaldo_automatico', mode);
+  }
+
+  function openBackupDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(AUTO_BACKUP_DB, 1);
+      request.onupgradeneeded = function (event) {
+        const db = event.target.result;
+        db.createObjectStore('respaldos', { keyPath: 'id', autoIncrement: true });
+        db.createObjectStore('contenidos', { keyPath: 'id' });
+      };
+      request.onsuccess = function (event) {
+        resolve(event.target.result);
+      };
+      request.onerror = function (event) {
+        reject(event.target.error);
+      };
+    });
+  }
+
+  /**
+   * Metadata of the stored snapshots, newest first:
+   * { id, creado, fecha, motivo, turno, tamano, conteos }.
+   */
+  async function listAutoBackups() {
+    const backupDb = await openBackupDb();
+    try {
+      const respaldos = await getAllRecords(backupDb, 'respaldos');
+      return respaldos.sort((a, b) => b.creado - a.creado);
+    } finally {
+      backupDb.close();
+    }
+  }
+
+  // The backup JSON of a snapshot
+  async function getAutoBackupText(id) {
+    const backupDb = await openBackupDb();
+    try {
+      const tx = backupDb.transaction('contenidos', 'readonly');
+      const contenido = await requestResult(tx.objectStore('contenidos').get(id));
+      if (!contenido) throw new Error('El respaldo ya no existe');
+      return contenido.texto;
+    } finally {
+      backupDb.close();
+    }
+  }
+
+  /**
+   * Store a snapshot of the database, without photo data, and drop the
+   * oldest snapshots of the same motivo beyond AUTO_BACKUP_KEEP.
+   *
+   * @param {IDBDatabase} db     An open access_control_db instance.
+   * @param {string}      motivo 'diario', 'turno' or 'manual'.
+   * @param {string}      [turno] The shift on duty.
+   * @returns {Promise<Object>} The metadata of the new snapshot.
+   */
+  async function saveAutoBackup(db, motivo, turno) {
+    const backup = await exportDatabase(db, { fotos: false });
+    const texto = JSON.stringify(backup);
+    const meta = {
+      creado: Date.now(),
+      fecha: localToday(),
+      motivo,
+      turno: turno || '',
+      tamano: new Blob([texto]).size,
+      conteos: backup.conteos
+    };
+    const backupDb = await openBackupDb();
+    try {
+      const tx = backupDb.transaction(['respaldos', 'contenidos'], 'readwrite');
+      const finished = new Promise((resolve, reject) => {
+        tx.oncomplete = resolve;
+        tx.onabort = function () {
+          reject(tx.error || new Error('No se pudo guardar el respaldo'));
+        };
+      });
+      const respaldos = tx.objectStore('respaldos');
+      const contenidos = tx.objectStore('contenidos');
+      meta.id = await requestResult(respaldos.add(meta));
+      contenidos.put({ id: meta.id, texto });
+      // Ids are ascending, so the oldest snapshots come first
+      const ids = (await requestResult(respaldos.getAll()))
+        .filter(r => r.motivo === motivo)
+        .map(r => r.id);
+      ids.slice(0, Math.max(0, ids.length - AUTO_BACKUP_KEEP)).forEach(id => {
+        respaldos.delete(id);
+        contenidos.delete(id);
+      });
+      await finished;
+      return meta;
+    } finally {
+      backupDb.close();
+    }
+  }
+
+  let scheduledBackup = null;
+  /**
+   * Take the automatic snapshot that is due, if any. In 'diario' mode a
+   * snapshot is due when the last one is from an earlier day; in
+   * 'turno' mode when the shift on duty differs from the one of the
+   * last snapshot of the day. Concurrent calls share the same run.
+   *
+   * @returns {Promise<Object|null>} The new snapshot's metadata, or null.
+   */
+  function runScheduledBackup(db, turno) {
+    if (scheduledBackup) return scheduledBackup;
+    scheduledBackup = (async () => {
+      const mode = getAutoBackupMode();
+      if (mode === 'desactivado' || (mode === 'turno' && !turno)) return null;
+      const today = localToday();
+      const last = (await listAutoBackups()).find(b => b.motivo === mode);
+      if (last && last.fecha === today && (mode === 'diario' || last.turno === turno)) return null;
+      return saveAutoBackup(db, mode, turno);
+    })();
+    return scheduledBackup.finally(() => {
+      scheduledBackup = null;
+    });
+  }
+
+  function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * Hand a backup file to the user: share it with the Web Share API on
+   * supported platforms (e.g. iOS Safari, Android Chrome), else download
+   * it via an anchor tag. Finally, for iOS where downloads via anchors
+   * may be blocked, open the data in a new tab.
+   *
+   * @param {string} json     The contents of the file.
+   * @param {string} filename Suggested file name.
+   */
+  async function shareBackupFile(json, filename) {
+    const blob = new Blob([json], { type: 'application/json' });
+    let downloadDone = false;
+    try {
+      if (navigator.share && typeof File === 'function') {
+        const file = new File([blob], filename, { type: 'application/json' });
+        await navigator.share({ files: [file], title: 'Respaldo de base de datos', text: 'Respaldo generado por la aplicación' });
+        downloadDone = true;
+      }
+    } catch (errShare) {
+      // Ignore share errors and fall back
+    }
+    if (!downloadDone) {
+      try {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+        downloadDone = true;
+      } catch (errLink) {
+        // ignore and fall back
+      }
+    }
+    // On iOS/Safari, anchor downloads may silently fail. In that
+    // case open the JSON as a data URL in a new tab so the user
+    // can copy/save the contents manually.
+    const isiOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+    if (!downloadDone && isiOS) {
+      const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
+      window.open(dataUrl, '_blank');
+    }
+  }
+
+  /*
+   * Merge import
+   *
+   * Importing a backup merges it into the local stores instead of
+   * replacing them, so a backup from another booth adds its records to
+   * the local ones. planImport() matches every record of the backup
+   * against the local store, first by global uid and then by a natural
+   * key (IMPORT_NATURAL_KEYS), and classifies it:
+   *
+   *   nuevo      no local match; it is inserted
+   *   actualizar the match differs and the backup copy is newer
+   *   conflicto  the match differs and the local copy is as new or newer
+   *   igual      the match has the same content; nothing to do
+   *
+   * The plan is shown to the administrator before anything is written.
+   * applyImport() then writes it in a single transaction over every
+   * store, so an error anywhere rolls the whole import back. Everything
+   * asynchronous that is not IndexedDB (photo hashing, password hashing)
+   * happens while planning, since waiting for it would let the
+   * transaction auto-commit halfway.
+   */
+  const IMPORT_STORES = ['guardias', 'directorios', 'lista_negra', 'visitantes', 'vehiculos_registrados', 'vehiculos', 'peatones', 'bitacora'];
+  const IMPORT_LABELS = {
+    guardias: 'Guardias',
+    directorios: 'Directorio',
+    lista_negra: 'Lista negra',
+    visitantes: 'Perfiles de peatones',
+    vehiculos_registrados: 'Perfiles de vehículos',
+    vehiculos: 'Accesos vehiculares',
+    peatones: 'Accesos peatonales',
+    bitacora: 'Bitácora'
+  };
+  const IMPORT_NATURAL_KEYS = {
+    guardias: r => String(r.usuario || '').trim().toLowerCase(),
+    directorios: r => String(r.destino || '').trim().toLowerCase(),
+    lista_negra: r => `${r.tipo}|${normalizeWatchValue(r.tipo, r.valor)}`,
+    visitantes: r => foldName(r.nombre),
+    vehiculos_registrados: r => normalizePlaca(r.placa),
+    // An exit can be registered in the same second as its entry
+    vehiculos: r => `${normalizePlaca(r.placa)}|${r.fecha}|${r.hora}|${r.accion}`,
+    peatones: r => `${foldName(r.nombre)}|${r.fecha}|${r.hora}|${r.accion}`,
+    bitacora: r => `${r.fecha}|${r.hora}|${String(r.nota || '').trim()}`
+  };
+  // Bookkeeping fields left out when comparing two copies of a record.
+  // Links and profile references are derived, and older backups lack them.
+  const IMPORT_IGNORED_FIELDS = ['id', 'uid', 'remoteId', 'actualizado', 'origen', 'indexedDbId', 'vehiculoUid', 'visitanteUid', 'placaNorm', 'destinoNorm'].concat(LINK_FIELDS);
+
+  function getAllRecords(db, storeName) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * Promise of the result of an IndexedDB request. Awaiting it does not
+   * end the transaction: the continuation runs right after the success
+   * event, before the transaction gets a chance to commit.
+   */
+  function requestResult(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = function (e) {
+        resolve(e.target.result);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  // Whether two copies of a record hold the same data. Missing, null
+  // and empty values are considered equal. With `onlyB` only the fields
+  // of `b` are compared.
+  function sameImportContent(a, b, onlyB) {
+    const keys = new Set(onlyB ? Object.keys(b) : Object.keys(a).concat(Object.keys(b)));
+    for (const key of keys) {
+      if (IMPORT_IGNORED_FIELDS.includes(key)) continue;
+      const va = a[key] == null ? '' : a[key];
+      const vb = b[key] == null ? '' : b[key];
+      if (JSON.stringify(va) !== JSON.stringify(vb)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Work out what importing `data` would do, without writing anything.
+   *
+   * @param {IDBDatabase} db   An open IndexedDB instance.
+   * @param {Object}      data The `datos` of a backup, as returned by readBackup().
+   * @param {{parcial: boolean}} [opciones] `parcial` when the records only
+   *   carry some of their fields (CSV imports): only those are compared,
+   *   and updates keep the other local fields.
+   * @returns {Promise<{stores: Object, fotos: Map, perfiles: boolean, parcial: boolean}>}
+   *   `stores` maps each store present in the backup to its items
+   *   ({ accion, backupId, incoming, local }), `fotos` holds the photo
+   *   Blobs to add by id, and `perfiles` whether the backup carries
+   *   visitor profiles or no access records to build them from.
+   */
+  async function planImport(db, data, opciones = {}) {
+    const parcial = Boolean(opciones.parcial);
+    if (!data || typeof data !== 'object') throw new Error('Datos de importación inválidos');
+    const fotos = new Map();
+    // Photo ids are content hashes and are recomputed; the map covers
+    // any mismatch with the ids in the backup
+    const fotoIds = new Map();
+    for (const foto of Array.isArray(data.fotos) ? data.fotos : []) {
+      if (!foto || !foto.datos) continue;
+      const blob = dataUrlToBlob(foto.datos);
+      const id = await fotoIdFor(blob);
+      fotos.set(id, blob);
+      fotoIds.set(foto.id, id);
+    }
+    // Older backups carry photos inline as data URLs
+    async function withImportedFotos(record) {
+      const mapped = Object.assign({}, record);
+      for (const field of FOTO_FIELDS) {
+        const value = mapped[field];
+        if (fotoIds.has(value)) {
+          mapped[field] = fotoIds.get(value);
+        } else if (typeof value === 'string' && value.startsWith('data:')) {
+          try {
+            const blob = await compressImage(dataUrlToBlob(value));
+            mapped[field] = await fotoIdFor(blob);
+            fotos.set(mapped[field], blob);
+          } catch (err) {
+            console.warn('No se pudo importar una fotografía', err);
+          }
+        }
+      }
+      return mapped;
+    }
+    const stores = {};
+    for (const storeName of IMPORT_STORES) {
+      if (!Array.isArray(data[storeName])) continue;
+      const naturalKey = IMPORT_NATURAL_KEYS[storeName];
+      const locals = await getAllRecords(db, storeName);
+      const byUid = new Map(locals.filter(r => r.uid).map(r => [r.uid, r]));
+      const byKey = new Map(locals.map(r => [naturalKey(r), r]));
+      // Records already planned, so duplicates inside the backup are
+      // only inserted once
+      const planned = new Set();
+      const items = [];
+      for (const rec of data[storeName]) {
+        if (!rec || typeof rec !== 'object') continue;
+        const { id, ...fields } = rec;
+        let incoming = fields;
+        if (storeName === 'lista_negra') incoming.clave = normalizeWatchValue(incoming.tipo, incoming.valor);
+        if (storeName === 'vehiculos' || storeName === 'peatones') incoming = await withImportedFotos(incoming);
+        if (storeName === 'visitantes') incoming = withProfileKeys('peatones', await withImportedFotos(incoming));
+        if (storeName === 'vehiculos_registrados') incoming = withProfileKeys('vehiculos', await withImportedFotos(incoming));
+        const key = naturalKey(incoming);
+        const local = (incoming.uid && byUid.get(incoming.uid)) || byKey.get(key);
+        if (planned.has(local) || (!local && planned.has(key))) continue;
+        // Plaintext passwords from older backups are hashed for new
+        // guards; existing guards keep their credentials
+        if (storeName === 'guardias' && typeof incoming.password === 'string') {
+          if (local) {
+            const { password, ...rest } = incoming;
+            incoming = Object.assign(rest, {
+              passwordHash: local.passwordHash,
+              passwordSalt: local.passwordSalt,
+              passwordIterations: local.passwordIterations
+            });
+          } else {
+            incoming = await withHashedPassword(incoming);
+          }
+        }
+        let accion;
+        if (!local) accion = 'nuevo';
+        else if (sameImportContent(local, incoming, parcial)) accion = 'igual';
+        else if ((incoming.actualizado || 0) > (local.actualizado || 0)) accion = 'actualizar';
+        else accion = 'conflicto';
+        planned.add(local || key);
+        items.push({ accion, backupId: id, incoming, local: local || null });
+      }
+      stores[storeName] = items;
+    }
+    const perfiles = ['visitantes', 'vehiculos_registrados'].some(name => Array.isArray(data[name])) ||
+      !['vehiculos', 'peatones'].some(name => Array.isArray(data[name]));
+    return { stores, fotos, perfiles, parcial };
+  }
+
+  /**
+   * Counts per store and action of an import plan, for the preview.
+   */
+  function summarizeImport(plan) {
+    return Object.keys(plan.stores).map(storeName => {
+      const row = { storeName, nuevo: 0, actualizar: 0, conflicto: 0, igual: 0 };
+      plan.stores[storeName].forEach(item => {
+        row[item.accion]++;
+      });
+      return row;
+    });
+  }
+
+  /**
+   * Write an import plan in one transaction. Conflicts keep the local
+   * copy unless `conflictos` is 'importado'. Inserted records get new
+   * ids, so the entradaId/salidaId links between the two halves of a
+   * visit are translated once the whole store is written. Records keep
+   * their uid, so importing the same backup again updates the same
+   * Firestore documents instead of duplicating them. A profile matched
+   * by its plate or name keeps the local uid instead, so the access
+   * records pointing at it (vehiculoUid/visitanteUid) are translated
+   * too; profile stores are written before the access stores.
+   *
+   * @param {IDBDatabase} db   An open IndexedDB instance.
+   * @param {Object}      plan The result of planImport().
+   * @param {{conflictos: string}} [opciones] 'local' (default) or 'importado'.
+   * @returns {Promise<{insertados: number, actualizados: number}>}
+   */
+  async function applyImport(db, plan, opciones = {}) {
+    const storeNames = Object.keys(plan.stores);
+    const tx = db.transaction(storeNames.concat('fotos', SYNC_STORE), 'readwrite');
+    const finished = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onabort = function () {
+        reject(tx.error || new Error('Importación cancelada'));
+      };
+    });
+    const totals = { insertados: 0, actualizados: 0 };
+    // Backup profile uid → local profile uid
+    const profileUids = new Map();
+    const profileStores = Object.values(PROFILE_STORES);
+    try {
+      const fotoStore = tx.objectStore('fotos');
+      for (const [id, blob] of plan.fotos) {
+        if (!(await requestResult(fotoStore.get(id)))) {
+          await requestResult(fotoStore.add({ id, blob, tipo: blob.type, tamano: blob.size, creado: Date.now() }));
+        }
+      }
+      for (const storeName of storeNames) {
+        const store = tx.objectStore(storeName);
+        // Backup id → local id, to translate visit links
+        const ids = new Map();
+        const written = [];
+        for (const { accion, backupId, incoming, local } of plan.stores[storeName]) {
+          const keepLocal = accion === 'igual' || (accion === 'conflicto' && opciones.conflictos !== 'importado');
+          if (profileStores.includes(storeName) && incoming.uid && local) profileUids.set(incoming.uid, local.uid);
+          if (keepLocal) {
+            ids.set(backupId, local.id);
+            continue;
+          }
+          if (!local) {
+            const record = withUid(withHistoryKeys(storeName, incoming));
+            if (!record.actualizado) record.actualizado = Date.now();
+            const id = await requestResult(store.add(record));
+            record.id = id;
+            ids.set(backupId, id);
+            written.push({ op: 'insert', id, record, local: null });
+            totals.insertados++;
+          } else {
+            // The local copy keeps its key and uid. An overridden conflict
+            // is stamped now so it also wins on the other booths.
+            const record = withHistoryKeys(storeName, Object.assign({}, plan.parcial ? local : null, incoming, { id: local.id, uid: local.uid }));
+            Object.values(PROFILE_REFS).forEach(ref => {
+              if (record[ref] == null && local[ref] != null) record[ref] = local[ref];
+            });
+            if (accion === 'conflicto') record.actualizado = Date.now();
+            ids.set(backupId, local.id);
+            written.push({ op: 'update', id: local.id, record, local });
+            totals.actualizados++;
+          }
+        }
+        const ref = PROFILE_REFS[storeName];
+        for (const { op, id, record, local } of written) {
+          if (ref && profileUids.has(record[ref])) record[ref] = profileUids.get(record[ref]);
+          LINK_FIELDS.forEach(field => {
+            if (record[field] == null) return;
+            if (ids.has(record[field])) {
+              record[field] = ids.get(record[field]);
+            } else if (local && local[field] != null) {
+              record[field] = local[field];
+            } else {
+              delete record[field];
+            }
+          });
+          await requestResult(store.put(record));
+          enqueueChange(tx, storeName, op, id, record);
+        }
+      }
+    } catch (err) {
+      try {
+        tx.abort();
+      } catch (_) {
+        // Already aborted by the failed request
+      }
+      await finished.catch(() => {});
+      throw err;
+    }
+    await finished;
+    scheduleOutboxFlush(db);
+    // Backups made before profiles existed get them built from the
+    // imported history
+    if (!plan.perfiles) {
+      localStorage.removeItem('perfiles_migrados');
+      await migrateProfiles(db);
+    }
+    return totals;
+  }
+
+  /*
+   * CSV import
+   *
+   * Directories, frequent visitors and paper or spreadsheet logs come in
+   * as CSV. Each kind of file (CSV_IMPORT_TIPOS) lists the fields it can
+   * fill; the administrator maps the columns of the file to them and
+   * csvToImportData() turns the rows into the `datos` of a backup, so
+   * they go through the same validation, preview and merge as a JSON
+   * backup. The 'historial' fields carry the headers of the history CSV
+   * (HistoryView's exportCSV), so an exported history maps itself and
+   * re-importing it at the same booth changes nothing.
+   */
+  const CSV_IMPORT_TIPOS = {
+    directorios: {
+      label: 'Directorio de destinos',
+      campos: [
+        { key: 'destino', label: 'Destino', requerido: true, alias: ['casa', 'domicilio', 'departamento'] },
+        { key: 'residentes', label: 'Residentes', lista: true, alias: ['residente'] },
+        { key: 'telefonos', label: 'Teléfonos', lista: true, alias: ['telefono'] },
+        { key: 'indicaciones', label: 'Indicaciones' }
+      ]
+    },
+    vehiculos_registrados: {
+      label: 'Vehículos frecuentes',
+      campos: [
+        { key: 'placa', label: 'Placa', requerido: true, alias: ['placas'] },
+        { key: 'nombre', label: 'Conductor', alias: ['nombre'] },
+        { key: 'modelo', label: 'Modelo', alias: ['modelo vehicular', 'vehiculo'] },
+        { key: 'color', label: 'Color' },
+        { key: 'destino', label: 'Destino', destino: true },
+        { key: 'motivo', label: 'Motivo' },
+        { key: 'registroTipo', label: 'Clasificación' }
+      ]
+    },
+    visitantes: {
+      label: 'Peatones frecuentes',
+      campos: [
+        { key: 'nombre', label: 'Nombre', requerido: true, alias: ['visitante'] },
+        { key: 'codigoUnico', label: 'Código único', alias: ['codigo'] },
+        { key: 'id_opcional', label: 'Identificación', alias: ['id', 'ine'] },
+        { key: 'destino', label: 'Destino', destino: true },
+        { key: 'motivo', label: 'Motivo' },
+        { key: 'registroTipo', label: 'Clasificación' }
+      ]
+    },
+    historial: {
+      label: 'Historial de accesos',
+      campos: [
+        { key: 'fecha', label: 'Fecha', requerido: true },
+        { key: 'hora', label: 'Hora' },
+        { key: 'salidaFecha', label: 'Fecha salida' },
+        { key: 'salidaHora', label: 'Hora salida' },
+        { key: 'tipo', label: 'Tipo' },
+        { key: 'nombre', label: 'Nombre' },
+        { key: 'placa', label: 'Placa' },
+        { key: 'destino', label: 'Destino', destino: true },
+        { key: 'motivo', label: 'Motivo' },
+        { key: 'modelo', label: 'Modelo' },
+        { key: 'color', label: 'Color' },
+        { key: 'accion', label: 'Acción' },
+        { key: 'registroTipo', label: 'Clasificación' },
+        { key: 'guardiaNombre', label: 'Guardia' },
+        { key: 'turno', label: 'Turno' }
+      ]
+    }
+  };
+  // History fields that only apply to vehicles
+  const CSV_VEHICLE_FIELDS = ['placa', 'modelo', 'color'];
+
   /**
-   * Export the entire contents of all object stores into a single JSON
-   * object. The resulting object contains keys for vehiculos, peatones,
-   * bitacora, guardias and directorios. This function does not initiate
-   * a download on its own; callers can convert the result to a Blob and
-   * trigger a download as needed.
-   *
-   * @param {IDBDatabase} db An open IndexedDB instance.
-   * @returns {Promise<Object>} A promise that resolves with the exported data.
+   * Parse CSV text into rows of strings. Handles quoted fields with
+   * doubled quotes and line breaks, CRLF line ends and the UTF-8 BOM
+   * Excel writes. The delimiter is whichever of comma, semicolon (Excel
+   * in Spanish locales) or tab is most frequent in the first line.
    */
-  async function exportDatabase(db) {
-    if (!db) throw new Error('DB not initialised');
-    const [vehiculos, peatones, bitacora, guardias, directorios] = await Promise.all([
-      getAllVehiculos(db),
-      getAllPeatones(db),
-      getAllBitacora(db),
-      getAllGuardias(db),
-      getAllDirectorios(db)
-    ]);
-    return { vehiculos, peatones, bitacora, guardias, directorios };
+  function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const firstLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, d) =>
+      firstLine.split(d).length > firstLine.split(best).length ? d : best, ',');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < source.length; i++) {
+      const c = source[i];
+      if (quoted) {
+        if (c !== '"') {
+          field += c;
+        } else if (source[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (c === '"') {
+        quoted = true;
+      } else if (c === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (c === '\n' || c === '\r') {
+        if (c === '\r' && source[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += c;
+      }
+    }
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows.filter(r => r.some(value => value.trim() !== ''));
   }
 
   /**
-   * Import data into the database. The provided data object should match
-   * the structure returned by exportDatabase(). Existing stores will be
-   * cleared before inserting new records. Records are added using the
-   * existing add helpers to ensure any side effects (like Firestore
-   * replication) are respected.
-   *
-   * @param {IDBDatabase} db        An open IndexedDB instance.
-   * @param {Object}      data      The imported data with keys vehiculos,
-   *                                peatones, bitacora, guardias and directorios.
+   * Column of the file for each field of a CSV_IMPORT_TIPOS entry,
+   * guessed from the headers by label or alias (-1 when none matches).
    */
-  async function importDatabase(db, data) {
-    if (!db) throw new Error('DB not initialised');
-    if (!data || typeof data !== 'object') throw new Error('Datos de importación inválidos');
-    const stores = ['vehiculos', 'peatones', 'bitacora', 'guardias', 'directorios'];
-    // Clear existing data
-    for (const store of stores) {
-      await clearObjectStore(db, store);
-    }
-    // Insert new data
-    // Vehiculos
-    if (Array.isArray(data.vehiculos)) {
-      for (const rec of data.vehiculos) {
-        // Remove id field to allow autoIncrement to assign new keys
-        const { id, ...rest } = rec || {};
-        await addVehiculo(db, rest);
-      }
+  function guessCsvMapping(tipo, headers) {
+    const folded = headers.map(foldName);
+    const mapping = {};
+    CSV_IMPORT_TIPOS[tipo].campos.forEach(campo => {
+      const names = [campo.label].concat(campo.alias || []).map(foldName);
+      mapping[campo.key] = folded.findIndex(h => names.includes(h));
+    });
+    return mapping;
+  }
+
+  // Dates as YYYY-MM-DD. Spreadsheets usually write DD/MM/YYYY.
+  function normalizeCsvFecha(value) {
+    const v = String(value || '').trim();
+    let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')}`;
+    m = v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/);
+    if (m) return `${m[3].length === 2 ? '20' + m[3] : m[3]}-${m[2].padStart(2, '0')}-${m[1].padStart(2, '0')}`;
+    return v;
+  }
+  // Times as HH:MM:SS, like the records registered at the booth
+  function normalizeCsvHora(value) {
+    const v = String(value || '').trim();
+    const m = v.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+    return m ? `${m[1].padStart(2, '0')}:${m[2]}:${m[3] || '00'}` : v;
+  }
+
+  // Access records of one history row, linked like registerAccess does
+  function historyRowRecords(values, n) {
+    const tipo = foldName(values.tipo);
+    const storeName = tipo ? (tipo.startsWith('veh') ? 'vehiculos' : 'peatones') : (values.placa ? 'vehiculos' : 'peatones');
+    const base = {};
+    ['nombre', 'placa', 'destino', 'motivo', 'modelo', 'color', 'registroTipo', 'guardiaNombre', 'turno'].forEach(field => {
+      if (storeName === 'peatones' && CSV_VEHICLE_FIELDS.includes(field)) return;
+      if (values[field]) base[field] = values[field];
+    });
+    const accion = foldName(values.accion);
+    const fecha = normalizeCsvFecha(values.fecha);
+    const salidaFecha = normalizeCsvFecha(values.salidaFecha) || fecha;
+    const salidaHora = normalizeCsvHora(values.salidaHora);
+    if (accion === 'denegado') {
+      return { storeName, records: [Object.assign({ id: `csv-${n}`, fecha, hora: normalizeCsvHora(values.hora), accion: 'denegado' }, base)] };
     }
-    // Peatones
-    if (Array.isArray(data.peatones)) {
-      for (const rec of data.peatones) {
-        const { id, ...rest } = rec || {};
-        await addPeaton(db, rest);
-      }
+    // A lone exit: the history shows its date in the entry column too
+    if (accion === 'salida') {
+      return { storeName, records: [Object.assign({ id: `csv-${n}-s`, fecha: salidaFecha, hora: salidaHora, accion: 'salida' }, base)] };
     }
-    // Bitacora
-    if (Array.isArray(data.bitacora)) {
-      for (const rec of data.bitacora) {
-        const { id, ...rest } = rec || {};
-        await addNota(db, rest);
+    const entrada = Object.assign({ id: `csv-${n}-e`, fecha, hora: normalizeCsvHora(values.hora), accion: 'entrada' }, base);
+    if (!salidaHora) return { storeName, records: [entrada] };
+    // The row only describes the entry; the exit may have been recorded
+    // by another guard or shift, so it only names the visitor
+    const visitante = {};
+    ['nombre', 'placa'].forEach(field => {
+      if (base[field]) visitante[field] = base[field];
+    });
+    const salida = Object.assign({ id: `csv-${n}-s`, fecha: salidaFecha, hora: salidaHora, accion: 'salida', entradaId: entrada.id }, visitante);
+    Object.assign(entrada, { salidaId: salida.id, salidaFecha, salidaHora });
+    return { storeName, records: [entrada, salida] };
+  }
+
+  /**
+   * Turn mapped CSV rows into backup `datos` for planImport().
+   *
+   * @param {string} tipo      Key of CSV_IMPORT_TIPOS.
+   * @param {Array<string[]>} rows Data rows of the file.
+   * @param {Object} mapping   Column per field, as from guessCsvMapping().
+   * @param {Object} opciones  `destinos`: the lower-cased destinations of
+   *   the directory; `primeraFila`: file line of the first row;
+   *   `omitirDestinos`: skip rows whose destination is not in it.
+   * @returns {{datos: Object, filas: number, errores: Array<{fila, mensaje}>, destinosDesconocidos: Array<{fila, destino}>}}
+   *   Invalid rows are reported in `errores` and left out of `datos`.
+   */
+  function csvToImportData(tipo, rows, mapping, opciones) {
+    const { destinos, primeraFila = 1, omitirDestinos = false } = opciones;
+    const definicion = CSV_IMPORT_TIPOS[tipo];
+    const datos = {};
+    const errores = [];
+    const destinosDesconocidos = [];
+    let filas = 0;
+    rows.forEach((row, i) => {
+      const fila = primeraFila + i;
+      const values = {};
+      definicion.campos.forEach(campo => {
+        const column = mapping[campo.key];
+        const raw = column >= 0 ? String(row[column] || '').trim() : '';
+        values[campo.key] = campo.lista ? raw.split(/[,;|]/).map(x => x.trim()).filter(Boolean) : raw;
+      });
+      const destino = definicion.campos.some(c => c.destino) ? values.destino : '';
+      if (destino && !destinos.has(destino.toLowerCase())) {
+        destinosDesconocidos.push({ fila, destino });
+        if (omitirDestinos) return;
       }
-    }
-    // Guardias
-    if (Array.isArray(data.guardias)) {
-      for (const rec of data.guardias) {
-        const { id, ...rest } = rec || {};
-        await addGuard(db, rest);
+      let storeName = tipo;
+      let records;
+      if (tipo === 'historial') {
+        ({ storeName, records } = historyRowRecords(values, fila));
+      } else {
+        const record = {};
+        Object.keys(values).forEach(key => {
+          if (values[key].length) record[key] = values[key];
+        });
+        if (tipo === 'vehiculos_registrados' && record.placa) record.placa = record.placa.toUpperCase();
+        records = [record];
       }
-    }
-    // Directorios
-    if (Array.isArray(data.directorios)) {
-      for (const rec of data.directorios) {
-        const { id, destino, residentes, telefonos } = rec || {};
-        await addDirectorio(db, { destino, residentes, telefonos });
+      const problemas = validateBackupData({ [storeName]: records });
+      if (problemas.length) {
+        errores.push({ fila, mensaje: problemas.map(p => p.mensaje).join('; ') });
+        return;
       }
-    }
+      datos[storeName] = (datos[storeName] || []).concat(records);
+      filas++;
+    });
+    return { datos, filas, errores, destinosDesconocidos };
   }
   function getAllGuardias(db) {
     return new Promise((resolve, reject) => {
@@ -448,19 +3385,66 @@
       };
     });
   }
-  function deleteGuard(db, id) {
+  function updateGuard(db, record) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('guardias', 'readwrite');
+      const tx = db.transaction(['guardias', SYNC_STORE], 'readwrite');
       const store = tx.objectStore('guardias');
-      const req = store.delete(id);
-      req.onsuccess = function () {
-        resolve();
+      const stored = stampUpdated(record);
+      const req = store.put(stored);
+      req.onsuccess = function (e) {
+        enqueueChange(tx, 'guardias', 'update', stored.id, stored);
+        resolve(e.target.result);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
       };
       req.onerror = function (e) {
         reject(e.target.error);
       };
     });
   }
+  function deleteGuard(db, id) {
+    return deleteStoreRecord(db, 'guardias', id);
+  }
+
+  /**
+   * Verify a username and password against the records in the guardias
+   * store. The username is compared case‑insensitively (ignoring
+   * surrounding whitespace); the password is checked against the stored
+   * PBKDF2 hash. A guard that still has a plaintext password (one that
+   * migratePlaintextPasswords() has not reached yet) is checked against
+   * it and gets it hashed right away. On success the stored guard is
+   * returned without any credential fields so it can be kept in the
+   * session state safely.
+   *
+   * @param {IDBDatabase} db       An open IndexedDB instance.
+   * @param {string}      usuario  The username typed on the login screen.
+   * @param {string}      password The password typed on the login screen.
+   * @returns {Promise<Object|null>} The matching guard ({ id, nombre,
+   *                            usuario, rol }) or null when the
+   *                            credentials are invalid.
+   */
+  async function authenticateGuard(db, usuario, password) {
+    const list = await getAllGuardias(db);
+    const search = (usuario || '').trim().toLowerCase();
+    const found = list.find(g => (g.usuario || '').trim().toLowerCase() === search);
+    if (!found || !password) {
+      return null;
+    }
+    const plaintext = typeof found.password === 'string' && found.password !== '';
+    const valid = plaintext ? sameSecret(password, found.password) : await verifyPassword(password, found);
+    if (!valid) {
+      return null;
+    }
+    if (plaintext) {
+      try {
+        await updateGuard(db, await withHashedPassword(found));
+      } catch (err) {
+        console.error('Error cifrando la contraseña del guardia', err);
+      }
+    }
+    return { id: found.id, nombre: found.nombre, usuario: found.usuario, rol: found.rol || 'Guardia' };
+  }
 
   // Directorios operations
   /**
@@ -489,9 +3473,8 @@
      * @returns {Promise<number>} ID of the stored or updated record
      */
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('directorios', 'readwrite');
+      const tx = db.transaction(['directorios', SYNC_STORE], 'readwrite');
       const store = tx.objectStore('directorios');
-      let replicationPayload;
       // Retrieve all entries to perform a case‑insensitive search for the destino
       const allReq = store.getAll();
       allReq.onsuccess = function (ev) {
@@ -501,11 +3484,12 @@
         const existing = list.find(d => ((d.destino || '').trim().toLowerCase() === search));
         if (existing) {
           // Update the existing record with the new data
-          const updated = Object.assign({}, existing, record, { id: existing.id });
+          // The entry keeps its uid, so the edit replaces its document
+          const updated = stampUpdated(Object.assign({}, existing, record, { id: existing.id, uid: existing.uid }));
           const updateReq = store.put(updated);
           updateReq.onsuccess = function () {
             const id = existing.id;
-            replicationPayload = Object.assign({}, record, { indexedDbId: id });
+            enqueueChange(tx, 'directorios', 'update', id, updated);
             resolve(id);
           };
           updateReq.onerror = function (errEv) {
@@ -513,10 +3497,11 @@
           };
         } else {
           // Insert new record
-          const addReq = store.add(record);
+          const stored = stampUpdated(withUid(record));
+          const addReq = store.add(stored);
           addReq.onsuccess = function (addEv) {
             const id = addEv.target.result;
-            replicationPayload = Object.assign({}, record, { indexedDbId: id });
+            enqueueChange(tx, 'directorios', 'insert', id, stored);
             resolve(id);
           };
           addReq.onerror = function (errEv) {
@@ -527,17 +3512,9 @@
       allReq.onerror = function (errEv) {
         reject(errEv.target.error);
       };
-      // Replicate after transaction completes
+      // Push the queued change once the transaction commits
       tx.oncomplete = function () {
-        if (replicationPayload && typeof window !== 'undefined' && window.firestore && typeof window.firestore.collection === 'function') {
-          try {
-            window.firestore.collection('directorios').add(replicationPayload).catch(err => {
-              console.error('Error replicando directorio a Firestore', err);
-            });
-          } catch (err) {
-            console.error('Error iniciando replicación de directorio a Firestore', err);
-          }
-        }
+        scheduleOutboxFlush(db);
       };
     });
   }
@@ -565,18 +3542,165 @@
    * @param {number} id
    */
   function deleteDirectorio(db, id) {
+    return deleteStoreRecord(db, 'directorios', id);
+  }
+
+  // Lista negra (watchlist) operations
+  /*
+   * A watchlist entry blocks a visitor regardless of what the latest
+   * access record says. Entries are keyed by one of four kinds of value
+   * and may expire:
+   *   { tipo: 'placa'|'nombre'|'identificacion'|'codigo', valor, clave,
+   *     razon, expira: 'YYYY-MM-DD' or '', fechaAlta, creadoPor }
+   * `clave` is the normalised `valor` used for lookups.
+   */
+  const LISTA_NEGRA_TIPOS = [
+    { value: 'placa', label: 'Placa' },
+    { value: 'nombre', label: 'Nombre' },
+    { value: 'identificacion', label: 'Número de identificación' },
+    { value: 'codigo', label: 'Código único' }
+  ];
+
+  /**
+   * Normalise a watchlist value so that trivial differences in how the
+   * guard types it (case, accents, spaces, hyphens) do not bypass the
+   * block.
+   *
+   * @param {string} tipo  One of the LISTA_NEGRA_TIPOS values.
+   * @param {string} valor The raw value.
+   * @returns {string}
+   */
+  function normalizeWatchValue(tipo, valor) {
+    const raw = String(valor || '').trim();
+    if (tipo === 'placa' || tipo === 'identificacion') {
+      return raw.toUpperCase().replace(/[\s.-]/g, '');
+    }
+    if (tipo === 'nombre') {
+      return foldName(raw);
+    }
+    return raw;
+  }
+
+  /**
+   * Today's date (YYYY-MM-DD) in the booth's local time zone. Watchlist
+   * expiry dates are picked in local time, so they must not be compared
+   * against the UTC date.
+   */
+  function localToday() {
+    return localDate(new Date());
+  }
+
+  // The local calendar day of a Date as YYYY-MM-DD
+  function localDate(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  // The YYYY-MM-DD date `days` days after `fecha` (before, if negative)
+  function addDays(fecha, days) {
+    return new Date(Date.parse(fecha + 'T00:00:00Z') + days * 86400000).toISOString().slice(0, 10);
+  }
+
+  /**
+   * An entry is active until the end of its expiry day. Entries without
+   * an expiry date never expire.
+   */
+  function isWatchEntryActive(entry, today) {
+    const day = today || localToday();
+    return !entry.expira || entry.expira >= day;
+  }
+
+  function addListaNegra(db, record) {
     return new Promise((resolve, reject) => {
-      const tx = db.transaction('directorios', 'readwrite');
-      const store = tx.objectStore('directorios');
-      const req = store.delete(id);
-      req.onsuccess = function () {
-        resolve();
+      const tx = db.transaction(['lista_negra', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('lista_negra');
+      const stored = stampUpdated(withUid(Object.assign({}, record, { clave: normalizeWatchValue(record.tipo, record.valor) })));
+      const req = store.add(stored);
+      let id;
+      req.onsuccess = function (e) {
+        id = e.target.result;
+        enqueueChange(tx, 'lista_negra', 'insert', id, stored);
+        resolve(id);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function updateListaNegra(db, record) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(['lista_negra', SYNC_STORE], 'readwrite');
+      const store = tx.objectStore('lista_negra');
+      const stored = stampUpdated(Object.assign({}, record, { clave: normalizeWatchValue(record.tipo, record.valor) }));
+      const req = store.put(stored);
+      req.onsuccess = function (e) {
+        enqueueChange(tx, 'lista_negra', 'update', stored.id, stored);
+        resolve(e.target.result);
+      };
+      tx.oncomplete = function () {
+        scheduleOutboxFlush(db);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+  function getAllListaNegra(db) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction('lista_negra', 'readonly');
+      const store = tx.objectStore('lista_negra');
+      const req = store.getAll();
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
       };
       req.onerror = function (e) {
         reject(e.target.error);
       };
     });
   }
+  function deleteListaNegra(db, id) {
+    return deleteStoreRecord(db, 'lista_negra', id);
+  }
+
+  /**
+   * Check the visitor data currently typed in a registration form
+   * against the watchlist. Every non‑empty value is looked up through
+   * the `clave` index; the first active entry found is returned.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @param {{placa?: string, nombre?: string, identificacion?: string, codigo?: string}} values
+   * @returns {Promise<Object|null>} The matching watchlist entry or null.
+   */
+  function checkListaNegra(db, values) {
+    return new Promise((resolve, reject) => {
+      const lookups = LISTA_NEGRA_TIPOS
+        .map(t => [t.value, normalizeWatchValue(t.value, values[t.value])])
+        .filter(([, clave]) => clave !== '');
+      if (lookups.length === 0) {
+        resolve(null);
+        return;
+      }
+      const tx = db.transaction('lista_negra', 'readonly');
+      const index = tx.objectStore('lista_negra').index('clave');
+      const today = localToday();
+      let match = null;
+      lookups.forEach(key => {
+        const req = index.getAll(key);
+        req.onsuccess = function (e) {
+          const active = (e.target.result || []).find(entry => isWatchEntryActive(entry, today));
+          if (active && !match) match = active;
+        };
+      });
+      tx.oncomplete = function () {
+        resolve(match);
+      };
+      tx.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
 
   // Stats helpers
   function countVehiculos(db) {
@@ -586,6 +3710,78 @@
     return getAllPeatones(db).then(list => list.length);
   }
 
+  /**
+   * Hook that checks the given visitor values against the watchlist
+   * every time one of them changes (i.e. on every keystroke) and
+   * returns the matching active entry, or null.
+   *
+   * @param {IDBDatabase} db     An open IndexedDB instance.
+   * @param {Object}      values See checkListaNegra().
+   */
+  function useListaNegraMatch(db, values) {
+    const [match, setMatch] = useState(null);
+    const valuesKey = JSON.stringify(values);
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) {
+        setMatch(null);
+        return;
+      }
+      checkListaNegra(db, values)
+        .then(entry => {
+          if (!cancelled) setMatch(entry);
+        })
+        .catch(err => {
+          console.error(err);
+          if (!cancelled) setMatch(null);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [db, valuesKey]);
+    return match;
+  }
+
+  /**
+   * Banner shown in the registration forms when the visitor is on the
+   * watchlist.
+   */
+  function ListaNegraAlert({ entry }) {
+    const tipo = LISTA_NEGRA_TIPOS.find(t => t.value === entry.tipo);
+    return React.createElement('div', {
+      role: 'alert',
+      style: {
+        backgroundColor: '#FED7D7',
+        color: '#9B2C2C',
+        padding: '0.5rem',
+        borderRadius: '4px',
+        marginBottom: '0.5rem',
+        fontWeight: '600'
+      }
+    },
+      React.createElement('p', { style: { margin: 0 } }, `⛔ En lista negra (${tipo ? tipo.label : entry.tipo}: ${entry.valor})`),
+      entry.razon && React.createElement('p', { style: { margin: '0.25rem 0 0 0' } }, `Motivo: ${entry.razon}`),
+      entry.expira && React.createElement('p', { style: { margin: '0.25rem 0 0 0', fontWeight: '400' } }, `Vigente hasta: ${entry.expira}`)
+    );
+  }
+
+  /**
+   * Build the fields that identify who registered a record: the id and
+   * name of the guard with the open session and the shift chosen at
+   * login. Spread into every vehiculos, peatones and bitacora record.
+   *
+   * @param {Object} guard The logged‑in guard ({ id, nombre }) or null.
+   * @param {string} turno The current shift.
+   * @returns {{guardiaId: (number|null), guardiaNombre: string, turno: string}}
+   */
+  function guardStamp(guard, turno) {
+    return {
+      guardiaId: guard ? guard.id : null,
+      guardiaNombre: guard ? guard.nombre || '' : '',
+      turno: turno || ''
+    };
+  }
+
   /**
    * Modal wrapper component. Draws a semi‑transparent backdrop and positions
    * children in the centre of the screen. A close button is provided in
@@ -610,13 +3806,99 @@
   }
 
   /**
-   * Login component. Presents role and shift selectors and fires an
-   * onSubmit callback with the selected values when the user clicks
-   * the "Ingresar" button.
+   * Login component. Asks for a username, password and shift and checks
+   * the credentials against the guardias store. The role is taken from
+   * the stored guard record, never from the login form. When the store
+   * is still empty (first run) the form instead creates the initial
+   * administrator account so the application can be configured.
+   * On success the onSubmit callback receives the guard and the shift.
    */
-  function Login({ onSubmit }) {
-    const [role, setRole] = useState('Guardia');
+  function Login({ db, onSubmit }) {
+    const [usuario, setUsuario] = useState('');
+    const [password, setPassword] = useState('');
+    const [nombre, setNombre] = useState('');
     const [turno, setTurno] = useState('Matutino');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+    // null while loading; true when no guard exists yet
+    const [needsSetup, setNeedsSetup] = useState(null);
+
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) {
+        setNeedsSetup(false);
+        return;
+      }
+      getAllGuardias(db)
+        .then(list => {
+          if (!cancelled) setNeedsSetup(list.length === 0);
+        })
+        .catch(err => {
+          console.error(err);
+          if (!cancelled) setNeedsSetup(false);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [db]);
+
+    async function handleLogin() {
+      setError('');
+      if (!db) {
+        setError('Base de datos no inicializada');
+        return;
+      }
+      if (!usuario.trim() || !password) {
+        setError('Ingrese usuario y contraseña');
+        return;
+      }
+      setBusy(true);
+      try {
+        const guard = await authenticateGuard(db, usuario, password);
+        if (!guard) {
+          setError('Usuario o contraseña incorrectos');
+          setPassword('');
+          return;
+        }
+        onSubmit(guard, turno);
+      } catch (err) {
+        console.error(err);
+        setError('No se pudo verificar las credenciales');
+      } finally {
+        setBusy(false);
+      }
+    }
+
+    // First run: create the initial administrator and log in with it
+    async function handleSetup() {
+      setError('');
+      if (!nombre.trim() || !usuario.trim() || !password) {
+        setError('Todos los campos son obligatorios');
+        return;
+      }
+      setBusy(true);
+      try {
+        const record = { nombre: nombre.trim(), usuario: usuario.trim(), password, rol: 'Administrador' };
+        const id = await addGuard(db, record);
+        onSubmit({ id, nombre: record.nombre, usuario: record.usuario, rol: record.rol }, turno);
+      } catch (err) {
+        console.error(err);
+        setError('No se pudo crear la cuenta de administrador');
+      } finally {
+        setBusy(false);
+      }
+    }
+
+    function handleKeyDown(e) {
+      if (e.key === 'Enter') {
+        if (needsSetup) handleSetup();
+        else handleLogin();
+      }
+    }
+
+    if (needsSetup === null) {
+      return React.createElement('div', { className: 'container' }, 'Cargando usuarios...');
+    }
     // The login screen displays the app name and a small subtitle
     return React.createElement(
       'div',
@@ -626,17 +3908,37 @@
       React.createElement('p', { style: { textAlign: 'center', marginBottom: '1rem', fontSize: '0.875rem', color: '#4A5568' } }, 'desarrollado por reizo atarashi'),
       // Existing heading for context
       React.createElement('h1', { style: { textAlign: 'center', marginBottom: '1rem' } }, 'Control de Accesos'),
+      needsSetup && React.createElement('p', {
+        style: { backgroundColor: '#EDF2F7', padding: '0.5rem', borderRadius: '4px', fontSize: '0.9rem' }
+      }, 'No hay usuarios registrados. Cree la cuenta de administrador inicial.'),
+      needsSetup && React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Nombre'),
+        React.createElement('input', {
+          type: 'text',
+          value: nombre,
+          onChange: e => setNombre(e.target.value),
+          onKeyDown: handleKeyDown
+        })
+      ),
       React.createElement('div', { className: 'input-group' },
-        React.createElement('label', null, 'Rol'),
-        React.createElement(
-          'select',
-          {
-            value: role,
-            onChange: e => setRole(e.target.value)
-          },
-          React.createElement('option', { value: 'Guardia' }, 'Guardia'),
-          React.createElement('option', { value: 'Administrador' }, 'Administrador')
-        )
+        React.createElement('label', null, 'Usuario'),
+        React.createElement('input', {
+          type: 'text',
+          value: usuario,
+          autoComplete: 'username',
+          onChange: e => setUsuario(e.target.value),
+          onKeyDown: handleKeyDown
+        })
+      ),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Contraseña'),
+        React.createElement('input', {
+          type: 'password',
+          value: password,
+          autoComplete: needsSetup ? 'new-password' : 'current-password',
+          onChange: e => setPassword(e.target.value),
+          onKeyDown: handleKeyDown
+        })
       ),
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Turno'),
@@ -650,31 +3952,159 @@
           React.createElement('option', { value: 'Vespertino' }, 'Vespertino'),
           React.createElement('option', { value: 'Nocturno' }, 'Nocturno')
         )
-      ),
-      React.createElement(
-        'button',
-        {
-          className: 'button',
-          style: { width: '100%', marginTop: '1rem' },
-          onClick: () => onSubmit(role, turno)
-        },
-        'Ingresar'
-      )
+      ),
+      error && React.createElement('p', { style: { color: '#9B2C2C', fontWeight: '600' } }, error),
+      React.createElement(
+        'button',
+        {
+          className: 'button',
+          style: { width: '100%', marginTop: '1rem' },
+          disabled: busy,
+          onClick: needsSetup ? handleSetup : handleLogin
+        },
+        needsSetup ? 'Crear administrador e ingresar' : 'Ingresar'
+      )
+    );
+  }
+
+  /**
+   * "Currently inside" panel. Lists the vehicles and pedestrians with an
+   * open visit, how long they have been inside and a one‑tap button to
+   * register their exit. Visits longer than the configured stay limit
+   * are highlighted and summarised in an alert banner.
+   */
+  function OccupancyPanel({ db, guard, turno }) {
+    const [openVisits, setOpenVisits] = useState([]);
+    const [now, setNow] = useState(Date.now());
+    const [reloadKey, setReloadKey] = useState(0);
+    const limitMinutes = getStayLimitMinutes();
+
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      getOpenVisits(db)
+        .then(list => {
+          if (!cancelled) setOpenVisits(list);
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+      };
+    }, [db, reloadKey]);
+
+    // Visits registered at other booths arrive through the pull side
+    useEffect(() => onRemoteChange(storeName => {
+      if (storeName === 'vehiculos' || storeName === 'peatones') setReloadKey(k => k + 1);
+    }), []);
+
+    // Refresh the elapsed times every 30 seconds
+    useEffect(() => {
+      const timer = setInterval(() => setNow(Date.now()), 30000);
+      return () => clearInterval(timer);
+    }, []);
+
+    async function handleExit(item) {
+      const label = item.storeName === 'vehiculos' ? item.entrada.placa : item.entrada.nombre;
+      if (!confirm(`¿Registrar la salida de ${label}?`)) return;
+      try {
+        await registerAccess(db, item.storeName, buildSalidaRecord(item.entrada, guard, turno), item.entrada);
+        setReloadKey(k => k + 1);
+      } catch (err) {
+        console.error(err);
+        alert('Error al registrar la salida');
+      }
+    }
+
+    const limitMs = limitMinutes * 60000;
+    const overdue = openVisits.filter(item => now - recordTime(item.entrada) > limitMs);
+    return React.createElement(
+      'div',
+      { style: { marginTop: '1.5rem' } },
+      React.createElement('h3', null, `Dentro actualmente (${openVisits.length})`),
+      overdue.length > 0 && React.createElement('div', {
+        role: 'alert',
+        style: {
+          backgroundColor: '#FED7D7',
+          color: '#9B2C2C',
+          padding: '0.5rem',
+          borderRadius: '4px',
+          marginBottom: '0.5rem',
+          fontWeight: '600'
+        }
+      }, `⚠️ ${overdue.length} ${overdue.length === 1 ? 'visitante excede' : 'visitantes exceden'} el límite de estancia de ${formatDuration(limitMs)}`),
+      openVisits.length === 0
+        ? React.createElement('p', { style: { color: '#4A5568' } }, 'No hay visitantes dentro.')
+        : React.createElement('div', { className: 'table-container' },
+          React.createElement('table', null,
+            React.createElement('thead', null,
+              React.createElement('tr', null,
+                React.createElement('th', null, 'Tipo'),
+                React.createElement('th', null, 'Placa / Nombre'),
+                React.createElement('th', null, 'Destino'),
+                React.createElement('th', null, 'Entrada'),
+                React.createElement('th', null, 'Tiempo dentro'),
+                React.createElement('th', null, '')
+              )
+            ),
+            React.createElement('tbody', null,
+              openVisits.map(item => {
+                const e = item.entrada;
+                const elapsed = now - recordTime(e);
+                const isOverdue = elapsed > limitMs;
+                return React.createElement('tr', {
+                  key: item.storeName + e.id,
+                  style: isOverdue ? { backgroundColor: '#FFF5F5', color: '#9B2C2C' } : undefined
+                },
+                  React.createElement('td', null, item.storeName === 'vehiculos' ? '🚗' : '🚶'),
+                  React.createElement('td', null, item.storeName === 'vehiculos' ? `${e.placa} - ${e.nombre}` : e.nombre),
+                  React.createElement('td', null, e.destino),
+                  React.createElement('td', null, e.hora),
+                  React.createElement('td', null, (isOverdue ? '⚠️ ' : '') + formatDuration(elapsed)),
+                  React.createElement('td', null,
+                    React.createElement('button', { className: 'button', onClick: () => handleExit(item) }, 'Registrar salida')
+                  )
+                );
+              })
+            )
+          )
+        )
+    );
+  }
+
+  /**
+   * One‑line replication status: changes waiting in the outbox, time of
+   * the last successful sync and the last error, if any. Hidden while
+   * replication is not configured, even though changes keep queueing.
+   */
+  function SyncStatusBar() {
+    const status = useSyncStatus();
+    if (!getFirestore() && !getFirebaseSettings().config) return null;
+    const last = status.ultimaSincronizacion
+      ? new Date(status.ultimaSincronizacion).toLocaleString()
+      : 'nunca';
+    return React.createElement('p', {
+      style: { fontSize: '0.875rem', color: status.ultimoError ? '#9B2C2C' : '#4A5568' }
+    },
+      `☁️ Pendientes de sincronizar: ${status.pendientes} · Última sincronización: ${last}`,
+      status.ultimoError ? ` · Error: ${status.ultimoError}` : ''
     );
   }
 
   /**
    * Dashboard component. Displays a set of cards to access other views.
-   * Administrators see an additional Administration card.
+   * Administrators see an additional Administration card. The guard on
+   * shift is shown together with a button to close the session.
    */
-  function Dashboard({ role, onNavigate, turno }) {
+  function Dashboard({ db, role, guard, onNavigate, onLogout, turno }) {
     // Card definitions: title, icon, and associated view key
     const cards = [
       // Use emoji icons instead of FontAwesome for better visibility and to avoid external dependencies
       { key: 'vehicle', icon: '🚗', title: 'Registrar vehículo' },
       { key: 'pedestrian', icon: '🚶', title: 'Registrar peatón' },
       { key: 'history', icon: '📜', title: 'Historial de accesos' },
-      { key: 'bitacora', icon: '📋', title: 'Bitácora' }
+      { key: 'search', icon: '🔎', title: 'Buscar' },
+      { key: 'bitacora', icon: '📋', title: 'Bitácora' },
+      { key: 'turno', icon: '🖨️', title: 'Reporte de turno' }
     ];
     if (role === 'Administrador') {
       cards.push({ key: 'admin', icon: '⚙️', title: 'Administración' });
@@ -682,12 +4112,20 @@
       // allows administrators to access the destination management form
       // without navigating through the broader admin panel.
       cards.push({ key: 'directorio', icon: '📇', title: 'Directorio' });
+      cards.push({ key: 'listaNegra', icon: '⛔', title: 'Lista negra' });
+      cards.push({ key: 'perfiles', icon: '🪪', title: 'Perfiles' });
+      cards.push({ key: 'reportes', icon: '📊', title: 'Reportes' });
+      cards.push({ key: 'importarCsv', icon: '📥', title: 'Importar CSV' });
     }
     return React.createElement(
       'div',
       { className: 'container' },
-      React.createElement('h2', null, `Bienvenido, ${role}`),
-      React.createElement('p', null, `Turno: ${turno}`),
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem' } },
+        React.createElement('h2', null, `Bienvenido, ${guard ? guard.nombre : role}`),
+        React.createElement('button', { className: 'button danger', onClick: onLogout }, 'Cerrar sesión')
+      ),
+      React.createElement('p', null, `Rol: ${role} · Turno: ${turno}`),
+      React.createElement(SyncStatusBar),
       React.createElement(
         'div',
         { className: 'grid' },
@@ -704,16 +4142,227 @@
             React.createElement('span', null, card.title)
           )
         )
-      )
+      ),
+      React.createElement(OccupancyPanel, { db, guard, turno })
     );
   }
 
+  /**
+   * Show a photo field value: a Blob that has not been saved yet, the id
+   * of a photo in the fotos store or a legacy data URL. Object URLs are
+   * revoked when the photo changes or the component unmounts.
+   */
+  function FotoPreview({ db, foto, alt, style }) {
+    const [src, setSrc] = useState(null);
+    const [missing, setMissing] = useState(false);
+    useEffect(() => {
+      let cancelled = false;
+      let url = null;
+      setMissing(false);
+      if (!foto) {
+        setSrc(null);
+        return;
+      }
+      if (typeof foto === 'string' && foto.startsWith('data:')) {
+        setSrc(foto);
+        return;
+      }
+      const load = typeof foto === 'string'
+        ? (db ? getFoto(db, foto).then(stored => stored && stored.blob) : Promise.resolve(null))
+        : Promise.resolve(foto);
+      load
+        .then(blob => {
+          if (cancelled) return;
+          if (!blob) {
+            setSrc(null);
+            setMissing(true);
+            return;
+          }
+          url = URL.createObjectURL(blob);
+          setSrc(url);
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+        if (url) URL.revokeObjectURL(url);
+      };
+    }, [db, foto]);
+    if (missing) {
+      // Photos taken at another booth are not replicated
+      return React.createElement('p', { style: { fontSize: '0.875rem', color: '#718096' } }, 'Foto no disponible en este dispositivo');
+    }
+    if (!src) return null;
+    return React.createElement('img', { src, alt, style });
+  }
+
+  /*
+   * Framing guides drawn over the live camera preview. `ratio` is the
+   * width/height of the framed object: Mexican plates are 30 × 15 cm and
+   * ID cards follow the ISO ID‑1 size (85.6 × 54 mm).
+   */
+  const CAMERA_GUIDES = {
+    placa: { ratio: 2, hint: 'Encuadre la placa dentro del recuadro' },
+    identificacion: { ratio: 85.6 / 54, hint: 'Encuadre la identificación dentro del recuadro' },
+    persona: { ratio: 3 / 4, hint: 'Centre el rostro dentro del óvalo', oval: true }
+  };
+
+  /*
+   * Camera steps for each photo field of the registration forms.
+   */
+  const CAMERA_STEPS = {
+    fotoVehiculo: { clave: 'fotoVehiculo', titulo: 'Foto del vehículo', guia: 'placa' },
+    fotoIdentificacion: { clave: 'fotoIdentificacion', titulo: 'Foto de la identificación', guia: 'identificacion' },
+    fotoPersona: { clave: 'fotoPersona', titulo: 'Foto de la persona', guia: 'persona' }
+  };
+
+  function isCameraAvailable() {
+    return !!(navigator.mediaDevices && typeof navigator.mediaDevices.getUserMedia === 'function');
+  }
+
+  function cameraErrorMessage(err) {
+    const name = err && err.name;
+    if (name === 'NotAllowedError' || name === 'SecurityError') return 'Se negó el permiso para usar la cámara.';
+    if (name === 'NotFoundError' || name === 'OverconstrainedError') return 'No se encontró ninguna cámara.';
+    if (name === 'NotReadableError') return 'La cámara está siendo usada por otra aplicación.';
+    return 'No se pudo acceder a la cámara: ' + ((err && err.message) || err);
+  }
+
+  function stopStream(stream) {
+    stream.getTracks().forEach(track => track.stop());
+  }
+
+  /**
+   * In‑app camera built on getUserMedia. Walks through one or more photo
+   * steps ({ clave, titulo, guia }) with a live preview framed by the
+   * step's guide; each shot can be retaken before it is accepted, and
+   * the camera stays open between steps so all photos of a visit are
+   * taken in one go. Accepted shots are compressed like picked files and
+   * handed to onCapture(clave, blob).
+   */
+  function CameraCapture({ pasos, onCapture, onClose }) {
+    const videoRef = useRef(null);
+    const [paso, setPaso] = useState(0);
+    const [facingMode, setFacingMode] = useState('environment');
+    const [canSwitch, setCanSwitch] = useState(false);
+    const [ready, setReady] = useState(false);
+    const [error, setError] = useState('');
+    const [captured, setCaptured] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const step = pasos[paso];
+    const guide = CAMERA_GUIDES[step.guia] || CAMERA_GUIDES.persona;
+
+    // (Re)open the camera whenever the facing mode changes
+    useEffect(() => {
+      let cancelled = false;
+      let stream = null;
+      setReady(false);
+      setError('');
+      navigator.mediaDevices.getUserMedia({
+        video: { facingMode: { ideal: facingMode }, width: { ideal: 1920 }, height: { ideal: 1080 } },
+        audio: false
+      })
+        .then(result => {
+          if (cancelled) {
+            stopStream(result);
+            return;
+          }
+          stream = result;
+          const video = videoRef.current;
+          video.srcObject = stream;
+          const playing = video.play();
+          if (playing && playing.catch) playing.catch(() => {});
+          // Device labels need the permission just granted; counting does not
+          return navigator.mediaDevices.enumerateDevices ? navigator.mediaDevices.enumerateDevices() : [];
+        })
+        .then(devices => {
+          if (!cancelled && devices) setCanSwitch(devices.filter(d => d.kind === 'videoinput').length > 1);
+        })
+        .catch(err => {
+          console.error(err);
+          if (!cancelled) setError(cameraErrorMessage(err));
+        });
+      return () => {
+        cancelled = true;
+        if (stream) stopStream(stream);
+      };
+    }, [facingMode]);
+
+    async function handleShoot() {
+      const video = videoRef.current;
+      if (!video || !video.videoWidth) return;
+      setBusy(true);
+      try {
+        setCaptured(await drawToJpeg(video, video.videoWidth, video.videoHeight));
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo tomar la foto');
+      } finally {
+        setBusy(false);
+      }
+    }
+    function handleAccept() {
+      onCapture(step.clave, captured);
+      setCaptured(null);
+      if (paso + 1 < pasos.length) {
+        setPaso(paso + 1);
+      } else {
+        onClose();
+      }
+    }
+    function handleSkip() {
+      setCaptured(null);
+      if (paso + 1 < pasos.length) {
+        setPaso(paso + 1);
+      } else {
+        onClose();
+      }
+    }
+
+    const title = pasos.length > 1 ? `${step.titulo} (${paso + 1} de ${pasos.length})` : step.titulo;
+    const guideStyle = guide.oval
+      ? { height: '75%', aspectRatio: String(guide.ratio) }
+      : { width: '80%', aspectRatio: String(guide.ratio) };
+    // Rendered into <body>: the registration form's .modal keeps a
+    // transform from its animation, which would confine a fixed overlay
+    return ReactDOM.createPortal(React.createElement(ModalWrapper, { title, onClose },
+      error
+        ? React.createElement('p', { style: { color: '#9B2C2C' } },
+            error, ' Puede seguir usando el selector de archivos del formulario.')
+        : React.createElement('div', { className: 'camera-view' },
+            React.createElement('video', {
+              ref: videoRef,
+              className: captured ? 'hidden' : '',
+              autoPlay: true,
+              playsInline: true,
+              muted: true,
+              onLoadedMetadata: () => setReady(true),
+              // Mirror the front camera like a mirror; the photo is not mirrored
+              style: facingMode === 'user' ? { transform: 'scaleX(-1)' } : null
+            }),
+            !captured && React.createElement('div', { className: 'camera-guide' + (guide.oval ? ' oval' : ''), style: guideStyle }),
+            !captured && React.createElement('p', { className: 'camera-hint' }, guide.hint),
+            captured && React.createElement(FotoPreview, { foto: captured, alt: 'Foto capturada', style: { width: '100%', display: 'block' } })
+          ),
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', flexWrap: 'wrap', marginTop: '1rem' } },
+        !error && !captured && canSwitch && React.createElement('button', {
+          className: 'button',
+          onClick: () => setFacingMode(facingMode === 'user' ? 'environment' : 'user')
+        }, '🔄 Cambiar cámara'),
+        !error && !captured && React.createElement('button', { className: 'button', onClick: handleShoot, disabled: !ready || busy }, '📸 Tomar foto'),
+        captured && React.createElement('button', { className: 'button', onClick: () => setCaptured(null) }, 'Repetir'),
+        captured && React.createElement('button', { className: 'button', onClick: handleAccept }, 'Usar foto'),
+        !captured && pasos.length > 1 && React.createElement('button', { className: 'button', onClick: handleSkip }, 'Omitir'),
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    ), document.body);
+  }
+
   /**
    * Vehicle registration form. Allows the guard to register a vehicle
    * entry by capturing basic information. Previously registered plates
    * can autofill other fields via datalist suggestions.
    */
-  function RegisterVehicle({ db, models, saveDb, onClose, onAddModel, directorios = [] }) {
+  function RegisterVehicle({ db, models, saveDb, onClose, onAddModel, directorios = [], guard, turno }) {
     const [plate, setPlate] = useState('');
     const [name, setName] = useState('');
     const [motivo, setMotivo] = useState('');
@@ -723,39 +4372,40 @@
     // Additional state for classifying the visit (frecuente/boletinado)
     const [registroTipo, setRegistroTipo] = useState('');
     const [razonBloqueo, setRazonBloqueo] = useState('');
-    // Photograph states. Each will hold a Data URL representation of the
-    // captured image. Using Data URLs allows us to persist small
-    // attachments directly in IndexedDB/Firestore without requiring
-    // additional storage APIs. If no file is selected the value
-    // remains null.
+    // Photograph states. Each holds either the compressed Blob of a
+    // newly captured image, which is stored in the fotos store on
+    // submit, or the id of a stored photo carried over from a previous
+    // visit. If no file is selected the value remains null.
     const [fotoVehiculo, setFotoVehiculo] = useState(null);
     const [fotoIdentificacion, setFotoIdentificacion] = useState(null);
     const [fotoPersona, setFotoPersona] = useState(null);
+    // Camera steps in progress (see CameraCapture), or null when closed
+    const [camara, setCamara] = useState(null);
+    const fotoSetters = { fotoVehiculo: setFotoVehiculo, fotoIdentificacion: setFotoIdentificacion, fotoPersona: setFotoPersona };
 
     // Selected directory entry for the destination. When the user
     // chooses a destination from the list we update this state to
     // render the resident names and phone buttons.
     const [selectedDir, setSelectedDir] = useState(null);
 
-    // Handlers to convert selected files into Data URLs. The HTML
-    // `capture` attribute on the file inputs hints to mobile browsers
-    // that the camera should be used instead of the photo library when
-    // possible. We read the selected file using FileReader and store
-    // the resulting base64 string in state. Errors are silently
-    // swallowed to avoid interrupting the user flow.
-    function handleFotoFile(event, setter) {
+    // Handlers to compress selected files. The HTML `capture` attribute
+    // on the file inputs hints to mobile browsers that the camera should
+    // be used instead of the photo library when possible. The image is
+    // downscaled and re‑encoded as JPEG right away so the form only
+    // holds the small version. Errors are logged without interrupting
+    // the user flow.
+    async function handleFotoFile(event, setter) {
       const file = event.target.files && event.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = function (e) {
-          setter(e.target.result);
-        };
-        reader.onerror = function () {
-          console.error('Error leyendo la fotografía');
-        };
-        reader.readAsDataURL(file);
+      if (!file) return;
+      try {
+        setter(await compressImage(file));
+      } catch (err) {
+        console.error('Error leyendo la fotografía', err);
       }
     }
+    // Active watchlist entry for the typed plate or name, if any. It
+    // overrides the classification and only allows denying access.
+    const bloqueo = useListaNegraMatch(db, { placa: plate, nombre: name });
     // Suggestions state; updated asynchronously when plate changes
     const [suggestions, setSuggestions] = useState([]);
     useEffect(() => {
@@ -884,6 +4534,20 @@
         alert('La placa, el nombre y el destino son obligatorios.');
         return;
       }
+      // The banner's match is resolved asynchronously and may still be
+      // pending, so the watchlist is checked again before saving.
+      let bloqueo;
+      try {
+        bloqueo = await checkListaNegra(db, { placa: plate, nombre: name });
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo consultar la lista negra');
+        return;
+      }
+      if (bloqueo && action !== 'denegado') {
+        alert('El visitante está en la lista negra; solo se puede negar el acceso.');
+        return;
+      }
       const now = new Date();
       const fecha = now.toISOString().slice(0, 10);
       const hora = now.toTimeString().slice(0, 8);
@@ -900,15 +4564,20 @@
         destino,
         fecha,
         hora,
-        registroTipo: registroTipo || '',
-        razonBloqueo: razonBloqueo || '',
+        timestamp: now.getTime(),
+        registroTipo: bloqueo ? 'boletinado' : (registroTipo || ''),
+        razonBloqueo: razonBloqueo || (bloqueo ? bloqueo.razon || '' : ''),
+        listaNegraId: bloqueo ? bloqueo.id : null,
         fotoVehiculo: fotoVehiculo || '',
         fotoIdentificacion: fotoIdentificacion || '',
         fotoPersona: fotoPersona || '',
-        accion: action || 'entrada'
+        accion: action || 'entrada',
+        ...guardStamp(guard, turno)
       };
       try {
-        await addVehiculo(db, record);
+        // A salida closes the open entrada of the same plate. New photos
+        // are stored first so the record only references them.
+        await registerAccess(db, 'vehiculos', await withStoredFotos(db, record));
         // Persist a new vehicle model if it does not exist in the list
         if (modelo && typeof onAddModel === 'function') {
           onAddModel(modelo);
@@ -946,6 +4615,9 @@
     }
     // Determine background colour based on visitor classification
     const wrapperStyle = useMemo(() => {
+      if (bloqueo) {
+        return { backgroundColor: '#FFF5F5', padding: '1rem', borderRadius: '8px' };
+      }
       // Highlight different classifications with subtle backgrounds
       if (registroTipo === 'pase directo' || registroTipo === 'frecuente') {
         // light green background
@@ -960,10 +4632,11 @@
         return { backgroundColor: '#FEFCBF', padding: '1rem', borderRadius: '8px' };
       }
       return {};
-    }, [registroTipo]);
+    }, [registroTipo, bloqueo]);
     return React.createElement(
       'div',
       { style: wrapperStyle },
+      bloqueo && React.createElement(ListaNegraAlert, { entry: bloqueo }),
       // Placa
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Placa'),
@@ -1078,8 +4751,16 @@
 
       // Photographs: vehicle, identification and person. Each file input
       // prompts the user to take a picture using their device camera
-      // thanks to the `capture` attribute. A small preview is shown
-      // below the respective input when an image has been selected.
+      // thanks to the `capture` attribute. Where getUserMedia is
+      // available the in‑app camera can also take them, one at a time or
+      // all three in a row. A small preview is shown below the respective
+      // input when an image has been selected.
+      isCameraAvailable() && React.createElement('div', { className: 'input-group' },
+        React.createElement('button', {
+          className: 'button',
+          onClick: () => setCamara([CAMERA_STEPS.fotoVehiculo, CAMERA_STEPS.fotoIdentificacion, CAMERA_STEPS.fotoPersona])
+        }, '📷 Tomar todas las fotos')
+      ),
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Foto del vehículo'),
         React.createElement('input', {
@@ -1088,8 +4769,14 @@
           capture: 'environment',
           onChange: e => handleFotoFile(e, setFotoVehiculo)
         }),
-        fotoVehiculo && React.createElement('img', {
-          src: fotoVehiculo,
+        isCameraAvailable() && React.createElement('button', {
+          className: 'button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setCamara([CAMERA_STEPS.fotoVehiculo])
+        }, '📷 Cámara'),
+        React.createElement(FotoPreview, {
+          db,
+          foto: fotoVehiculo,
           alt: 'Previsualización vehículo',
           style: { marginTop: '0.5rem', maxWidth: '100%', maxHeight: '150px', objectFit: 'contain', borderRadius: '4px' }
         })
@@ -1102,8 +4789,14 @@
           capture: 'environment',
           onChange: e => handleFotoFile(e, setFotoIdentificacion)
         }),
-        fotoIdentificacion && React.createElement('img', {
-          src: fotoIdentificacion,
+        isCameraAvailable() && React.createElement('button', {
+          className: 'button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setCamara([CAMERA_STEPS.fotoIdentificacion])
+        }, '📷 Cámara'),
+        React.createElement(FotoPreview, {
+          db,
+          foto: fotoIdentificacion,
           alt: 'Previsualización identificación',
           style: { marginTop: '0.5rem', maxWidth: '100%', maxHeight: '150px', objectFit: 'contain', borderRadius: '4px' }
         })
@@ -1116,8 +4809,14 @@
           capture: 'user',
           onChange: e => handleFotoFile(e, setFotoPersona)
         }),
-        fotoPersona && React.createElement('img', {
-          src: fotoPersona,
+        isCameraAvailable() && React.createElement('button', {
+          className: 'button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setCamara([CAMERA_STEPS.fotoPersona])
+        }, '📷 Cámara'),
+        React.createElement(FotoPreview, {
+          db,
+          foto: fotoPersona,
           alt: 'Previsualización persona',
           style: { marginTop: '0.5rem', maxWidth: '100%', maxHeight: '150px', objectFit: 'contain', borderRadius: '4px' }
         })
@@ -1163,16 +4862,22 @@
           }
         }, `Motivo de bloqueo: ${razonBloqueo}`),
       // Buttons: show a single "Negar acceso" button when classification
-      // is Boletinado, otherwise show the standard entry/exit buttons.
+      // is Boletinado or the visitor is on the watchlist, otherwise show
+      // the standard entry/exit buttons.
       React.createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', flexWrap: 'wrap' } },
-        (registroTipo === 'boletinado')
+        (registroTipo === 'boletinado' || bloqueo)
           ? React.createElement('button', { className: 'button danger', onClick: () => handleSubmit('denegado') }, 'Negar acceso')
           : React.createElement(React.Fragment, null,
               React.createElement('button', { className: 'button', onClick: handleEntry }, 'Registrar entrada'),
               React.createElement('button', { className: 'button', onClick: handleExit }, 'Registrar salida')
             ),
         React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cancelar')
-      )
+      ),
+      camara && React.createElement(CameraCapture, {
+        pasos: camara,
+        onCapture: (clave, blob) => fotoSetters[clave](blob),
+        onClose: () => setCamara(null)
+      })
     );
   }
 
@@ -1180,7 +4885,7 @@
    * Pedestrian registration form. Similar to vehicle registration but
    * without vehicle‑specific fields.
    */
-  function RegisterPedestrian({ db, saveDb, onClose, directorios = [] }) {
+  function RegisterPedestrian({ db, saveDb, onClose, directorios = [], guard, turno }) {
     // Visitor information
     const [nombre, setNombre] = useState('');
     const [motivo, setMotivo] = useState('');
@@ -1194,8 +4899,12 @@
     // Photograph states
     const [fotoPersona, setFotoPersona] = useState(null);
     const [fotoIdentificacion, setFotoIdentificacion] = useState(null);
+    const [camara, setCamara] = useState(null);
+    const fotoSetters = { fotoPersona: setFotoPersona, fotoIdentificacion: setFotoIdentificacion };
     // Suggestions for names
     const [suggestions, setSuggestions] = useState([]);
+    // Active watchlist entry for the typed name, ID or unique code
+    const bloqueo = useListaNegraMatch(db, { nombre, identificacion: idOpcional, codigo: codigoUnico });
     // Selected directory entry for destination
     const [selectedDir, setSelectedDir] = useState(null);
 
@@ -1302,18 +5011,14 @@
       }
     }
 
-    // Helper to process file input and convert to Data URL
-    function handleFotoFile(event, setter) {
+    // Helper to compress the selected file (see RegisterVehicle)
+    async function handleFotoFile(event, setter) {
       const file = event.target.files && event.target.files[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = function (e) {
-          setter(e.target.result);
-        };
-        reader.onerror = function () {
-          console.error('Error leyendo la fotografía');
-        };
-        reader.readAsDataURL(file);
+      if (!file) return;
+      try {
+        setter(await compressImage(file));
+      } catch (err) {
+        console.error('Error leyendo la fotografía', err);
       }
     }
 
@@ -1365,6 +5070,20 @@
         alert('El nombre y el destino son obligatorios.');
         return;
       }
+      // The banner's match is resolved asynchronously and may still be
+      // pending, so the watchlist is checked again before saving.
+      let bloqueo;
+      try {
+        bloqueo = await checkListaNegra(db, { nombre, identificacion: idOpcional, codigo: codigoUnico });
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo consultar la lista negra');
+        return;
+      }
+      if (bloqueo && action !== 'denegado') {
+        alert('El visitante está en la lista negra; solo se puede negar el acceso.');
+        return;
+      }
       const now = new Date();
       const fecha = now.toISOString().slice(0, 10);
       const hora = now.toTimeString().slice(0, 8);
@@ -1375,15 +5094,19 @@
         id_opcional: idOpcional,
         fecha: fecha,
         hora: hora,
+        timestamp: now.getTime(),
         codigoUnico: codigoUnico,
-        registroTipo: registroTipo || '',
-        razonBloqueo: razonBloqueo || '',
+        registroTipo: bloqueo ? 'boletinado' : (registroTipo || ''),
+        razonBloqueo: razonBloqueo || (bloqueo ? bloqueo.razon || '' : ''),
+        listaNegraId: bloqueo ? bloqueo.id : null,
         fotoPersona: fotoPersona || '',
         fotoIdentificacion: fotoIdentificacion || '',
-        accion: action || 'entrada'
+        accion: action || 'entrada',
+        ...guardStamp(guard, turno)
       };
       try {
-        await addPeaton(db, record);
+        // A salida closes the open entrada of the same codigoUnico
+        await registerAccess(db, 'peatones', await withStoredFotos(db, record));
         if (saveDb) saveDb();
         alert('Peatón registrado correctamente');
         // After saving, compute next code for new entry
@@ -1416,6 +5139,9 @@
     }
     // Wrapper style highlights classification
     const wrapperStyle = useMemo(() => {
+      if (bloqueo) {
+        return { backgroundColor: '#FFF5F5', padding: '1rem', borderRadius: '8px' };
+      }
       if (registroTipo === 'pase directo' || registroTipo === 'frecuente') {
         return { backgroundColor: '#F0FFF4', padding: '1rem', borderRadius: '8px' };
       }
@@ -1426,10 +5152,11 @@
         return { backgroundColor: '#FEFCBF', padding: '1rem', borderRadius: '8px' };
       }
       return {};
-    }, [registroTipo]);
+    }, [registroTipo, bloqueo]);
     return React.createElement(
       'div',
       { style: wrapperStyle },
+      bloqueo && React.createElement(ListaNegraAlert, { entry: bloqueo }),
       // Nombre completo with datalist for suggestions
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Nombre completo'),
@@ -1542,153 +5269,634 @@
           placeholder: 'Credencial, INE, etc.'
         })
       ),
+      isCameraAvailable() && React.createElement('div', { className: 'input-group' },
+        React.createElement('button', {
+          className: 'button',
+          onClick: () => setCamara([CAMERA_STEPS.fotoPersona, CAMERA_STEPS.fotoIdentificacion])
+        }, '📷 Tomar todas las fotos')
+      ),
       // Foto de la persona
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Foto de la persona'),
-        fotoPersona && React.createElement('img', {
-          src: fotoPersona,
+        React.createElement(FotoPreview, {
+          db,
+          foto: fotoPersona,
           alt: 'foto persona',
           style: { width: '100%', maxHeight: '150px', objectFit: 'cover', marginBottom: '0.5rem', borderRadius: '6px' }
         }),
-        React.createElement('input', {
-          type: 'file',
-          accept: 'image/*',
-          capture: 'environment',
-          onChange: e => handleFotoFile(e, setFotoPersona)
+        React.createElement('input', {
+          type: 'file',
+          accept: 'image/*',
+          capture: 'environment',
+          onChange: e => handleFotoFile(e, setFotoPersona)
+        }),
+        isCameraAvailable() && React.createElement('button', {
+          className: 'button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setCamara([CAMERA_STEPS.fotoPersona])
+        }, '📷 Cámara')
+      ),
+      // Foto de la identificación
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Foto de la identificación'),
+        React.createElement(FotoPreview, {
+          db,
+          foto: fotoIdentificacion,
+          alt: 'foto identificación',
+          style: { width: '100%', maxHeight: '150px', objectFit: 'cover', marginBottom: '0.5rem', borderRadius: '6px' }
+        }),
+        React.createElement('input', {
+          type: 'file',
+          accept: 'image/*',
+          capture: 'environment',
+          onChange: e => handleFotoFile(e, setFotoIdentificacion)
+        }),
+        isCameraAvailable() && React.createElement('button', {
+          className: 'button',
+          style: { marginTop: '0.5rem' },
+          onClick: () => setCamara([CAMERA_STEPS.fotoIdentificacion])
+        }, '📷 Cámara')
+      ),
+      // Buttons: Entrada/Salida or Negar acceso depending on classification
+      // and the watchlist
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '0.5rem' } },
+        (registroTipo === 'boletinado' || bloqueo) ? (
+          React.createElement('button', { className: 'button danger', onClick: handleDeny }, 'Negar acceso')
+        ) : (
+          React.createElement(React.Fragment, null,
+            React.createElement('button', { className: 'button', onClick: handleEntry }, '1 Entrada'),
+            React.createElement('button', { className: 'button', onClick: handleExit }, '2 Salida')
+          )
+        ),
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cancelar')
+      ),
+      camara && React.createElement(CameraCapture, {
+        pasos: camara,
+        onCapture: (clave, blob) => fotoSetters[clave](blob),
+        onClose: () => setCamara(null)
+      })
+    );
+  }
+
+  /**
+   * Time columns of a visit row. `fecha`/`hora` are the entry time (or
+   * the time of the lone exit or denial), `salidaFecha`/`salidaHora`
+   * the exit time and `duracion` the stay in milliseconds. `accion`
+   * summarises the state of the visit.
+   *
+   * @param {{entrada: ?Object, salida: ?Object, denegado: ?Object}} visit
+   */
+  function visitTimes(visit) {
+    const { entrada, salida, denegado } = visit;
+    if (denegado) {
+      return { fecha: denegado.fecha, hora: denegado.hora, salidaFecha: '', salidaHora: '', duracion: null, accion: 'denegado' };
+    }
+    if (!entrada) {
+      return { fecha: salida.fecha, hora: '', salidaFecha: salida.fecha, salidaHora: salida.hora, duracion: null, accion: 'salida' };
+    }
+    const salidaFecha = salida ? salida.fecha : (entrada.salidaFecha || '');
+    const salidaHora = salida ? salida.hora : (entrada.salidaHora || '');
+    const salidaTime = salida ? recordTime(salida) : entrada.salidaTimestamp;
+    const closed = Boolean(salidaHora);
+    return {
+      fecha: entrada.fecha,
+      hora: entrada.hora,
+      salidaFecha,
+      salidaHora,
+      duracion: closed && salidaTime ? salidaTime - recordTime(entrada) : null,
+      accion: closed ? 'finalizada' : 'dentro'
+    };
+  }
+
+  /*
+   * Paged history queries
+   *
+   * The history walks the access stores with cursors instead of reading
+   * them whole. Plate and destination filters are served by the
+   * [placaNorm, fecha] and [destinoNorm, fecha] indexes (see
+   * withHistoryKeys()) and everything else by the fecha index, so the
+   * key range always narrows the walk. A plate or destination matches by
+   * prefix, ignoring case; records whose value starts with the filter
+   * are read one value after another, and the date range is checked
+   * while the cursor moves along with the remaining filters (name,
+   * guard, shift). A page position is the index key and primary key of
+   * the last record read, and the next page resumes right after it.
+   */
+  const HISTORY_PAGE_SIZE = 50;
+
+  function historyIndexRange(filters) {
+    const desde = filters.fechaInicio || '';
+    const hasta = filters.fechaFin || '\uffff';
+    if (filters.placa) {
+      const placa = normalizePlaca(filters.placa);
+      return { index: 'placaNorm_fecha', range: IDBKeyRange.bound([placa, desde], [placa + '\uffff', hasta]) };
+    }
+    if (filters.destino) {
+      const destino = normalizeDestino(filters.destino);
+      return { index: 'destinoNorm_fecha', range: IDBKeyRange.bound([destino, desde], [destino + '\uffff', hasta]) };
+    }
+    return { index: 'fecha', range: IDBKeyRange.bound(desde, hasta) };
+  }
+
+  function matchesHistoryFilters(record, filters) {
+    if (filters.nombre && !String(record.nombre || '').toLowerCase().includes(filters.nombre.toLowerCase())) return false;
+    if (filters.guardia && record.guardiaNombre !== filters.guardia) return false;
+    if (filters.turno && record.turno !== filters.turno) return false;
+    if (filters.placa && !normalizePlaca(record.placa).startsWith(normalizePlaca(filters.placa))) return false;
+    if (filters.destino && !normalizeDestino(record.destino).startsWith(normalizeDestino(filters.destino))) return false;
+    if (filters.fechaInicio && record.fecha < filters.fechaInicio) return false;
+    if (filters.fechaFin && record.fecha > filters.fechaFin) return false;
+    return true;
+  }
+
+  /**
+   * Read up to `limit` records of one store that match the history
+   * filters, in date order, starting after `after`.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {string}      storeName 'vehiculos' or 'peatones'.
+   * @param {Object}      filters   HistoryView filters.
+   * @param {?{key: *, primaryKey: number}} after Position to resume from.
+   * @param {number}      limit     Maximum number of records.
+   * @param {string}      direction 'prev' (newest first) or 'next'.
+   * @returns {Promise<{items: Array<{record, position}>, done: boolean}>}
+   */
+  function scanHistoryRecords(db, storeName, filters, after, limit, direction) {
+    return new Promise((resolve, reject) => {
+      const { index, range } = historyIndexRange(filters);
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).index(index).openCursor(range, direction);
+      const sign = direction === 'prev' ? -1 : 1;
+      const items = [];
+      let resumed = !after;
+      req.onsuccess = function (e) {
+        const cursor = e.target.result;
+        if (!cursor) {
+          resolve({ items, done: true });
+          return;
+        }
+        if (after) {
+          const cmp = indexedDB.cmp(cursor.key, after.key) || indexedDB.cmp(cursor.primaryKey, after.primaryKey);
+          if (cmp === 0) {
+            cursor.continue();
+            return;
+          }
+          if (!resumed && cmp * sign < 0) {
+            resumed = true;
+            cursor.continuePrimaryKey(after.key, after.primaryKey);
+            return;
+          }
+          resumed = true;
+        }
+        if (matchesHistoryFilters(cursor.value, filters)) {
+          if (items.length === limit) {
+            // One more match exists, so the store is not exhausted
+            resolve({ items, done: false });
+            return;
+          }
+          items.push({ record: cursor.value, position: { key: cursor.key, primaryKey: cursor.primaryKey } });
+        }
+        cursor.continue();
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * All records of the visitor of `record`, read through the same
+   * indexes findOpenEntrada() pairs registrations on: the normalised
+   * plate for vehicles and codigoUnico for pedestrians.
+   */
+  function getVisitorRecords(db, storeName, record) {
+    return new Promise((resolve, reject) => {
+      const key = visitKey(storeName, record);
+      if (!key) {
+        resolve([record]);
+        return;
+      }
+      const tx = db.transaction(storeName, 'readonly');
+      const req = storeName === 'vehiculos'
+        ? tx.objectStore(storeName).index('placaNorm_fecha').getAll(IDBKeyRange.bound([key, ''], [key, '\uffff']))
+        : tx.objectStore(storeName).index('codigoUnico').getAll(IDBKeyRange.only(key));
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  /**
+   * The visit a history record stands for, or null when the record is
+   * the salida of a visit that its entrada already represents. Linked
+   * visits are read from the entrada alone, which carries the exit
+   * time; visits without links (legacy records, or closed at another
+   * booth) are paired like buildVisits() does, from the visitor's own
+   * records only. `cache` keeps those per visitor for one page.
+   */
+  async function resolveHistoryVisit(db, storeName, record, cache) {
+    const accion = (record.accion || '').toLowerCase();
+    if (accion !== 'entrada' && accion !== 'salida') {
+      return { entrada: null, salida: null, denegado: record };
+    }
+    if (accion === 'entrada' && (record.salidaId != null || record.salidaHora)) {
+      return { entrada: record, salida: null, denegado: null };
+    }
+    if (accion === 'salida' && record.entradaId != null) return null;
+    const key = visitKey(storeName, record);
+    if (!cache.has(key)) {
+      cache.set(key, getVisitorRecords(db, storeName, record).then(list => buildVisits(storeName, list)));
+    }
+    const visits = await cache.get(key);
+    const visit = visits.find(v => (v.entrada && v.entrada.id === record.id) || (v.salida && v.salida.id === record.id));
+    if (!visit) {
+      return accion === 'entrada'
+        ? { entrada: record, salida: null, denegado: null }
+        : { entrada: null, salida: record, denegado: null };
+    }
+    if (accion === 'salida' && visit.entrada) return null;
+    return visit;
+  }
+
+  /**
+   * One history table row for a visit.
+   */
+  function historyRow(storeName, visit) {
+    const r = visit.entrada || visit.salida || visit.denegado;
+    const vehiculo = storeName === 'vehiculos';
+    return Object.assign(visitTimes(visit), {
+      id: (vehiculo ? 'v' : 'p') + r.id,
+      storeName,
+      registro: r,
+      tipo: vehiculo ? 'Vehículo' : 'Peatón',
+      nombre: r.nombre,
+      placa: vehiculo ? r.placa : '',
+      destino: r.destino,
+      motivo: r.motivo,
+      modelo: vehiculo ? r.modelo : '',
+      color: vehiculo ? r.color : '',
+      // Legacy 'frecuente' values read as 'pase directo'
+      registroTipo: normalizeRegistroTipo(r.registroTipo),
+      razonBloqueo: r.razonBloqueo || '',
+      guardiaId: r.guardiaId != null ? r.guardiaId : null,
+      guardiaNombre: r.guardiaNombre || '',
+      turno: r.turno || ''
+    });
+  }
+
+  /**
+   * Read one page of history rows across vehiculos and peatones. Each
+   * store is read from its own position and the two are merged by date,
+   * so `positions` must be passed back unchanged to get the next page.
+   *
+   * @param {IDBDatabase} db        An open IndexedDB instance.
+   * @param {Object}      filters   HistoryView filters.
+   * @param {Object}      positions Per store: null to start, a position,
+   *                                or 'fin' once the store is exhausted.
+   * @param {string}      [direction='prev'] Newest ('prev') or oldest
+   *                                ('next') first.
+   * @param {number}      [limit=HISTORY_PAGE_SIZE]
+   * @returns {Promise<{rows: Array, positions: Object, done: boolean}>}
+   */
+  async function queryHistoryPage(db, filters, positions, direction = 'prev', limit = HISTORY_PAGE_SIZE) {
+    let stores = ['vehiculos', 'peatones'];
+    if (filters.tipo === 'Vehículo' || filters.placa) stores = ['vehiculos'];
+    if (filters.tipo === 'Peatón') stores = filters.placa ? [] : ['peatones'];
+    const next = { vehiculos: 'fin', peatones: 'fin' };
+    const lists = [];
+    for (const storeName of stores) {
+      const after = positions[storeName];
+      if (after === 'fin') continue;
+      const scan = await scanHistoryRecords(db, storeName, filters, after || null, limit, direction);
+      const cache = new Map();
+      const rows = [];
+      for (const item of scan.items) {
+        const visit = await resolveHistoryVisit(db, storeName, item.record, cache);
+        rows.push({ row: visit ? historyRow(storeName, visit) : null, position: item.position });
+      }
+      next[storeName] = scan.done && scan.items.length === 0 ? 'fin' : (after || null);
+      lists.push({ storeName, rows, done: scan.done });
+    }
+    // Merge the per-store lists by date and time, keeping each list's
+    // own order; only the records consumed by this page move the
+    // positions forward
+    const sign = direction === 'prev' ? -1 : 1;
+    const rowTime = row => `${row.fecha || ''} ${row.hora || row.salidaHora || ''}`;
+    const page = [];
+    const heads = lists.map(() => 0);
+    while (page.length < limit) {
+      let best = -1;
+      let starved = false;
+      lists.forEach((list, i) => {
+        // Records that do not make a row of their own are consumed as
+        // soon as they come up
+        while (heads[i] < list.rows.length && !list.rows[heads[i]].row) {
+          next[list.storeName] = list.rows[heads[i]].position;
+          heads[i]++;
+        }
+        if (heads[i] >= list.rows.length) {
+          // Unread records of this store may come before the others
+          if (!list.done) starved = true;
+          return;
+        }
+        if (best === -1) {
+          best = i;
+          return;
+        }
+        const a = rowTime(list.rows[heads[i]].row);
+        const b = rowTime(lists[best].rows[heads[best]].row);
+        if ((a < b ? -1 : a > b ? 1 : 0) * sign < 0) best = i;
+      });
+      if (best === -1 || starved) break;
+      const item = lists[best].rows[heads[best]++];
+      page.push(item.row);
+      next[lists[best].storeName] = item.position;
+    }
+    lists.forEach((list, i) => {
+      if (list.done && heads[i] >= list.rows.length) next[list.storeName] = 'fin';
+    });
+    const done = next.vehiculos === 'fin' && next.peatones === 'fin';
+    // A batch made only of salidas shown with their entradas yields no
+    // rows; keep reading rather than return an empty page
+    if (page.length === 0 && !done) return queryHistoryPage(db, filters, next, direction, limit);
+    return { rows: page, positions: next, done };
+  }
+
+  /**
+   * Readable label of a visit state (see visitTimes).
+   */
+  function accionLabel(accion) {
+    const a = (accion || '').toLowerCase();
+    if (a === 'dentro') return 'Dentro';
+    if (a === 'finalizada') return 'Finalizada';
+    if (a === 'entrada') return 'Entrada';
+    if (a === 'salida') return 'Salida sin entrada';
+    if (a === 'denegado' || a === 'negado' || a === 'denegada') return 'Denegado';
+    return accion || '';
+  }
+
+  /**
+   * Readable label of a classification value, with its icon.
+   */
+  function registroTipoLabel(tipo) {
+    if (tipo === 'pase directo' || tipo === 'frecuente') return 'Pase directo✅';
+    if (tipo === 'boletinado') return 'Boletinado❌';
+    if (tipo === 'llamar siempre') return 'Llamar siempre📞';
+    return tipo || '';
+  }
+
+  const FOTO_LABELS = { fotoVehiculo: 'Vehículo', fotoIdentificacion: 'Identificación', fotoPersona: 'Persona' };
+
+  /**
+   * Full‑screen viewer for a list of photos ({ campo, foto, visita }).
+   * Arrow keys and the side buttons move between photos; Escape or a
+   * click on the backdrop closes it.
+   */
+  function FotoLightbox({ db, fotos, index, onIndex, onClose }) {
+    const item = fotos[index];
+    useEffect(() => {
+      function handleKey(e) {
+        if (e.key === 'Escape') onClose();
+        if (e.key === 'ArrowLeft' && index > 0) onIndex(index - 1);
+        if (e.key === 'ArrowRight' && index < fotos.length - 1) onIndex(index + 1);
+      }
+      window.addEventListener('keydown', handleKey);
+      return () => window.removeEventListener('keydown', handleKey);
+    }, [index, fotos.length]);
+    // Portal into <body> for the same reason as CameraCapture
+    return ReactDOM.createPortal(React.createElement('div', { className: 'modal-overlay lightbox', onClick: onClose },
+      React.createElement('div', { className: 'lightbox-body', onClick: e => e.stopPropagation() },
+        React.createElement('button', { className: 'close-btn', onClick: onClose },
+          React.createElement('i', { className: 'fas fa-times' })
+        ),
+        React.createElement(FotoPreview, {
+          db,
+          foto: item.foto,
+          alt: FOTO_LABELS[item.campo],
+          style: { maxWidth: '100%', maxHeight: '75vh', objectFit: 'contain', display: 'block', margin: '0 auto' }
+        }),
+        React.createElement('p', { className: 'lightbox-caption' },
+          `${FOTO_LABELS[item.campo]} · ${item.visita} (${index + 1} de ${fotos.length})`
+        ),
+        React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between' } },
+          React.createElement('button', { className: 'button', onClick: () => onIndex(index - 1), disabled: index === 0 }, '◀ Anterior'),
+          React.createElement('button', { className: 'button', onClick: () => onIndex(index + 1), disabled: index === fotos.length - 1 }, 'Siguiente ▶')
+        )
+      )
+    ), document.body);
+  }
+
+  /**
+   * Detail page of a plate or pedestrian opened from a history row:
+   * every visit newest first with its photos as thumbnails, and the
+   * classification changes between visits.
+   *
+   * @param {Object}   props.row    The history row that was opened.
+   * @param {Function} props.onBack Return to the history table.
+   * @param {string}   [props.backLabel] Label of the back button.
+   */
+  function VisitorDetail({ db, row, onBack, backLabel = '◀ Volver al historial' }) {
+    const [visits, setVisits] = useState(null);
+    const [lightbox, setLightbox] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      getVisitorTimeline(db, row.storeName, row.registro)
+        .then(list => {
+          if (!cancelled) setVisits(list);
         })
+        .catch(err => {
+          console.error(err);
+          if (!cancelled) setVisits([]);
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [db, row, reloadKey]);
+
+    useEffect(() => onRemoteChange(storeName => {
+      if (storeName === row.storeName) setReloadKey(k => k + 1);
+    }), [row]);
+
+    // One flat list so the lightbox can step across visits
+    const fotos = useMemo(() => {
+      const list = [];
+      (visits || []).forEach(visit => {
+        const times = visitTimes(visit);
+        visitPhotos(visit).forEach(f => list.push(Object.assign({ visita: `${times.fecha} ${times.hora}`.trim() }, f)));
+      });
+      return list;
+    }, [visits]);
+
+    if (!visits) return React.createElement('p', null, 'Cargando…');
+    const latest = visits[0] ? (visits[0].entrada || visits[0].denegado || visits[0].salida) : row.registro;
+    const oldest = visits[visits.length - 1];
+    const cambios = visits.filter(v => v.cambio);
+    const vehiculo = row.storeName === 'vehiculos';
+    let fotoIndex = 0;
+    return React.createElement(React.Fragment, null,
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '0.5rem' } },
+        React.createElement('h3', { style: { margin: 0 } }, vehiculo ? `${latest.placa} · ${latest.nombre || ''}` : latest.nombre),
+        React.createElement('button', { className: 'button', onClick: onBack }, backLabel)
       ),
-      // Foto de la identificación
-      React.createElement('div', { className: 'input-group' },
-        React.createElement('label', null, 'Foto de la identificación'),
-        fotoIdentificacion && React.createElement('img', {
-          src: fotoIdentificacion,
-          alt: 'foto identificación',
-          style: { width: '100%', maxHeight: '150px', objectFit: 'cover', marginBottom: '0.5rem', borderRadius: '6px' }
+      React.createElement('p', null,
+        vehiculo && latest.color && React.createElement('span', {
+          title: latest.color,
+          style: { backgroundColor: latest.color, display: 'inline-block', width: '1rem', height: '1rem', borderRadius: '4px', border: '1px solid #CBD5E0', verticalAlign: 'middle', marginRight: '0.4rem' }
         }),
-        React.createElement('input', {
-          type: 'file',
-          accept: 'image/*',
-          capture: 'environment',
-          onChange: e => handleFotoFile(e, setFotoIdentificacion)
+        vehiculo && latest.modelo ? `${latest.modelo} — ` : '',
+        !vehiculo && latest.codigoUnico ? `Código ${latest.codigoUnico} — ` : '',
+        `${visits.length} ${visits.length === 1 ? 'visita' : 'visitas'}`,
+        oldest ? `, desde ${visitTimes(oldest).fecha}` : '',
+        '. Clasificación actual: ',
+        React.createElement('strong', null, registroTipoLabel(visits[0] ? visits[0].registroTipo : '') || 'Sin clasificación')
+      ),
+      cambios.length > 0 && React.createElement('div', null,
+        React.createElement('h4', null, 'Cambios de clasificación'),
+        React.createElement('ul', null,
+          cambios.map((v, idx) => {
+            const main = v.entrada || v.denegado || v.salida;
+            return React.createElement('li', { key: idx },
+              `${main.fecha} ${main.hora || ''}: ${registroTipoLabel(v.cambio.de) || 'Sin clasificación'} → ${registroTipoLabel(v.cambio.a) || 'Sin clasificación'}`,
+              main.guardiaNombre ? ` (${main.guardiaNombre})` : '',
+              main.razonBloqueo ? ` — ${main.razonBloqueo}` : ''
+            );
+          })
+        )
+      ),
+      React.createElement('h4', null, 'Visitas'),
+      React.createElement('ol', { className: 'timeline' },
+        visits.map((visit, idx) => {
+          const times = visitTimes(visit);
+          const main = visit.entrada || visit.denegado || visit.salida;
+          const visitFotos = visitPhotos(visit);
+          const firstIndex = fotoIndex;
+          fotoIndex += visitFotos.length;
+          return React.createElement('li', { key: idx, className: 'timeline-item' + (times.accion === 'denegado' ? ' denied' : '') },
+            React.createElement('div', { className: 'timeline-date' },
+              `${times.fecha} ${times.hora}`,
+              times.salidaHora ? ` → ${times.salidaFecha !== times.fecha ? times.salidaFecha + ' ' : ''}${times.salidaHora}` : '',
+              times.duracion != null ? ` (${formatDuration(times.duracion)})` : ''
+            ),
+            React.createElement('div', null,
+              React.createElement('strong', null, accionLabel(times.accion)),
+              main.destino ? ` · ${main.destino}` : '',
+              main.motivo ? ` · ${main.motivo}` : '',
+              visit.registroTipo ? ` · ${registroTipoLabel(visit.registroTipo)}` : ''
+            ),
+            (main.guardiaNombre || main.turno) && React.createElement('div', { style: { fontSize: '0.85rem', color: '#718096' } },
+              [main.guardiaNombre, main.turno].filter(Boolean).join(' · ')
+            ),
+            main.razonBloqueo && React.createElement('div', { style: { color: '#9B2C2C' } }, `Motivo de bloqueo: ${main.razonBloqueo}`),
+            visitFotos.length > 0 && React.createElement('div', { className: 'timeline-photos' },
+              visitFotos.map((f, i) => React.createElement('button', {
+                key: f.campo,
+                className: 'thumbnail',
+                title: FOTO_LABELS[f.campo],
+                onClick: () => setLightbox(firstIndex + i)
+              }, React.createElement(FotoPreview, { db, foto: f.foto, alt: FOTO_LABELS[f.campo] })))
+            )
+          );
         })
       ),
-      // Buttons: Entrada/Salida or Negar acceso depending on classification
-      React.createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '0.5rem' } },
-        registroTipo === 'boletinado' ? (
-          React.createElement('button', { className: 'button danger', onClick: handleDeny }, 'Negar acceso')
-        ) : (
-          React.createElement(React.Fragment, null,
-            React.createElement('button', { className: 'button', onClick: handleEntry }, '1 Entrada'),
-            React.createElement('button', { className: 'button', onClick: handleExit }, '2 Salida')
-          )
-        ),
-        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cancelar')
-      )
+      lightbox != null && React.createElement(FotoLightbox, {
+        db,
+        fotos,
+        index: lightbox,
+        onIndex: setLightbox,
+        onClose: () => setLightbox(null)
+      })
     );
   }
 
   /**
-   * History view. Displays a combined table of vehicle and pedestrian entries.
+   * History view. Displays a combined table of vehicle and pedestrian
+   * visits: one row per visit with entry time, exit time and duration.
    * Provides filters by type, name, plate, destination and date range, and
-   * allows exporting the filtered records to a CSV file.
+   * allows exporting the filtered records to a CSV file. Rows are read
+   * page by page through the indexes (see queryHistoryPage).
    */
   function HistoryView({ db, onClose }) {
-    const [records, setRecords] = useState([]);
-    const [filters, setFilters] = useState({ tipo: '', nombre: '', placa: '', destino: '', fechaInicio: '', fechaFin: '' });
+    const [rows, setRows] = useState([]);
+    const [filters, setFilters] = useState({ tipo: '', nombre: '', placa: '', destino: '', guardia: '', turno: '', fechaInicio: '', fechaFin: '' });
+    // Loaded rows are sorted by the chosen column. Pages are read from
+    // the date indexes, so the date order also decides which visits the
+    // first page and 'Cargar más' bring.
     const [sortConfig, setSortConfig] = useState({ key: 'fecha', direction: 'desc' });
+    const direction = sortConfig.key === 'fecha' && sortConfig.direction === 'asc' ? 'next' : 'prev';
+    // Where the next page starts (see queryHistoryPage)
+    const [positions, setPositions] = useState(null);
+    const [done, setDone] = useState(true);
+    const [loading, setLoading] = useState(false);
+    const [guardiaOptions, setGuardiaOptions] = useState([]);
+    const [destinoOptions, setDestinoOptions] = useState([]);
+    // Row whose visitor detail is open, if any
+    const [detalle, setDetalle] = useState(null);
+
+    // Guard names and destinations for the filters come from their own
+    // (small) stores
     useEffect(() => {
       let cancelled = false;
-      async function fetchData() {
-        if (!db) return;
-        try {
-          const vehiculosList = await getAllVehiculos(db);
-          const peatonesList = await getAllPeatones(db);
-          // Map vehiculos and peatones into unified records
-          const vehRows = vehiculosList.map(v => ({
-            id: v.id,
-            fecha: v.fecha,
-            hora: v.hora,
-            tipo: 'Vehículo',
-            nombre: v.nombre,
-            placa: v.placa,
-            destino: v.destino,
-            motivo: v.motivo,
-            modelo: v.modelo,
-            color: v.color,
-            registroTipo: v.registroTipo || '',
-            razonBloqueo: v.razonBloqueo || '',
-            accion: v.accion || ''
-          }));
-          const peatRows = peatonesList.map(p => ({
-            id: p.id,
-            fecha: p.fecha,
-            hora: p.hora,
-            tipo: 'Peatón',
-            nombre: p.nombre,
-            placa: '',
-            destino: p.destino,
-            motivo: p.motivo,
-            modelo: '',
-            color: '',
-            // Preserve classification and reason from the record so it
-            // appears in the history and CSV export. Convert legacy
-            // 'frecuente' values to 'pase directo' for consistency.
-            registroTipo: (p.registroTipo === 'frecuente' ? 'pase directo' : (p.registroTipo || '')),
-            razonBloqueo: p.razonBloqueo || '',
-            accion: p.accion || ''
-          }));
-          const allRows = [...vehRows, ...peatRows];
-          if (!cancelled) setRecords(allRows);
-        } catch (err) {
-          console.error(err);
-        }
-      }
-      fetchData();
+      if (!db) return;
+      Promise.all([getAllGuardias(db), getAllDirectorios(db)])
+        .then(([guardias, directorios]) => {
+          if (cancelled) return;
+          setGuardiaOptions(Array.from(new Set(guardias.map(g => g.nombre).filter(Boolean))).sort((a, b) => a.localeCompare(b)));
+          setDestinoOptions(Array.from(new Set(directorios.map(d => d.destino).filter(Boolean))).sort((a, b) => a.localeCompare(b)));
+        })
+        .catch(err => console.error(err));
       return () => {
         cancelled = true;
       };
     }, [db]);
 
-    // Derived filtered records
-    const filtered = useMemo(() => {
-      let filteredData = records;
-      // Apply type filter
-      if (filters.tipo) {
-        filteredData = filteredData.filter(r => r.tipo === filters.tipo);
-      }
-      if (filters.nombre) {
-        filteredData = filteredData.filter(r => r.nombre.toLowerCase().includes(filters.nombre.toLowerCase()));
-      }
-      if (filters.placa) {
-        filteredData = filteredData.filter(r => (r.placa || '').toLowerCase().includes(filters.placa.toLowerCase()));
-      }
-      if (filters.destino) {
-        filteredData = filteredData.filter(r => (r.destino || '').toLowerCase().includes(filters.destino.toLowerCase()));
-      }
-      // Date range filter
-      if (filters.fechaInicio) {
-        filteredData = filteredData.filter(r => r.fecha >= filters.fechaInicio);
-      }
-      if (filters.fechaFin) {
-        filteredData = filteredData.filter(r => r.fecha <= filters.fechaFin);
-      }
-      // Sorting
-      if (sortConfig.key) {
-        filteredData = [...filteredData].sort((a, b) => {
-          let aVal = a[sortConfig.key] || '';
-          let bVal = b[sortConfig.key] || '';
-          // Convert numeric or date values
-          if (sortConfig.key === 'fecha' || sortConfig.key === 'hora') {
-            aVal = aVal;
-            bVal = bVal;
-          }
-          if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-          if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-          return 0;
-        });
-      }
-      return filteredData;
-    }, [records, filters, sortConfig]);
+    // Load the first page whenever the filters or the order change.
+    // Typing waits a moment so each keystroke does not start a query.
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      setLoading(true);
+      const timer = setTimeout(() => {
+        queryHistoryPage(db, filters, {}, direction)
+          .then(page => {
+            if (cancelled) return;
+            setRows(page.rows);
+            setPositions(page.positions);
+            setDone(page.done);
+          })
+          .catch(err => console.error(err))
+          .then(() => {
+            if (!cancelled) setLoading(false);
+          });
+      }, 250);
+      return () => {
+        cancelled = true;
+        clearTimeout(timer);
+      };
+    }, [db, filters, direction]);
+
+    const sortedRows = useMemo(() => {
+      return [...rows].sort((a, b) => {
+        let aVal = a[sortConfig.key] || '';
+        let bVal = b[sortConfig.key] || '';
+        if (sortConfig.key === 'duracion') {
+          // Open visits have no duration; keep them at the end
+          aVal = a.duracion == null ? -1 : a.duracion;
+          bVal = b.duracion == null ? -1 : b.duracion;
+        }
+        if (sortConfig.key === 'fecha' && aVal === bVal) {
+          aVal = a.hora || a.salidaHora || '';
+          bVal = b.hora || b.salidaHora || '';
+        }
+        if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
+        if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
+        return 0;
+      });
+    }, [rows, sortConfig]);
 
     function handleSort(key) {
       setSortConfig(prev => {
@@ -1700,11 +5908,38 @@
       });
     }
 
-    function exportCSV() {
-      const headers = ['Fecha','Hora','Tipo','Nombre','Placa','Destino','Motivo','Modelo','Color','Acción','Clasificación'];
-      const rows = filtered.map(r => [
+    async function loadMore() {
+      if (loading || done) return;
+      setLoading(true);
+      try {
+        const page = await queryHistoryPage(db, filters, positions, direction);
+        setRows(prev => prev.concat(page.rows));
+        setPositions(page.positions);
+        setDone(page.done);
+      } catch (err) {
+        console.error(err);
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    // The export covers every matching visit, not only the loaded pages
+    async function exportCSV() {
+      const all = [];
+      let cursor = {};
+      for (;;) {
+        const page = await queryHistoryPage(db, filters, cursor, direction, 500);
+        all.push(...page.rows);
+        if (page.done) break;
+        cursor = page.positions;
+      }
+      const headers = ['Fecha','Hora','Fecha salida','Hora salida','Duración','Tipo','Nombre','Placa','Destino','Motivo','Modelo','Color','Acción','Clasificación','Guardia','Turno'];
+      const csvRows = all.map(r => [
         r.fecha,
         r.hora,
+        r.salidaFecha,
+        r.salidaHora,
+        formatDuration(r.duracion),
         r.tipo,
         r.nombre,
         r.placa,
@@ -1713,20 +5948,18 @@
         r.modelo,
         r.color,
         r.accion,
-        r.registroTipo
+        r.registroTipo,
+        r.guardiaNombre,
+        r.turno
       ]);
-      const csvContent = [headers.join(','), ...rows.map(row => row.map(val => '"' + (val || '') + '"').join(','))].join('\n');
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.setAttribute('href', url);
-      link.setAttribute('download', 'historial.csv');
-      link.style.display = 'none';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+      // Quotes inside values are escaped so the file can be imported back
+      downloadCsv('historial.csv', headers, csvRows);
+    }
+    if (detalle) {
+      return React.createElement(VisitorDetail, { db, row: detalle, onBack: () => setDetalle(null) });
     }
-    // Render filter controls and table
+    // Render filter controls and table. Clicking a row opens the
+    // visitor's timeline.
       return React.createElement(
       React.Fragment,
       null,
@@ -1745,6 +5978,7 @@
           value: filters.nombre,
           onChange: e => setFilters({ ...filters, nombre: e.target.value })
         }),
+        // Plate and destination match the beginning of the value
         React.createElement('input', {
           type: 'text',
           placeholder: 'Placa',
@@ -1753,10 +5987,30 @@
         }),
         React.createElement('input', {
           type: 'text',
+          list: 'historialDestinos',
           placeholder: 'Destino',
           value: filters.destino,
           onChange: e => setFilters({ ...filters, destino: e.target.value })
         }),
+        React.createElement('datalist', { id: 'historialDestinos' },
+          destinoOptions.map(destino => React.createElement('option', { key: destino, value: destino }))
+        ),
+        React.createElement('select', {
+          value: filters.guardia,
+          onChange: e => setFilters({ ...filters, guardia: e.target.value })
+        },
+          React.createElement('option', { value: '' }, 'Todos los guardias'),
+          guardiaOptions.map(name => React.createElement('option', { key: name, value: name }, name))
+        ),
+        React.createElement('select', {
+          value: filters.turno,
+          onChange: e => setFilters({ ...filters, turno: e.target.value })
+        },
+          React.createElement('option', { value: '' }, 'Todos los turnos'),
+          React.createElement('option', { value: 'Matutino' }, 'Matutino'),
+          React.createElement('option', { value: 'Vespertino' }, 'Vespertino'),
+          React.createElement('option', { value: 'Nocturno' }, 'Nocturno')
+        ),
         React.createElement('input', {
           type: 'date',
           value: filters.fechaInicio,
@@ -1776,7 +6030,9 @@
             React.createElement('tr', null,
               [
                 { key: 'fecha', label: 'Fecha' },
-                { key: 'hora', label: 'Hora' },
+                { key: 'hora', label: 'Entrada' },
+                { key: 'salidaHora', label: 'Salida' },
+                { key: 'duracion', label: 'Duración' },
                 { key: 'tipo', label: 'Tipo' },
                 { key: 'nombre', label: 'Nombre' },
                 { key: 'placa', label: 'Placa' },
@@ -1785,7 +6041,9 @@
                 { key: 'modelo', label: 'Modelo' },
                 { key: 'color', label: 'Color' },
                 { key: 'accion', label: 'Acción' },
-                { key: 'registroTipo', label: 'Clasificación' }
+                { key: 'registroTipo', label: 'Clasificación' },
+                { key: 'guardiaNombre', label: 'Guardia' },
+                { key: 'turno', label: 'Turno' }
               ].map(col =>
                 React.createElement('th', {
                   key: col.key,
@@ -1795,38 +6053,841 @@
               )
             )
           ),
-          React.createElement('tbody', null,
-            filtered.map((r, idx) =>
-              React.createElement('tr', { key: idx },
-                React.createElement('td', null, r.fecha),
-                React.createElement('td', null, r.hora),
-                React.createElement('td', null, r.tipo),
-                React.createElement('td', null, r.nombre),
-                React.createElement('td', null, r.placa),
-                React.createElement('td', null, r.destino),
-                React.createElement('td', null, r.motivo),
-                React.createElement('td', null, r.modelo),
-                React.createElement('td', null, React.createElement('span', { style: { backgroundColor: r.color || '#FFFFFF', padding: '2px 6px', borderRadius: '4px', display: 'inline-block', color: '#000' } }, r.color)),
-                React.createElement('td', null, (() => {
-                  // Translate action codes into human-readable labels
-                  const a = (r.accion || '').toLowerCase();
-                  if (a === 'entrada') return 'Entrada';
-                  if (a === 'salida') return 'Salida';
-                  if (a === 'denegado' || a === 'negado' || a === 'denegada') return 'Denegado';
-                  return r.accion || '';
-                })()),
-                React.createElement('td', null, (() => {
-                  // Convert classification values to readable labels with icons
-                  const tipo = r.registroTipo;
-                  if (tipo === 'pase directo' || tipo === 'frecuente') return 'Pase directo✅';
-                  if (tipo === 'boletinado') return 'Boletinado❌';
-                  if (tipo === 'llamar siempre') return 'Llamar siempre📞';
-                  return tipo || '';
-                })())
-              )
-            )
+          React.createElement('tbody', null,
+            sortedRows.map(r =>
+              React.createElement('tr', { key: r.id, className: 'clickable-row', title: 'Ver historial del visitante', onClick: () => setDetalle(r) },
+                React.createElement('td', null, r.fecha),
+                React.createElement('td', null, r.hora),
+                React.createElement('td', null, (r.salidaFecha && r.salidaFecha !== r.fecha ? r.salidaFecha + ' ' : '') + (r.salidaHora || '')),
+                React.createElement('td', null, formatDuration(r.duracion)),
+                React.createElement('td', null, r.tipo),
+                React.createElement('td', null, r.nombre),
+                React.createElement('td', null, r.placa),
+                React.createElement('td', null, r.destino),
+                React.createElement('td', null, r.motivo),
+                React.createElement('td', null, r.modelo),
+                React.createElement('td', null, React.createElement('span', { style: { backgroundColor: r.color || '#FFFFFF', padding: '2px 6px', borderRadius: '4px', display: 'inline-block', color: '#000' } }, r.color)),
+                React.createElement('td', null, accionLabel(r.accion)),
+                React.createElement('td', null, registroTipoLabel(r.registroTipo)),
+                React.createElement('td', null, r.guardiaNombre),
+                React.createElement('td', null, r.turno)
+              )
+            )
+          )
+        )
+      ),
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '0.75rem' } },
+        React.createElement('span', null, loading ? 'Cargando…' : `${rows.length} ${rows.length === 1 ? 'visita' : 'visitas'}${done ? '' : ' (hay más)'}`),
+        !done && React.createElement('button', { className: 'button', onClick: loadMore, disabled: loading }, 'Cargar más')
+      )
+    );
+  }
+
+  /*
+   * Full-text search
+   *
+   * SearchView looks for words across access records, bitácora notes and
+   * the resident directory at once. When it opens, every record of those
+   * stores is tokenised into an inverted index kept in memory: each term
+   * (folded like foldName(), so accents and case do not matter) maps to
+   * the documents containing it and a weight for the field it was found
+   * in. A query matches documents containing every query word, either
+   * whole or as the start of a longer word, ranked by field weight and by
+   * how rare the word is. The index is rebuilt when another booth's
+   * changes arrive.
+   */
+  const SEARCH_SOURCES = [
+    {
+      storeName: 'vehiculos',
+      etiqueta: 'Vehículo',
+      load: getAllVehiculos,
+      titulo: r => `${r.placa || ''} · ${r.nombre || ''}`,
+      campos: [
+        { campo: 'placa', etiqueta: 'Placa', peso: 3 },
+        { campo: 'nombre', etiqueta: 'Nombre', peso: 3 },
+        { campo: 'destino', etiqueta: 'Destino', peso: 2 },
+        { campo: 'modelo', etiqueta: 'Modelo', peso: 1 },
+        { campo: 'motivo', etiqueta: 'Motivo', peso: 1 },
+        { campo: 'razonBloqueo', etiqueta: 'Razón de bloqueo', peso: 1 },
+        { campo: 'guardiaNombre', etiqueta: 'Guardia', peso: 1 }
+      ]
+    },
+    {
+      storeName: 'peatones',
+      etiqueta: 'Peatón',
+      load: getAllPeatones,
+      titulo: r => r.codigoUnico ? `${r.nombre || ''} (${r.codigoUnico})` : (r.nombre || ''),
+      campos: [
+        { campo: 'nombre', etiqueta: 'Nombre', peso: 3 },
+        { campo: 'codigoUnico', etiqueta: 'Código', peso: 3 },
+        { campo: 'id_opcional', etiqueta: 'Identificación', peso: 2 },
+        { campo: 'destino', etiqueta: 'Destino', peso: 2 },
+        { campo: 'motivo', etiqueta: 'Motivo', peso: 1 },
+        { campo: 'razonBloqueo', etiqueta: 'Razón de bloqueo', peso: 1 },
+        { campo: 'guardiaNombre', etiqueta: 'Guardia', peso: 1 }
+      ]
+    },
+    {
+      storeName: 'bitacora',
+      etiqueta: 'Bitácora',
+      load: getAllBitacora,
+      titulo: r => r.guardiaNombre ? `Nota de ${r.guardiaNombre}` : 'Nota',
+      campos: [
+        { campo: 'nota', etiqueta: 'Nota', peso: 2 },
+        { campo: 'guardiaNombre', etiqueta: 'Guardia', peso: 1 }
+      ]
+    },
+    {
+      storeName: 'directorios',
+      etiqueta: 'Directorio',
+      load: getAllDirectorios,
+      titulo: r => r.destino || '',
+      campos: [
+        { campo: 'destino', etiqueta: 'Destino', peso: 3 },
+        { campo: 'residentes', etiqueta: 'Residentes', peso: 2 },
+        { campo: 'telefonos', etiqueta: 'Teléfonos', peso: 1 },
+        { campo: 'indicaciones', etiqueta: 'Indicaciones', peso: 1 }
+      ]
+    }
+  ];
+  const SEARCH_ACCIONES = { entrada: 'Entrada', salida: 'Salida', denegado: 'Denegado' };
+  const SEARCH_RESULT_LIMIT = 100;
+  // Characters shown around the first match of a long field
+  const SEARCH_SNIPPET_LENGTH = 140;
+
+  function searchTokens(text) {
+    return foldName(text).split(/[^a-z0-9]+/).filter(Boolean);
+  }
+
+  function searchFieldText(record, campo) {
+    const value = record[campo];
+    if (Array.isArray(value)) return value.join(', ');
+    return value == null ? '' : String(value);
+  }
+
+  /**
+   * Read the searchable stores and build the inverted index.
+   *
+   * @param {IDBDatabase} db An open IndexedDB instance.
+   * @returns {Promise<{docs: Array, postings: Map, terms: string[]}>}
+   *   `docs` holds { fuente, record, tiempo }, `postings` maps each term
+   *   to a Map of doc position → weight, and `terms` is sorted for prefix
+   *   lookups.
+   */
+  async function buildSearchIndex(db) {
+    const lists = await Promise.all(SEARCH_SOURCES.map(fuente => fuente.load(db)));
+    const docs = [];
+    const postings = new Map();
+    SEARCH_SOURCES.forEach((fuente, i) => {
+      lists[i].forEach(record => {
+        const doc = docs.length;
+        docs.push({ fuente, record, tiempo: recordTime(record) });
+        fuente.campos.forEach(({ campo, peso }) => {
+          searchTokens(searchFieldText(record, campo)).forEach(term => {
+            let docsForTerm = postings.get(term);
+            if (!docsForTerm) {
+              docsForTerm = new Map();
+              postings.set(term, docsForTerm);
+            }
+            docsForTerm.set(doc, (docsForTerm.get(doc) || 0) + peso);
+          });
+        });
+      });
+    });
+    const terms = Array.from(postings.keys()).sort();
+    return { docs, postings, terms };
+  }
+
+  // Indexed terms starting with `prefix`, found by binary search
+  function termsWithPrefix(terms, prefix) {
+    let lo = 0;
+    let hi = terms.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (terms[mid] < prefix) lo = mid + 1;
+      else hi = mid;
+    }
+    const found = [];
+    for (let i = lo; i < terms.length && terms[i].startsWith(prefix); i++) found.push(terms[i]);
+    return found;
+  }
+
+  /**
+   * Documents matching every word of `query`, best first. A word scores
+   * its field weight times its inverse document frequency, halved when
+   * it only matches the start of a longer word; ties go to the newest.
+   *
+   * @returns {Array<{doc: Object, score: number}>}
+   */
+  function runSearch(index, query) {
+    const words = Array.from(new Set(searchTokens(query)));
+    if (!index || words.length === 0) return [];
+    let scores = null;
+    for (const word of words) {
+      const matched = new Map();
+      termsWithPrefix(index.terms, word).forEach(term => {
+        const docsForTerm = index.postings.get(term);
+        const idf = Math.log(1 + index.docs.length / docsForTerm.size);
+        const factor = term === word ? 1 : 0.5;
+        docsForTerm.forEach((peso, doc) => {
+          matched.set(doc, Math.max(matched.get(doc) || 0, peso * idf * factor));
+        });
+      });
+      if (scores) {
+        const next = new Map();
+        scores.forEach((score, doc) => {
+          if (matched.has(doc)) next.set(doc, score + matched.get(doc));
+        });
+        scores = next;
+      } else {
+        scores = matched;
+      }
+      if (scores.size === 0) return [];
+    }
+    return Array.from(scores, ([doc, score]) => ({ doc: index.docs[doc], score }))
+      .sort((a, b) => (b.score - a.score) || (b.doc.tiempo - a.doc.tiempo));
+  }
+
+  /**
+   * Render `text` with the words that start with a query word wrapped in
+   * <mark>. Long texts are cut to a window around the first match.
+   */
+  function highlightMatches(text, words) {
+    const matches = word => words.some(w => foldName(word).startsWith(w));
+    let start = 0;
+    let end = text.length;
+    if (text.length > SEARCH_SNIPPET_LENGTH) {
+      const re = /[\p{L}\p{N}]+/gu;
+      let m;
+      let first = 0;
+      while ((m = re.exec(text))) {
+        if (matches(m[0])) {
+          first = m.index;
+          break;
+        }
+      }
+      start = Math.max(0, first - 40);
+      end = Math.min(text.length, start + SEARCH_SNIPPET_LENGTH);
+    }
+    const parts = [];
+    if (start > 0) parts.push('…');
+    const slice = text.slice(start, end);
+    const re = /[\p{L}\p{N}]+/gu;
+    let last = 0;
+    let m;
+    while ((m = re.exec(slice))) {
+      if (!matches(m[0])) continue;
+      if (m.index > last) parts.push(slice.slice(last, m.index));
+      parts.push(React.createElement('mark', { key: m.index }, m[0]));
+      last = m.index + m[0].length;
+    }
+    if (last < slice.length) parts.push(slice.slice(last));
+    if (end < text.length) parts.push('…');
+    return parts;
+  }
+
+  /**
+   * One search box over history, bitácora and directory. Access results
+   * open the visitor's detail page.
+   */
+  function SearchView({ db, onClose }) {
+    const [index, setIndex] = useState(null);
+    const [query, setQuery] = useState('');
+    const [reloadKey, setReloadKey] = useState(0);
+    const [detalle, setDetalle] = useState(null);
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      buildSearchIndex(db)
+        .then(built => {
+          if (!cancelled) setIndex(built);
+        })
+        .catch(err => {
+          console.error(err);
+          alert('No se pudo preparar la búsqueda');
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [db, reloadKey]);
+
+    useEffect(() => onRemoteChange(storeName => {
+      if (SEARCH_SOURCES.some(fuente => fuente.storeName === storeName)) setReloadKey(k => k + 1);
+    }), []);
+
+    const results = useMemo(() => runSearch(index, query), [index, query]);
+    const words = useMemo(() => searchTokens(query), [query]);
+
+    if (detalle) {
+      return React.createElement(VisitorDetail, { db, row: detalle, onBack: () => setDetalle(null), backLabel: '◀ Volver a la búsqueda' });
+    }
+    function openResult(doc) {
+      const { storeName } = doc.fuente;
+      if (storeName !== 'vehiculos' && storeName !== 'peatones') return;
+      const record = doc.record;
+      const visit = record.accion === 'salida' ? { salida: record } : record.accion === 'denegado' ? { denegado: record } : { entrada: record };
+      setDetalle(historyRow(storeName, visit));
+    }
+    const shown = results.slice(0, SEARCH_RESULT_LIMIT);
+    return React.createElement(React.Fragment, null,
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Buscar'),
+        React.createElement('input', {
+          type: 'search',
+          value: query,
+          autoFocus: true,
+          onChange: e => setQuery(e.target.value),
+          placeholder: 'Nombre, placa, motivo, nota, residente…'
+        })
+      ),
+      React.createElement('p', null,
+        !index
+          ? 'Preparando índice…'
+          : words.length === 0
+            ? `${index.docs.length} registros indexados`
+            : `${results.length} ${results.length === 1 ? 'resultado' : 'resultados'}${results.length > shown.length ? ` (se muestran ${shown.length})` : ''}`
+      ),
+      React.createElement('ul', { className: 'search-results' },
+        shown.map(({ doc }) => {
+          const { fuente, record } = doc;
+          const acceso = fuente.storeName === 'vehiculos' || fuente.storeName === 'peatones';
+          const hits = fuente.campos
+            .map(c => Object.assign({ texto: searchFieldText(record, c.campo) }, c))
+            .filter(c => c.texto && searchTokens(c.texto).some(t => words.some(w => t.startsWith(w))));
+          return React.createElement('li', {
+            key: fuente.storeName + record.id,
+            className: acceso ? 'search-result clickable' : 'search-result',
+            title: acceso ? 'Ver historial del visitante' : undefined,
+            onClick: () => openResult(doc)
+          },
+            React.createElement('div', { className: 'search-result-head' },
+              React.createElement('span', { className: 'search-source' }, acceso && SEARCH_ACCIONES[record.accion] ? `${fuente.etiqueta} · ${SEARCH_ACCIONES[record.accion]}` : fuente.etiqueta),
+              React.createElement('strong', null, highlightMatches(fuente.titulo(record), words)),
+              React.createElement('span', { className: 'search-date' }, [record.fecha, record.hora].filter(Boolean).join(' '))
+            ),
+            hits.map(c =>
+              React.createElement('div', { key: c.campo, className: 'search-hit' }, `${c.etiqueta}: `, highlightMatches(c.texto, words))
+            )
+          );
+        })
+      ),
+      React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    );
+  }
+
+  /*
+   * Reports
+   *
+   * ReportsView summarises the access records of a date range: entries
+   * per day, an hour-of-day by weekday heatmap, traffic per shift, the
+   * most visited destinations, denied accesses and the split between
+   * vehicles and pedestrians. Records are read through the `fecha`
+   * indexes and aggregated in memory by buildReports(); the charts are
+   * plain SVG drawn by the small components below, so nothing is loaded
+   * from a CDN. Every report can be downloaded as CSV.
+   */
+  const REPORT_COLORS = { vehiculos: '#1976D2', peatones: '#43A047', denegados: '#E53935' };
+  const REPORT_TURNOS = ['Matutino', 'Vespertino', 'Nocturno'];
+  const REPORT_DIAS = ['Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb', 'Dom'];
+  const REPORT_TOP_DESTINOS = 10;
+
+  /**
+   * Records of a store with a `fecha` index (access records, bitácora)
+   * dated between `desde` and `hasta` (inclusive, YYYY-MM-DD).
+   */
+  function getAccessRecordsInRange(db, storeName, desde, hasta) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, 'readonly');
+      const req = tx.objectStore(storeName).index('fecha').getAll(IDBKeyRange.bound(desde, hasta));
+      req.onsuccess = function (e) {
+        resolve(e.target.result || []);
+      };
+      req.onerror = function (e) {
+        reject(e.target.error);
+      };
+    });
+  }
+
+  // Every date from `desde` to `hasta` as YYYY-MM-DD
+  function reportDays(desde, hasta) {
+    const days = [];
+    for (let fecha = desde; fecha <= hasta; fecha = addDays(fecha, 1)) {
+      days.push(fecha);
+    }
+    return days;
+  }
+
+  /**
+   * Aggregate the records of a date range into the data of every report.
+   * Entries are the records that are neither a 'salida' nor a denial, so
+   * records from before the accion field count as entries. Days, weekdays
+   * and hours are those of the booth's local time; the stored `fecha` is
+   * the UTC date, so `records` should span a day more on either side.
+   *
+   * @param {Object} records { vehiculos: Array, peatones: Array }.
+   * @param {string} desde   First date (YYYY-MM-DD).
+   * @param {string} hasta   Last date (YYYY-MM-DD).
+   */
+  function buildReports(records, desde, hasta) {
+    const porDia = new Map(reportDays(desde, hasta).map(fecha => [fecha, { fecha, vehiculos: 0, peatones: 0, denegados: 0 }]));
+    const horas = REPORT_DIAS.map(() => new Array(24).fill(0));
+    const porTurno = new Map(REPORT_TURNOS.map(turno => [turno, { turno, vehiculos: 0, peatones: 0 }]));
+    const destinos = new Map();
+    const denegados = new Map();
+    const reparto = { vehiculos: 0, peatones: 0 };
+    ['vehiculos', 'peatones'].forEach(storeName => {
+      (records[storeName] || []).forEach(record => {
+        const time = new Date(recordTime(record));
+        const dia = porDia.get(localDate(time));
+        if (!dia || record.accion === 'salida') return;
+        if (record.accion === 'denegado') {
+          dia.denegados++;
+          const motivo = (record.razonBloqueo || '').trim() || 'Sin motivo';
+          const row = denegados.get(motivo) || { motivo, vehiculos: 0, peatones: 0 };
+          row[storeName]++;
+          denegados.set(motivo, row);
+          return;
+        }
+        dia[storeName]++;
+        reparto[storeName]++;
+        horas[(time.getDay() + 6) % 7][time.getHours()]++;
+        const turno = record.turno || 'Sin turno';
+        if (!porTurno.has(turno)) porTurno.set(turno, { turno, vehiculos: 0, peatones: 0 });
+        porTurno.get(turno)[storeName]++;
+        const destino = (record.destino || '').trim();
+        if (destino) destinos.set(destino, (destinos.get(destino) || 0) + 1);
+      });
+    });
+    return {
+      porDia: Array.from(porDia.values()),
+      horas,
+      porTurno: Array.from(porTurno.values()),
+      destinos: Array.from(destinos, ([destino, total]) => ({ destino, total }))
+        .sort((a, b) => (b.total - a.total) || a.destino.localeCompare(b.destino))
+        .slice(0, REPORT_TOP_DESTINOS),
+      denegados: Array.from(denegados.values()).sort((a, b) => (b.vehiculos + b.peatones) - (a.vehiculos + a.peatones)),
+      reparto
+    };
+  }
+
+  /**
+   * Download rows as a CSV file. Values are quoted and inner quotes
+   * doubled.
+   */
+  function downloadCsv(filename, headers, rows) {
+    const quote = val => '"' + String(val == null ? '' : val).replace(/"/g, '""') + '"';
+    const csv = [headers.map(quote).join(','), ...rows.map(row => row.map(quote).join(','))].join('\n');
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Vertical bar chart with one stacked bar per item. Labels are thinned
+   * out when there are many bars.
+   *
+   * @param {Array}  props.data     Items to draw.
+   * @param {string} props.labelKey Field with the x-axis label.
+   * @param {Array<{key, label, color}>} props.series Stacked values.
+   */
+  function BarChart({ data, labelKey, series }) {
+    const barWidth = 24;
+    const height = 160;
+    const top = 12;
+    const bottom = 36;
+    const left = 32;
+    const width = left + Math.max(data.length, 1) * barWidth + 8;
+    const max = Math.max(1, ...data.map(d => series.reduce((sum, s) => sum + d[s.key], 0)));
+    const scale = v => (v / max) * (height - top - bottom);
+    const labelEvery = Math.ceil(data.length / 15);
+    return React.createElement('div', { className: 'chart' },
+      React.createElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, role: 'img' },
+        [0, 0.5, 1].map(f =>
+          React.createElement(React.Fragment, { key: f },
+            React.createElement('line', { x1: left, x2: width, y1: height - bottom - f * (height - top - bottom), y2: height - bottom - f * (height - top - bottom), stroke: '#E2E8F0' }),
+            React.createElement('text', { x: left - 4, y: height - bottom - f * (height - top - bottom) + 4, textAnchor: 'end', fontSize: 10 }, Math.round(max * f))
+          )
+        ),
+        data.map((d, i) => {
+          let y = height - bottom;
+          const x = left + i * barWidth + 3;
+          return React.createElement('g', { key: d[labelKey] },
+            React.createElement('title', null, `${d[labelKey]}: ` + series.map(s => `${s.label} ${d[s.key]}`).join(', ')),
+            series.map(s => {
+              const h = scale(d[s.key]);
+              y -= h;
+              return React.createElement('rect', { key: s.key, x, y, width: barWidth - 6, height: h, fill: s.color });
+            }),
+            i % labelEvery === 0 && React.createElement('text', {
+              x: x + (barWidth - 6) / 2,
+              y: height - bottom + 12,
+              fontSize: 10,
+              textAnchor: 'end',
+              transform: `rotate(-40 ${x + (barWidth - 6) / 2} ${height - bottom + 12})`
+            }, String(d[labelKey]).length === 10 ? String(d[labelKey]).slice(5) : d[labelKey])
+          );
+        })
+      ),
+      React.createElement('div', { className: 'chart-legend' },
+        series.map(s => React.createElement('span', { key: s.key },
+          React.createElement('i', { style: { background: s.color } }),
+          s.label
+        ))
+      )
+    );
+  }
+
+  // Horizontal bars for ranked values ({ label, value })
+  function RankingChart({ data, color }) {
+    const rowHeight = 22;
+    const labelWidth = 140;
+    const width = 460;
+    const max = Math.max(1, ...data.map(d => d.value));
+    return React.createElement('div', { className: 'chart' },
+      React.createElement('svg', { width, height: data.length * rowHeight + 4, viewBox: `0 0 ${width} ${data.length * rowHeight + 4}`, role: 'img' },
+        data.map((d, i) =>
+          React.createElement('g', { key: d.label },
+            React.createElement('text', { x: labelWidth - 6, y: i * rowHeight + 15, textAnchor: 'end', fontSize: 11 }, d.label.length > 22 ? d.label.slice(0, 21) + '…' : d.label),
+            React.createElement('rect', { x: labelWidth, y: i * rowHeight + 4, width: (d.value / max) * (width - labelWidth - 40), height: rowHeight - 8, fill: color }),
+            React.createElement('text', { x: labelWidth + (d.value / max) * (width - labelWidth - 40) + 4, y: i * rowHeight + 15, fontSize: 11 }, d.value)
+          )
+        )
+      )
+    );
+  }
+
+  // Weekday × hour grid, darker cells for more entries
+  function HeatmapChart({ horas }) {
+    const cell = 16;
+    const left = 32;
+    const top = 14;
+    const max = Math.max(1, ...horas.map(row => Math.max(...row)));
+    const width = left + 24 * cell;
+    const height = top + REPORT_DIAS.length * cell;
+    return React.createElement('div', { className: 'chart' },
+      React.createElement('svg', { width, height, viewBox: `0 0 ${width} ${height}`, role: 'img' },
+        Array.from({ length: 24 }, (_, h) => h % 3 === 0 && React.createElement('text', { key: 'h' + h, x: left + h * cell + cell / 2, y: 10, fontSize: 9, textAnchor: 'middle' }, h)),
+        horas.map((row, d) =>
+          React.createElement('g', { key: d },
+            React.createElement('text', { x: left - 4, y: top + d * cell + 12, fontSize: 10, textAnchor: 'end' }, REPORT_DIAS[d]),
+            row.map((value, h) =>
+              React.createElement('rect', {
+                key: h,
+                x: left + h * cell,
+                y: top + d * cell,
+                width: cell - 1,
+                height: cell - 1,
+                fill: REPORT_COLORS.vehiculos,
+                fillOpacity: value === 0 ? 0.05 : 0.15 + 0.85 * (value / max)
+              }, React.createElement('title', null, `${REPORT_DIAS[d]} ${String(h).padStart(2, '0')}:00 · ${value} ${value === 1 ? 'entrada' : 'entradas'}`))
+            )
+          )
+        )
+      )
+    );
+  }
+
+  function ReportSection({ titulo, onExport, children }) {
+    return React.createElement('section', { className: 'report-section' },
+      React.createElement('div', { className: 'report-section-head' },
+        React.createElement('h3', null, titulo),
+        React.createElement('button', { className: 'button', onClick: onExport }, 'Exportar CSV')
+      ),
+      children
+    );
+  }
+
+  /**
+   * Reports view for administrators: charts of the access records in a
+   * chosen date range (the last 30 days by default), each with its own
+   * CSV export.
+   */
+  function ReportsView({ db, onClose }) {
+    const [hasta, setHasta] = useState(localToday);
+    const [desde, setDesde] = useState(() => addDays(localToday(), -29));
+    const [reports, setReports] = useState(null);
+    const [reloadKey, setReloadKey] = useState(0);
+    const validRange = Boolean(desde && hasta && desde <= hasta);
+    useEffect(() => {
+      let cancelled = false;
+      if (!db || !validRange) return;
+      setReports(null);
+      Promise.all([
+        getAccessRecordsInRange(db, 'vehiculos', addDays(desde, -1), addDays(hasta, 1)),
+        getAccessRecordsInRange(db, 'peatones', addDays(desde, -1), addDays(hasta, 1))
+      ])
+        .then(([vehiculos, peatones]) => {
+          if (!cancelled) setReports(buildReports({ vehiculos, peatones }, desde, hasta));
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+      };
+    }, [db, desde, hasta, validRange, reloadKey]);
+
+    useEffect(() => onRemoteChange(storeName => {
+      if (storeName === 'vehiculos' || storeName === 'peatones') setReloadKey(k => k + 1);
+    }), []);
+
+    const sufijo = `${desde}_${hasta}`;
+    const accesos = [
+      { key: 'vehiculos', label: 'Vehículos', color: REPORT_COLORS.vehiculos },
+      { key: 'peatones', label: 'Peatones', color: REPORT_COLORS.peatones }
+    ];
+    let content;
+    if (!validRange) {
+      content = React.createElement('p', null, 'La fecha inicial debe ser anterior o igual a la final.');
+    } else if (!reports) {
+      content = React.createElement('p', null, 'Cargando…');
+    } else {
+      const { porDia, horas, porTurno, destinos, denegados, reparto } = reports;
+      const totalAccesos = reparto.vehiculos + reparto.peatones;
+      const totalDenegados = porDia.reduce((sum, d) => sum + d.denegados, 0);
+      const percent = n => totalAccesos ? `${Math.round((n / totalAccesos) * 100)} %` : '0 %';
+      content = React.createElement(React.Fragment, null,
+        React.createElement(ReportSection, {
+          titulo: 'Entradas por día',
+          onExport: () => downloadCsv(`entradas_por_dia_${sufijo}.csv`, ['Fecha', 'Vehículos', 'Peatones', 'Denegados'],
+            porDia.map(d => [d.fecha, d.vehiculos, d.peatones, d.denegados]))
+        }, React.createElement(BarChart, { data: porDia, labelKey: 'fecha', series: accesos.concat({ key: 'denegados', label: 'Denegados', color: REPORT_COLORS.denegados }) })),
+        React.createElement(ReportSection, {
+          titulo: 'Entradas por hora del día',
+          onExport: () => downloadCsv(`entradas_por_hora_${sufijo}.csv`, ['Día'].concat(Array.from({ length: 24 }, (_, h) => `${String(h).padStart(2, '0')}:00`)),
+            horas.map((row, d) => [REPORT_DIAS[d]].concat(row)))
+        }, React.createElement(HeatmapChart, { horas })),
+        React.createElement(ReportSection, {
+          titulo: 'Tránsito por turno',
+          onExport: () => downloadCsv(`transito_por_turno_${sufijo}.csv`, ['Turno', 'Vehículos', 'Peatones'],
+            porTurno.map(t => [t.turno, t.vehiculos, t.peatones]))
+        }, React.createElement(BarChart, { data: porTurno, labelKey: 'turno', series: accesos })),
+        React.createElement(ReportSection, {
+          titulo: 'Destinos más visitados',
+          onExport: () => downloadCsv(`destinos_${sufijo}.csv`, ['Destino', 'Entradas'], destinos.map(d => [d.destino, d.total]))
+        }, destinos.length
+          ? React.createElement(RankingChart, { data: destinos.map(d => ({ label: d.destino, value: d.total })), color: REPORT_COLORS.vehiculos })
+          : React.createElement('p', null, 'Sin entradas en el periodo.')),
+        React.createElement(ReportSection, {
+          titulo: `Accesos denegados (${totalDenegados})`,
+          onExport: () => downloadCsv(`accesos_denegados_${sufijo}.csv`, ['Motivo', 'Vehículos', 'Peatones'],
+            denegados.map(d => [d.motivo, d.vehiculos, d.peatones]))
+        }, denegados.length
+          ? React.createElement(RankingChart, { data: denegados.map(d => ({ label: d.motivo, value: d.vehiculos + d.peatones })), color: REPORT_COLORS.denegados })
+          : React.createElement('p', null, 'Sin accesos denegados en el periodo.')),
+        React.createElement(ReportSection, {
+          titulo: 'Peatones y vehículos',
+          onExport: () => downloadCsv(`peatones_vehiculos_${sufijo}.csv`, ['Tipo', 'Entradas', 'Porcentaje'], [
+            ['Vehículos', reparto.vehiculos, percent(reparto.vehiculos)],
+            ['Peatones', reparto.peatones, percent(reparto.peatones)]
+          ])
+        },
+          React.createElement('div', { className: 'split-bar' },
+            accesos.map(s => reparto[s.key] > 0 && React.createElement('div', {
+              key: s.key,
+              style: { flex: reparto[s.key], background: s.color },
+              title: `${s.label}: ${reparto[s.key]}`
+            }))
+          ),
+          React.createElement('p', null, `Vehículos: ${reparto.vehiculos} (${percent(reparto.vehiculos)}) · Peatones: ${reparto.peatones} (${percent(reparto.peatones)})`)
+        )
+      );
+    }
+    return React.createElement(React.Fragment, null,
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem', flexWrap: 'wrap' } },
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Desde'),
+          React.createElement('input', { type: 'date', value: desde, onChange: e => setDesde(e.target.value) })
+        ),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Hasta'),
+          React.createElement('input', { type: 'date', value: hasta, onChange: e => setHasta(e.target.value) })
+        )
+      ),
+      content,
+      React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    );
+  }
+
+  /*
+   * Shift handover report
+   *
+   * A printable summary of one shift for the outgoing guard: every
+   * access, who is still inside, the denied attempts and the bitácora
+   * notes of that turno, with space for both guards to sign. It is plain
+   * HTML printed through window.print(), where the browser also offers
+   * to save it as PDF. The report is drawn twice: as a preview inside the
+   * modal and in a sheet appended to <body> that the print stylesheet
+   * shows on its own.
+   *
+   * Records belong to a shift through the `turno` they were stamped
+   * with and the time they were taken, in the booth's local time (the
+   * stored `fecha` is the UTC date). The night shift runs past midnight,
+   * so its report takes the records stamped 'Nocturno' from the
+   * SHIFT_NIGHT_END hour of its first day to that hour of the next one;
+   * the early hours of its first day belong to the previous night.
+   */
+  const SHIFT_NIGHT_END = 12;
+
+  // Local time of `hora` o'clock on the YYYY-MM-DD date `fecha`, in ms
+  function localDayTime(fecha, hora = 0) {
+    const [y, m, d] = fecha.split('-').map(Number);
+    return new Date(y, m - 1, d, hora).getTime();
+  }
+
+  /**
+   * Gather the data of the report for `turno` starting on `fecha`.
+   *
+   * @param {IDBDatabase} db    An open IndexedDB instance.
+   * @param {string}      fecha Day the shift starts (YYYY-MM-DD).
+   * @param {string}      turno 'Matutino', 'Vespertino' or 'Nocturno'.
+   * @returns {Promise<{accesos: Array, denegados: Array, dentro: Array, notas: Array}>}
+   *   Access lists hold { storeName, record }; `dentro` holds the open
+   *   visits of any shift, as returned by getOpenVisits().
+   */
+  async function getShiftReport(db, fecha, turno) {
+    const inicio = localDayTime(fecha, turno === 'Nocturno' ? SHIFT_NIGHT_END : 0);
+    const fin = localDayTime(addDays(fecha, 1), turno === 'Nocturno' ? SHIFT_NIGHT_END : 0);
+    // The UTC dates of the shift are at most a day off its local ones
+    const desde = addDays(fecha, -1);
+    const hasta = addDays(fecha, 2);
+    const [vehiculos, peatones, notas, dentro] = await Promise.all([
+      getAccessRecordsInRange(db, 'vehiculos', desde, hasta),
+      getAccessRecordsInRange(db, 'peatones', desde, hasta),
+      getAccessRecordsInRange(db, 'bitacora', desde, hasta),
+      getOpenVisits(db)
+    ]);
+    const inShift = r => {
+      if (r.turno !== turno) return false;
+      const time = recordTime(r);
+      return time >= inicio && time < fin;
+    };
+    const registros = vehiculos.map(record => ({ storeName: 'vehiculos', record }))
+      .concat(peatones.map(record => ({ storeName: 'peatones', record })))
+      .filter(item => inShift(item.record))
+      .sort((a, b) => recordTime(a.record) - recordTime(b.record));
+    return {
+      accesos: registros.filter(item => item.record.accion !== 'denegado'),
+      denegados: registros.filter(item => item.record.accion === 'denegado'),
+      dentro,
+      notas: notas.filter(inShift).sort((a, b) => recordTime(a) - recordTime(b))
+    };
+  }
+
+  function shiftVisitor(storeName, record) {
+    return storeName === 'vehiculos' ? [record.placa, record.nombre].filter(Boolean).join(' · ') : (record.nombre || '');
+  }
+
+  /**
+   * The report itself, shared by the preview and the printed sheet.
+   */
+  function ShiftReport({ report, fecha, turno, guard, generado }) {
+    const { accesos, denegados, dentro, notas } = report;
+    const tipo = storeName => storeName === 'vehiculos' ? 'Vehículo' : 'Peatón';
+    const count = accion => accesos.filter(item => (item.record.accion || 'entrada') === accion).length;
+    const table = (headers, rows, empty) => rows.length === 0
+      ? React.createElement('p', null, empty)
+      : React.createElement('table', null,
+        React.createElement('thead', null, React.createElement('tr', null, headers.map(h => React.createElement('th', { key: h }, h)))),
+        React.createElement('tbody', null, rows.map((row, i) =>
+          React.createElement('tr', { key: i }, row.map((cell, j) => React.createElement('td', { key: j }, cell)))
+        ))
+      );
+    return React.createElement('div', { className: 'shift-report' },
+      React.createElement('h1', null, 'Reporte de entrega de turno'),
+      React.createElement('p', null,
+        `Turno ${turno} del ${fecha}`,
+        guard ? ` · Entrega: ${guard.nombre}` : '',
+        ` · Generado: ${new Date(generado).toLocaleString()}`
+      ),
+      React.createElement('p', { className: 'shift-report-summary' },
+        `Entradas: ${count('entrada')} · Salidas: ${count('salida')} · Denegados: ${denegados.length} · Dentro: ${dentro.length} · Notas: ${notas.length}`
+      ),
+      React.createElement('h2', null, 'Accesos del turno'),
+      table(['Fecha', 'Hora', 'Tipo', 'Visitante', 'Destino', 'Acción', 'Guardia'],
+        accesos.map(({ storeName, record }) => [record.fecha, record.hora, tipo(storeName), shiftVisitor(storeName, record), record.destino || '', record.accion === 'salida' ? 'Salida' : 'Entrada', record.guardiaNombre || '']),
+        'No hubo accesos en el turno.'),
+      React.createElement('h2', null, 'Personas y vehículos dentro'),
+      table(['Entrada', 'Tipo', 'Visitante', 'Destino', 'Tiempo dentro'],
+        dentro.map(({ storeName, entrada }) => [`${entrada.fecha} ${entrada.hora}`, tipo(storeName), shiftVisitor(storeName, entrada), entrada.destino || '', formatDuration(generado - recordTime(entrada))]),
+        'No queda nadie dentro.'),
+      React.createElement('h2', null, 'Intentos denegados'),
+      table(['Fecha', 'Hora', 'Tipo', 'Visitante', 'Motivo', 'Guardia'],
+        denegados.map(({ storeName, record }) => [record.fecha, record.hora, tipo(storeName), shiftVisitor(storeName, record), record.razonBloqueo || '', record.guardiaNombre || '']),
+        'No hubo accesos denegados.'),
+      React.createElement('h2', null, 'Bitácora'),
+      table(['Fecha', 'Hora', 'Guardia', 'Nota'],
+        notas.map(n => [n.fecha, n.hora, n.guardiaNombre || '', n.nota]),
+        'Sin notas en la bitácora.'),
+      React.createElement('div', { className: 'shift-report-signatures' },
+        ['Entrega (nombre y firma)', 'Recibe (nombre y firma)'].map(label =>
+          React.createElement('div', { key: label },
+            React.createElement('div', { className: 'signature-line' }),
+            label
+          )
+        )
+      )
+    );
+  }
+
+  /**
+   * Shift report view: pick the day and turno (the current ones by
+   * default), preview the report and print it or save it as PDF.
+   */
+  function ShiftReportView({ db, guard, turno: turnoActual, onClose }) {
+    const [fecha, setFecha] = useState(localToday);
+    const [turno, setTurno] = useState(turnoActual || 'Matutino');
+    const [report, setReport] = useState(null);
+    const [generado, setGenerado] = useState(Date.now());
+    useEffect(() => {
+      let cancelled = false;
+      if (!db || !fecha) return;
+      setReport(null);
+      getShiftReport(db, fecha, turno)
+        .then(data => {
+          if (cancelled) return;
+          setGenerado(Date.now());
+          setReport(data);
+        })
+        .catch(err => {
+          console.error(err);
+          alert('No se pudo generar el reporte de turno');
+        });
+      return () => {
+        cancelled = true;
+      };
+    }, [db, fecha, turno]);
+    const props = { report, fecha, turno, guard, generado };
+    return React.createElement(React.Fragment, null,
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem', flexWrap: 'wrap' } },
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Fecha'),
+          React.createElement('input', { type: 'date', value: fecha, onChange: e => setFecha(e.target.value) })
+        ),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Turno'),
+          React.createElement('select', { value: turno, onChange: e => setTurno(e.target.value) },
+            React.createElement('option', { value: 'Matutino' }, 'Matutino'),
+            React.createElement('option', { value: 'Vespertino' }, 'Vespertino'),
+            React.createElement('option', { value: 'Nocturno' }, 'Nocturno')
           )
         )
+      ),
+      report
+        ? React.createElement('div', { className: 'shift-report-preview' }, React.createElement(ShiftReport, props))
+        : React.createElement('p', null, 'Cargando…'),
+      report && ReactDOM.createPortal(React.createElement('div', { className: 'print-sheet' }, React.createElement(ShiftReport, props)), document.body),
+      React.createElement('div', { style: { display: 'flex', justifyContent: 'flex-end', gap: '0.5rem', marginTop: '1rem' } },
+        React.createElement('button', { className: 'button', onClick: () => window.print(), disabled: !report }, 'Imprimir o guardar PDF'),
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
       )
     );
   }
@@ -1836,7 +6897,7 @@
    * and shift. Notes are shown in reverse chronological order and can
    * be deleted or exported to CSV.
    */
-  function BitacoraView({ db, turno, saveDb, onClose }) {
+  function BitacoraView({ db, turno, guard, saveDb, onClose }) {
     const [nota, setNota] = useState('');
     const [notas, setNotas] = useState([]);
     // Load notes from IndexedDB
@@ -1873,9 +6934,10 @@
       const fecha = now.toISOString().slice(0, 10);
       const hora = now.toTimeString().slice(0, 8);
       try {
-        const insertedId = await addNota(db, { fecha, hora, turno, nota });
+        const record = { fecha, hora, timestamp: now.getTime(), nota, ...guardStamp(guard, turno) };
+        const insertedId = await addNota(db, record);
         if (saveDb) saveDb();
-        setNotas([{ id: insertedId, fecha, hora, turno, nota }, ...notas]);
+        setNotas([{ id: insertedId, ...record }, ...notas]);
         setNota('');
       } catch (err) {
         console.error(err);
@@ -1892,8 +6954,8 @@
       }
     }
     function exportCSV() {
-      const headers = ['Fecha','Hora','Turno','Nota'];
-      const rows = notas.map(n => [n.fecha,n.hora,n.turno,n.nota]);
+      const headers = ['Fecha','Hora','Turno','Guardia','Nota'];
+      const rows = notas.map(n => [n.fecha,n.hora,n.turno,n.guardiaNombre,n.nota]);
       const csv = [headers.join(','), ...rows.map(row => row.map(v => '"' + (v || '') + '"').join(','))].join('\n');
       const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
       const url = URL.createObjectURL(blob);
@@ -1928,6 +6990,7 @@
               React.createElement('th', null, 'Fecha'),
               React.createElement('th', null, 'Hora'),
               React.createElement('th', null, 'Turno'),
+              React.createElement('th', null, 'Guardia'),
               React.createElement('th', null, 'Nota'),
               React.createElement('th', null, '')
             )
@@ -1938,6 +7001,7 @@
                 React.createElement('td', null, n.fecha),
                 React.createElement('td', null, n.hora),
                 React.createElement('td', null, n.turno),
+                React.createElement('td', null, n.guardiaNombre || ''),
                 React.createElement('td', null, n.nota),
                 React.createElement('td', null,
                   React.createElement('button', { className: 'button danger', onClick: () => deleteNotaEntry(n.id) }, 'Eliminar')
@@ -1950,17 +7014,507 @@
     );
   }
 
+  /**
+   * Firebase settings section of the administration panel: paste and
+   * validate a project config, optionally point at an emulator, test the
+   * connection and see the replication status.
+   */
+  function FirebaseSettings({ db }) {
+    const saved = getFirebaseSettings();
+    const [configText, setConfigText] = useState(saved.config ? JSON.stringify(saved.config, null, 2) : '');
+    const [emulador, setEmulador] = useState(saved.emulador);
+    const [testing, setTesting] = useState(false);
+    const [testResult, setTestResult] = useState('');
+    const connection = useFirestoreConnection();
+
+    // Returns the validated settings, or null after telling the admin why
+    function readSettings() {
+      try {
+        const config = parseFirebaseConfig(configText);
+        parseEmulatorHost(emulador);
+        return { config, emulador: emulador.trim() };
+      } catch (err) {
+        alert(err.message);
+        return null;
+      }
+    }
+    async function handleTest() {
+      const settings = readSettings();
+      if (!settings) return;
+      setTesting(true);
+      setTestResult('');
+      try {
+        await testFirestoreConnection(settings.config, settings.emulador);
+        setTestResult('✅ Conexión exitosa');
+      } catch (err) {
+        console.error(err);
+        setTestResult('❌ ' + (err.message || err));
+      } finally {
+        setTesting(false);
+      }
+    }
+    async function handleSave() {
+      const settings = readSettings();
+      if (!settings) return;
+      try {
+        await connectFirestore(settings.config, settings.emulador);
+        saveFirebaseSettings(settings.config, settings.emulador);
+        setConfigText(JSON.stringify(settings.config, null, 2));
+        // Records saved before the outbox queued every change were
+        // never queued; uids keep re-uploads from duplicating documents
+        if (!saved.config && db && confirm('¿Subir también los registros que ya existen en este dispositivo?')) {
+          const total = await enqueueAllRecords(db);
+          alert(`Configuración de Firebase guardada. ${total} registros en cola para subir.`);
+          return;
+        }
+        alert('Configuración de Firebase guardada');
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo inicializar Firebase: ' + err.message);
+      }
+    }
+    async function handleDisable() {
+      if (!confirm('¿Desactivar la replicación con Firebase en este dispositivo?')) return;
+      try {
+        await connectFirestore(null);
+      } catch (err) {
+        console.error(err);
+      }
+      saveFirebaseSettings(null, '');
+      setConfigText('');
+      setEmulador('');
+      setTestResult('');
+    }
+
+    let estado = 'Replicación desactivada';
+    if (getFirestore()) {
+      estado = connection.proyecto ? `Conectado al proyecto ${connection.proyecto}` : 'Conectado';
+      if (connection.emulador) estado += ` (emulador ${connection.emulador})`;
+    }
+    return React.createElement(
+      React.Fragment,
+      null,
+      React.createElement('h3', null, 'Sincronización con Firebase'),
+      React.createElement('p', null, `Estado: ${estado}`),
+      React.createElement(SyncStatusBar),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Configuración del proyecto'),
+        React.createElement('textarea', {
+          rows: 8,
+          value: configText,
+          onChange: e => setConfigText(e.target.value),
+          placeholder: 'Pegue aquí el objeto firebaseConfig de la consola de Firebase'
+        })
+      ),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Emulador de Firestore (opcional)'),
+        React.createElement('input', {
+          type: 'text',
+          value: emulador,
+          onChange: e => setEmulador(e.target.value),
+          placeholder: 'localhost:8080'
+        })
+      ),
+      React.createElement('div', { className: 'backup-actions' },
+        React.createElement('button', { className: 'button', onClick: handleTest, disabled: testing },
+          testing ? 'Probando…' : 'Probar conexión'),
+        React.createElement('button', { className: 'button', onClick: handleSave }, 'Guardar configuración'),
+        saved.config && React.createElement('button', { className: 'button danger', onClick: handleDisable }, 'Desactivar')
+      ),
+      testResult && React.createElement('p', null, testResult)
+    );
+  }
+
+  // Short description of a record for the import conflict list
+  function describeImportRecord(storeName, r) {
+    switch (storeName) {
+      case 'guardias': return r.usuario || r.nombre || '';
+      case 'directorios': return r.destino || '';
+      case 'lista_negra': return r.valor || '';
+      case 'visitantes': return r.nombre || '';
+      case 'vehiculos_registrados': return r.placa || '';
+      case 'bitacora': return `${r.fecha} ${r.hora} · ${String(r.nota || '').slice(0, 40)}`;
+      default: return `${(storeName === 'vehiculos' ? r.placa : r.nombre) || ''} · ${r.fecha} ${r.hora}`;
+    }
+  }
+
+  /**
+   * Preview of a merge import: what each store would get, the conflicts
+   * and how to resolve them.
+   */
+  function ImportPreview({ plan, info = {}, busy, onConfirm, onCancel }) {
+    const [conflictos, setConflictos] = useState('local');
+    const resumen = summarizeImport(plan);
+    const conflicts = [];
+    Object.keys(plan.stores).forEach(storeName => {
+      plan.stores[storeName].forEach(item => {
+        if (item.accion === 'conflicto') conflicts.push(Object.assign({ storeName }, item));
+      });
+    });
+    const cambios = resumen.reduce((sum, r) => sum + r.nuevo + r.actualizar + r.conflicto, 0);
+    const fecha = t => t ? new Date(t).toLocaleString() : 'sin fecha';
+    return React.createElement('div', { className: 'profile-panel' },
+      React.createElement('h4', null, 'Vista previa de la importación'),
+      info.exportado && React.createElement('p', null,
+        `Respaldo exportado el ${new Date(info.exportado).toLocaleString()}${info.app ? ` con la versión ${info.app} de la aplicación` : ''}.`),
+      React.createElement('div', { className: 'table-container' },
+        React.createElement('table', null,
+          React.createElement('thead', null,
+            React.createElement('tr', null,
+              ['Datos', 'Nuevos', 'Actualizados', 'Conflictos', 'Sin cambios'].map(h => React.createElement('th', { key: h }, h))
+            )
+          ),
+          React.createElement('tbody', null,
+            resumen.map(r =>
+              React.createElement('tr', { key: r.storeName },
+                React.createElement('td', null, IMPORT_LABELS[r.storeName]),
+                React.createElement('td', null, r.nuevo),
+                React.createElement('td', null, r.actualizar),
+                React.createElement('td', null, r.conflicto),
+                React.createElement('td', null, r.igual)
+              )
+            )
+          )
+        )
+      ),
+      conflicts.length > 0 && React.createElement(React.Fragment, null,
+        React.createElement('p', null, 'Estos registros también cambiaron en esta caseta después de la copia del respaldo:'),
+        React.createElement('ul', null,
+          conflicts.slice(0, 20).map((c, i) =>
+            React.createElement('li', { key: i },
+              `${IMPORT_LABELS[c.storeName]}: ${describeImportRecord(c.storeName, c.local)} (local: ${fecha(c.local.actualizado)}; respaldo: ${fecha(c.incoming.actualizado)})`
+            )
+          ),
+          conflicts.length > 20 && React.createElement('li', null, `y ${conflicts.length - 20} más`)
+        ),
+        ['local', 'importado'].map(value =>
+          React.createElement('label', { key: value, style: { display: 'block' } },
+            React.createElement('input', {
+              type: 'radio',
+              name: 'importConflictos',
+              checked: conflictos === value,
+              onChange: () => setConflictos(value)
+            }),
+            value === 'local' ? ' Conservar la versión de esta caseta' : ' Usar la versión del respaldo'
+          )
+        )
+      ),
+      cambios === 0 && React.createElement('p', null, 'El respaldo no contiene cambios para esta caseta.'),
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem', marginTop: '0.5rem' } },
+        React.createElement('button', { className: 'button', onClick: () => onConfirm({ conflictos }), disabled: busy || cambios === 0 }, busy ? 'Importando…' : 'Importar'),
+        React.createElement('button', { className: 'button', onClick: onCancel, disabled: busy }, 'Cancelar')
+      )
+    );
+  }
+
+  /**
+   * Automatic backups section of the administration panel: the schedule
+   * and the stored snapshots, each of which can be restored through the
+   * merge import or downloaded.
+   */
+  function AutoBackupsPanel({ db, turno, onRestore }) {
+    const [mode, setMode] = useState(getAutoBackupMode);
+    const [respaldos, setRespaldos] = useState([]);
+    const [busy, setBusy] = useState(false);
+    function refresh() {
+      listAutoBackups()
+        .then(setRespaldos)
+        .catch(err => console.error('No se pudieron cargar los respaldos automáticos', err));
+    }
+    useEffect(refresh, []);
+    function handleMode(e) {
+      setMode(e.target.value);
+      setAutoBackupMode(e.target.value);
+    }
+    async function handleBackupNow() {
+      setBusy(true);
+      try {
+        await saveAutoBackup(db, 'manual', turno);
+        refresh();
+      } catch (err) {
+        console.error('Error creando respaldo', err);
+        alert('No se pudo crear el respaldo: ' + err.message);
+      } finally {
+        setBusy(false);
+      }
+    }
+    async function handleRestore(r) {
+      try {
+        onRestore(await getAutoBackupText(r.id));
+      } catch (err) {
+        console.error('Error leyendo respaldo automático', err);
+        alert('No se pudo leer el respaldo: ' + err.message);
+      }
+    }
+    async function handleDownload(r) {
+      try {
+        await shareBackupFile(await getAutoBackupText(r.id), `respaldo_${r.fecha}_${r.id}.json`);
+      } catch (err) {
+        console.error('Error descargando respaldo automático', err);
+        alert('No se pudo descargar el respaldo: ' + err.message);
+      }
+    }
+    const registros = r => Object.keys(r.conteos || {}).filter(name => name !== 'fotos').reduce((sum, name) => sum + r.conteos[name], 0);
+    return React.createElement(React.Fragment, null,
+      React.createElement('h4', null, 'Respaldos automáticos'),
+      React.createElement('div', { className: 'backup-actions' },
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Frecuencia'),
+          React.createElement('select', { value: mode, onChange: handleMode },
+            AUTO_BACKUP_MODES.map(m => React.createElement('option', { key: m.value, value: m.value }, m.label))
+          )
+        ),
+        React.createElement('button', { className: 'button', onClick: handleBackupNow, disabled: busy || !db }, busy ? 'Respaldando…' : 'Respaldar ahora')
+      ),
+      React.createElement('p', null, `Se conservan en este dispositivo los ${AUTO_BACKUP_KEEP} respaldos más recientes de cada motivo. No incluyen las fotografías; use "Exportar datos" para una copia completa.`),
+      respaldos.length === 0
+        ? React.createElement('p', null, 'Todavía no hay respaldos automáticos.')
+        : React.createElement('div', { className: 'table-container' },
+          React.createElement('table', null,
+            React.createElement('thead', null,
+              React.createElement('tr', null,
+                ['Fecha', 'Motivo', 'Registros', 'Tamaño', ''].map((h, i) => React.createElement('th', { key: i }, h))
+              )
+            ),
+            React.createElement('tbody', null,
+              respaldos.map(r =>
+                React.createElement('tr', { key: r.id },
+                  React.createElement('td', null, new Date(r.creado).toLocaleString()),
+                  React.createElement('td', null, AUTO_BACKUP_MOTIVOS[r.motivo] + (r.turno ? ` (${r.turno})` : '')),
+                  React.createElement('td', null, registros(r)),
+                  React.createElement('td', null, formatBytes(r.tamano)),
+                  React.createElement('td', null,
+                    React.createElement('button', { className: 'button', onClick: () => handleRestore(r) }, 'Restaurar'),
+                    ' ',
+                    React.createElement('button', { className: 'button', onClick: () => handleDownload(r) }, 'Descargar')
+                  )
+                )
+              )
+            )
+          )
+        )
+    );
+  }
+
+  /**
+   * CSV import wizard: pick the kind of data and the file, map its
+   * columns, review the rows that do not validate or name unknown
+   * destinations, and merge the rest through the import preview.
+   */
+  function CsvImportView({ db, onImport, onClose }) {
+    const [tipo, setTipo] = useState('directorios');
+    const [rows, setRows] = useState([]);
+    const [encabezados, setEncabezados] = useState(true);
+    const [mapping, setMapping] = useState({});
+    const [omitirDestinos, setOmitirDestinos] = useState(false);
+    const [resultado, setResultado] = useState(null);
+    const [plan, setPlan] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const width = rows.reduce((max, r) => Math.max(max, r.length), 0);
+    const headers = encabezados && rows.length
+      ? Array.from({ length: width }, (_, i) => rows[0][i] || `Columna ${i + 1}`)
+      : Array.from({ length: width }, (_, i) => `Columna ${i + 1}`);
+    const dataRows = encabezados ? rows.slice(1) : rows;
+    const campos = CSV_IMPORT_TIPOS[tipo].campos;
+    const faltantes = campos.filter(c => c.requerido && !(mapping[c.key] >= 0));
+    // Any change to the file or the mapping invalidates the review
+    function reset(nextTipo, nextRows, nextEncabezados) {
+      setResultado(null);
+      setPlan(null);
+      setMapping(nextRows.length && nextEncabezados ? guessCsvMapping(nextTipo, nextRows[0]) : {});
+    }
+    function handleFile(event) {
+      const file = event.target.files && event.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = function () {
+        const parsed = parseCsv(reader.result);
+        if (!parsed.length) alert('El archivo no contiene filas');
+        setRows(parsed);
+        reset(tipo, parsed, encabezados);
+        event.target.value = '';
+      };
+      reader.onerror = function (err) {
+        console.error('Error leyendo archivo CSV', err);
+        alert('No se pudo leer el archivo: ' + err.message);
+        event.target.value = '';
+      };
+      reader.readAsText(file);
+    }
+    async function handleReview() {
+      setBusy(true);
+      setPlan(null);
+      try {
+        const destinos = new Set((await getAllDirectorios(db)).map(d => String(d.destino || '').trim().toLowerCase()));
+        const res = csvToImportData(tipo, dataRows, mapping, { destinos, primeraFila: encabezados ? 2 : 1, omitirDestinos });
+        setResultado(res);
+        if (res.filas) setPlan(await planImport(db, res.datos, { parcial: true }));
+      } catch (err) {
+        console.error('Error revisando CSV', err);
+        alert('No se pudo revisar el archivo: ' + err.message);
+      } finally {
+        setBusy(false);
+      }
+    }
+    async function handleConfirm(opciones) {
+      setBusy(true);
+      try {
+        if (await onImport(plan, opciones)) {
+          setRows([]);
+          reset(tipo, [], encabezados);
+        }
+      } finally {
+        setBusy(false);
+      }
+    }
+    const desconocidos = {};
+    (resultado ? resultado.destinosDesconocidos : []).forEach(({ destino }) => {
+      desconocidos[destino] = (desconocidos[destino] || 0) + 1;
+    });
+    return React.createElement(React.Fragment, null,
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem', flexWrap: 'wrap', alignItems: 'flex-end' } },
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Datos a importar'),
+          React.createElement('select', {
+            value: tipo,
+            onChange: e => {
+              setTipo(e.target.value);
+              reset(e.target.value, rows, encabezados);
+            }
+          },
+            Object.keys(CSV_IMPORT_TIPOS).map(key => React.createElement('option', { key, value: key }, CSV_IMPORT_TIPOS[key].label))
+          )
+        ),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Archivo CSV'),
+          React.createElement('input', { type: 'file', accept: '.csv,text/csv', onChange: handleFile })
+        )
+      ),
+      tipo === 'historial' && React.createElement('p', null, 'Acepta el CSV que exporta el historial de accesos.'),
+      rows.length > 0 && React.createElement(React.Fragment, null,
+        React.createElement('label', null,
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: encabezados,
+            onChange: e => {
+              setEncabezados(e.target.checked);
+              reset(tipo, rows, e.target.checked);
+            }
+          }),
+          ' La primera fila contiene los nombres de las columnas'
+        ),
+        React.createElement('p', null, `${dataRows.length} ${dataRows.length === 1 ? 'fila' : 'filas'} en el archivo.`),
+        React.createElement('div', { className: 'table-container' },
+          React.createElement('table', null,
+            React.createElement('thead', null,
+              React.createElement('tr', null,
+                ['Campo', 'Columna del archivo', 'Ejemplo'].map(h => React.createElement('th', { key: h }, h))
+              )
+            ),
+            React.createElement('tbody', null,
+              campos.map(campo => {
+                const column = mapping[campo.key] >= 0 ? mapping[campo.key] : -1;
+                return React.createElement('tr', { key: campo.key },
+                  React.createElement('td', null, campo.label + (campo.requerido ? ' *' : '')),
+                  React.createElement('td', null,
+                    React.createElement('select', {
+                      value: column,
+                      onChange: e => {
+                        setMapping(Object.assign({}, mapping, { [campo.key]: Number(e.target.value) }));
+                        setResultado(null);
+                        setPlan(null);
+                      }
+                    },
+                      React.createElement('option', { value: -1 }, '— Sin asignar —'),
+                      headers.map((h, i) => React.createElement('option', { key: i, value: i }, h))
+                    )
+                  ),
+                  React.createElement('td', null, column >= 0 && dataRows.length ? dataRows[0][column] || '' : '')
+                );
+              })
+            )
+          )
+        ),
+        tipo !== 'directorios' && React.createElement('label', null,
+          React.createElement('input', {
+            type: 'checkbox',
+            checked: omitirDestinos,
+            onChange: e => {
+              setOmitirDestinos(e.target.checked);
+              setResultado(null);
+              setPlan(null);
+            }
+          }),
+          ' Omitir las filas cuyo destino no está en el directorio'
+        ),
+        faltantes.length > 0 && React.createElement('p', null, `Asigne una columna a: ${faltantes.map(c => c.label).join(', ')}.`),
+        React.createElement('div', { style: { marginTop: '0.5rem' } },
+          React.createElement('button', { className: 'button', onClick: handleReview, disabled: busy || faltantes.length > 0 || !dataRows.length }, 'Revisar')
+        )
+      ),
+      resultado && React.createElement('div', { className: 'profile-panel' },
+        React.createElement('h4', null, 'Revisión del archivo'),
+        React.createElement('p', null, `${resultado.filas} ${resultado.filas === 1 ? 'fila válida' : 'filas válidas'} de ${dataRows.length}.`),
+        resultado.errores.length > 0 && React.createElement(React.Fragment, null,
+          React.createElement('p', null, 'Estas filas tienen errores y no se importarán:'),
+          React.createElement('ul', null,
+            resultado.errores.slice(0, 50).map(e => React.createElement('li', { key: e.fila }, `Fila ${e.fila}: ${e.mensaje}`)),
+            resultado.errores.length > 50 && React.createElement('li', null, `y ${resultado.errores.length - 50} filas más`)
+          )
+        ),
+        Object.keys(desconocidos).length > 0 && React.createElement(React.Fragment, null,
+          React.createElement('p', null, omitirDestinos
+            ? 'Se omitieron las filas con destinos que no están en el directorio:'
+            : 'Estos destinos no están en el directorio:'),
+          React.createElement('ul', null,
+            Object.keys(desconocidos).slice(0, 50).map(destino =>
+              React.createElement('li', { key: destino }, `${destino} (${desconocidos[destino]} ${desconocidos[destino] === 1 ? 'fila' : 'filas'})`)
+            )
+          )
+        )
+      ),
+      plan && React.createElement(ImportPreview, {
+        plan,
+        busy,
+        onConfirm: handleConfirm,
+        onCancel: () => setPlan(null)
+      }),
+      React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    );
+  }
+
+  // Validation errors of a backup file; nothing is imported while any
+  // record is invalid
+  function ImportErrors({ errores, onClose }) {
+    return React.createElement('div', { className: 'profile-panel' },
+      React.createElement('h4', null, 'El respaldo no se puede importar'),
+      React.createElement('ul', null,
+        errores.slice(0, 50).map((e, i) =>
+          React.createElement('li', { key: i },
+            e.store ? `${IMPORT_LABELS[e.store] || 'Fotografías'}${e.indice ? `, registro ${e.indice}` : ''}: ${e.mensaje}` : e.mensaje
+          )
+        ),
+        errores.length > 50 && React.createElement('li', null, `y ${errores.length - 50} errores más`)
+      ),
+      React.createElement('button', { className: 'button', onClick: onClose }, 'Cerrar')
+    );
+  }
+
   /**
    * Administration view. Only accessible to administrators. Provides simple
    * management of guards and displays basic statistics about entries.
    */
-  function AdminView({ db, saveDb, onClose, directorios = [], addDirectorioEntry, deleteDirectorioEntry, onExportDb, onImportDb }) {
+  function AdminView({ db, saveDb, onClose, guard, turno, directorios = [], addDirectorioEntry, deleteDirectorioEntry, onExportDb, onImportDb }) {
     const [guards, setGuards] = useState([]);
     const [nombre, setNombre] = useState('');
     const [usuario, setUsuario] = useState('');
     const [password, setPassword] = useState('');
     const [rol, setRol] = useState('Guardia');
     const [stats, setStats] = useState({ vehiculos: 0, peatones: 0 });
+    // Stay limit (minutes) used by the occupancy panel on the dashboard
+    const [limiteEstancia, setLimiteEstancia] = useState(String(getStayLimitMinutes()));
 
     // States for directory management
     const [destinoDir, setDestinoDir] = useState('');
@@ -1969,6 +7523,18 @@
     const [telefono2, setTelefono2] = useState('');
     const [telefono3, setTelefono3] = useState('');
     const [indicacionesDir, setIndicacionesDir] = useState('');
+    // Import waiting for confirmation (see planImport)
+    const [importPlan, setImportPlan] = useState(null);
+    const [importInfo, setImportInfo] = useState({});
+    const [importErrors, setImportErrors] = useState(null);
+    // Passphrase protection of exported and imported backups
+    const [cifrarExport, setCifrarExport] = useState(false);
+    const [exportPass, setExportPass] = useState('');
+    const [exportPass2, setExportPass2] = useState('');
+    const [encryptedImport, setEncryptedImport] = useState(null);
+    const [importPass, setImportPass] = useState('');
+    const [decrypting, setDecrypting] = useState(false);
+    const [importing, setImporting] = useState(false);
     // Load guards and stats from IndexedDB
     useEffect(() => {
       let cancelled = false;
@@ -1996,6 +7562,12 @@
         alert('Todos los campos son obligatorios');
         return;
       }
+      // Usernames identify guards on the login screen, so they must be unique
+      const lower = usuario.trim().toLowerCase();
+      if (guards.some(g => (g.usuario || '').trim().toLowerCase() === lower)) {
+        alert('Ya existe un guardia con ese usuario');
+        return;
+      }
       try {
         const insertedId = await addGuard(db, { nombre, usuario, password, rol });
         if (saveDb) saveDb();
@@ -2008,7 +7580,20 @@
         console.error(err);
       }
     }
+    function saveLimiteEstancia() {
+      const minutes = parseInt(limiteEstancia, 10);
+      if (isNaN(minutes) || minutes <= 0) {
+        alert('Ingrese un número de minutos mayor a cero');
+        return;
+      }
+      setStayLimitMinutes(minutes);
+      alert('Límite de estancia guardado');
+    }
     async function deleteGuardHandler(id) {
+      if (guard && guard.id === id) {
+        alert('No puede eliminar su propia cuenta mientras tiene la sesión abierta');
+        return;
+      }
       if (!confirm('¿Eliminar guardia?')) return;
       try {
         await deleteGuard(db, id);
@@ -2043,26 +7628,52 @@
         deleteDirectorioEntry(id);
       }
     }
-    // Handler for file input change when importing a backup. Reads the
-    // selected JSON file and passes the parsed data to the provided
-    // import callback. Prompts for confirmation before proceeding.
+    function handleExport() {
+      if (typeof onExportDb !== 'function') return;
+      if (!cifrarExport) {
+        onExportDb(null);
+        return;
+      }
+      if (exportPass.length < BACKUP_PASSPHRASE_MIN) {
+        alert(`La contraseña del respaldo debe tener al menos ${BACKUP_PASSPHRASE_MIN} caracteres`);
+        return;
+      }
+      if (exportPass !== exportPass2) {
+        alert('Las contraseñas no coinciden');
+        return;
+      }
+      onExportDb(exportPass);
+    }
+    // Validate the JSON text of a backup and plan the merge
+    async function previewBackup(text) {
+      const { datos, info, errores } = await readBackup(text);
+      if (errores.length) {
+        setImportErrors(errores);
+        return;
+      }
+      setImportInfo(info);
+      setImportPlan(await planImport(db, datos));
+    }
+    // Handler for file input change when importing a backup. Reads and
+    // validates the selected JSON file and plans the merge; nothing is
+    // written until the administrator confirms the preview. Encrypted
+    // backups first ask for their passphrase.
     function handleImportFile(event) {
       const file = event.target.files && event.target.files[0];
       if (!file) return;
       const reader = new FileReader();
-      reader.onload = function () {
+      reader.onload = async function () {
+        setImportPlan(null);
+        setImportErrors(null);
+        setEncryptedImport(null);
         try {
-          const json = reader.result;
-          const data = JSON.parse(json);
-          if (!data || typeof data !== 'object') {
-            alert('El archivo no contiene un JSON válido');
+          const envelope = parseEncryptedBackup(reader.result);
+          if (envelope) {
+            setImportPass('');
+            setEncryptedImport(envelope);
             return;
           }
-          if (confirm('Importar estos datos reemplazará la base de datos actual. ¿Continuar?')) {
-            if (typeof onImportDb === 'function') {
-              onImportDb(data);
-            }
-          }
+          await previewBackup(reader.result);
         } catch (err) {
           console.error('Error leyendo archivo de importación', err);
           alert('Error leyendo archivo: ' + err.message);
@@ -2078,6 +7689,42 @@
       };
       reader.readAsText(file);
     }
+    // Restore a stored automatic backup through the same preview
+    async function restoreBackup(text) {
+      setImportPlan(null);
+      setImportErrors(null);
+      setEncryptedImport(null);
+      try {
+        await previewBackup(text);
+      } catch (err) {
+        console.error('Error leyendo respaldo', err);
+        alert('Error leyendo respaldo: ' + err.message);
+      }
+    }
+    async function decryptImport(e) {
+      e.preventDefault();
+      setDecrypting(true);
+      try {
+        const text = await decryptBackup(encryptedImport, importPass);
+        setEncryptedImport(null);
+        setImportPass('');
+        await previewBackup(text);
+      } catch (err) {
+        console.error('Error descifrando respaldo', err);
+        alert(err.message);
+      } finally {
+        setDecrypting(false);
+      }
+    }
+    async function confirmImport(opciones) {
+      if (typeof onImportDb !== 'function') return;
+      setImporting(true);
+      try {
+        if (await onImportDb(importPlan, opciones)) setImportPlan(null);
+      } finally {
+        setImporting(false);
+      }
+    }
     return React.createElement(
       React.Fragment,
       null,
@@ -2085,6 +7732,20 @@
       React.createElement('p', null, `Entradas vehiculares: ${stats.vehiculos}`),
       React.createElement('p', null, `Entradas peatonales: ${stats.peatones}`),
       React.createElement('hr'),
+      React.createElement('h3', null, 'Límite de estancia'),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Minutos antes de alertar'),
+        React.createElement('input', {
+          type: 'number',
+          min: 1,
+          value: limiteEstancia,
+          onChange: e => setLimiteEstancia(e.target.value)
+        })
+      ),
+      React.createElement('button', { className: 'button', onClick: saveLimiteEstancia }, 'Guardar límite'),
+      React.createElement('hr'),
+      React.createElement(FirebaseSettings, { db }),
+      React.createElement('hr'),
       React.createElement('h3', null, 'Gestión de guardias'),
       React.createElement('div', { className: 'input-group' },
         React.createElement('label', null, 'Nombre'),
@@ -2231,13 +7892,37 @@
       // Backup and restore section
       React.createElement('hr', null),
       React.createElement('h3', null, 'Respaldo de base de datos'),
+      React.createElement('label', null,
+        React.createElement('input', {
+          type: 'checkbox',
+          checked: cifrarExport,
+          onChange: e => setCifrarExport(e.target.checked)
+        }),
+        ' Cifrar el respaldo con una contraseña'
+      ),
+      cifrarExport && React.createElement(React.Fragment, null,
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Contraseña del respaldo'),
+          React.createElement('input', {
+            type: 'password',
+            value: exportPass,
+            autoComplete: 'new-password',
+            onChange: e => setExportPass(e.target.value)
+          })
+        ),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Confirmar contraseña'),
+          React.createElement('input', {
+            type: 'password',
+            value: exportPass2,
+            autoComplete: 'new-password',
+            onChange: e => setExportPass2(e.target.value)
+          })
+        )
+      ),
+      cifrarExport && React.createElement('p', null, 'Sin esta contraseña no es posible restaurar el respaldo.'),
       React.createElement('div', { className: 'backup-actions' },
-        React.createElement('button', {
-          className: 'button',
-          onClick: () => {
-            if (typeof onExportDb === 'function') onExportDb();
-          }
-        }, 'Exportar datos'),
+        React.createElement('button', { className: 'button', onClick: handleExport }, 'Exportar datos'),
         React.createElement('input', {
           type: 'file',
           accept: 'application/json',
@@ -2245,6 +7930,34 @@
           title: 'Importar datos desde un archivo JSON'
         })
       ),
+      encryptedImport && React.createElement('form', { className: 'profile-panel', onSubmit: decryptImport },
+        React.createElement('h4', null, 'Respaldo cifrado'),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Contraseña del respaldo'),
+          React.createElement('input', {
+            type: 'password',
+            value: importPass,
+            autoComplete: 'off',
+            onChange: e => setImportPass(e.target.value)
+          })
+        ),
+        React.createElement('div', { style: { display: 'flex', gap: '0.5rem' } },
+          React.createElement('button', { className: 'button', type: 'submit', disabled: decrypting || !importPass }, decrypting ? 'Descifrando…' : 'Descifrar'),
+          React.createElement('button', { className: 'button', type: 'button', onClick: () => setEncryptedImport(null), disabled: decrypting }, 'Cancelar')
+        )
+      ),
+      importErrors && React.createElement(ImportErrors, {
+        errores: importErrors,
+        onClose: () => setImportErrors(null)
+      }),
+      importPlan && React.createElement(ImportPreview, {
+        plan: importPlan,
+        info: importInfo,
+        busy: importing,
+        onConfirm: confirmImport,
+        onCancel: () => setImportPlan(null)
+      }),
+      React.createElement(AutoBackupsPanel, { db, turno, onRestore: restoreBackup }),
       React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
         React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
       )
@@ -2381,6 +8094,433 @@
     );
   }
 
+  /**
+   * Watchlist management view. Administrators add, edit and remove
+   * blocked plates, names, identification numbers and unique codes,
+   * each with a reason and an optional expiry date. Registration forms
+   * check this list on every keystroke.
+   */
+  function ListaNegraView({ db, guard, onClose }) {
+    const [entries, setEntries] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [tipo, setTipo] = useState('placa');
+    const [valor, setValor] = useState('');
+    const [razon, setRazon] = useState('');
+    const [expira, setExpira] = useState('');
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      getAllListaNegra(db)
+        .then(list => {
+          if (!cancelled) setEntries(list);
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+      };
+    }, [db]);
+    function resetForm() {
+      setEditingId(null);
+      setTipo('placa');
+      setValor('');
+      setRazon('');
+      setExpira('');
+    }
+    function startEdit(entry) {
+      setEditingId(entry.id);
+      setTipo(entry.tipo);
+      setValor(entry.valor);
+      setRazon(entry.razon || '');
+      setExpira(entry.expira || '');
+    }
+    async function saveEntry() {
+      if (!valor.trim() || !razon.trim()) {
+        alert('El valor y el motivo son obligatorios');
+        return;
+      }
+      try {
+        if (editingId != null) {
+          const existing = entries.find(e => e.id === editingId) || {};
+          const updated = Object.assign({}, existing, { tipo, valor: valor.trim(), razon: razon.trim(), expira });
+          await updateListaNegra(db, updated);
+          const list = await getAllListaNegra(db);
+          setEntries(list);
+        } else {
+          const record = {
+            tipo,
+            valor: valor.trim(),
+            razon: razon.trim(),
+            expira,
+            fechaAlta: localToday(),
+            creadoPor: guard ? guard.nombre : ''
+          };
+          await addListaNegra(db, record);
+          const list = await getAllListaNegra(db);
+          setEntries(list);
+        }
+        resetForm();
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo guardar la entrada de la lista negra');
+      }
+    }
+    async function removeEntry(id) {
+      if (!confirm('¿Eliminar esta entrada de la lista negra?')) return;
+      try {
+        await deleteListaNegra(db, id);
+        setEntries(entries.filter(e => e.id !== id));
+        if (editingId === id) resetForm();
+      } catch (err) {
+        console.error(err);
+      }
+    }
+    const today = localToday();
+    return React.createElement(
+      React.Fragment,
+      null,
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Tipo'),
+        React.createElement('select', { value: tipo, onChange: e => setTipo(e.target.value) },
+          LISTA_NEGRA_TIPOS.map(t => React.createElement('option', { key: t.value, value: t.value }, t.label))
+        )
+      ),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Valor'),
+        React.createElement('input', {
+          type: 'text',
+          value: valor,
+          onChange: e => setValor(e.target.value),
+          placeholder: 'ABC1234, nombre completo, INE o código'
+        })
+      ),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Motivo'),
+        React.createElement('input', {
+          type: 'text',
+          value: razon,
+          onChange: e => setRazon(e.target.value),
+          placeholder: 'Razón del bloqueo'
+        })
+      ),
+      React.createElement('div', { className: 'input-group' },
+        React.createElement('label', null, 'Vigente hasta (opcional)'),
+        React.createElement('input', {
+          type: 'date',
+          value: expira,
+          onChange: e => setExpira(e.target.value)
+        })
+      ),
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem' } },
+        React.createElement('button', { className: 'button', onClick: saveEntry }, editingId != null ? 'Guardar cambios' : 'Agregar a lista negra'),
+        editingId != null && React.createElement('button', { className: 'button', onClick: resetForm }, 'Cancelar edición')
+      ),
+      React.createElement('div', { className: 'table-container', style: { marginTop: '1rem' } },
+        React.createElement('table', null,
+          React.createElement('thead', null,
+            React.createElement('tr', null,
+              React.createElement('th', null, 'Tipo'),
+              React.createElement('th', null, 'Valor'),
+              React.createElement('th', null, 'Motivo'),
+              React.createElement('th', null, 'Vigente hasta'),
+              React.createElement('th', null, 'Estado'),
+              React.createElement('th', null, '')
+            )
+          ),
+          React.createElement('tbody', null,
+            entries.map(entry => {
+              const tipoDef = LISTA_NEGRA_TIPOS.find(t => t.value === entry.tipo);
+              return React.createElement('tr', { key: entry.id },
+                React.createElement('td', null, tipoDef ? tipoDef.label : entry.tipo),
+                React.createElement('td', null, entry.valor),
+                React.createElement('td', null, entry.razon),
+                React.createElement('td', null, entry.expira || 'Sin vencimiento'),
+                React.createElement('td', null, isWatchEntryActive(entry, today) ? 'Activo' : 'Vencido'),
+                React.createElement('td', null,
+                  React.createElement('div', { style: { display: 'flex', gap: '0.25rem' } },
+                    React.createElement('button', { className: 'button', onClick: () => startEdit(entry) }, 'Editar'),
+                    React.createElement('button', { className: 'button danger', onClick: () => removeEntry(entry.id) }, 'Eliminar')
+                  )
+                )
+              );
+            })
+          )
+        )
+      ),
+      React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    );
+  }
+
+  // Editable text fields of each kind of profile, in form order
+  const PROFILE_FORM_FIELDS = {
+    vehiculos: [
+      { key: 'placa', label: 'Placa' },
+      { key: 'nombre', label: 'Conductor' },
+      { key: 'modelo', label: 'Modelo vehicular' },
+      { key: 'destino', label: 'Destino' },
+      { key: 'motivo', label: 'Motivo' }
+    ],
+    peatones: [
+      { key: 'nombre', label: 'Nombre' },
+      { key: 'codigoUnico', label: 'Código único' },
+      { key: 'id_opcional', label: 'Identificación' },
+      { key: 'destino', label: 'Destino' },
+      { key: 'motivo', label: 'Motivo' }
+    ]
+  };
+
+  /**
+   * Visitor profile management. Administrators look up vehicles and
+   * pedestrians, correct their data and classification without
+   * registering a visit, and merge two profiles of the same visitor
+   * (e.g. a name typed two different ways) into one.
+   */
+  function PerfilesView({ db, onClose }) {
+    const [tipo, setTipo] = useState('vehiculos');
+    const [profiles, setProfiles] = useState([]);
+    const [busqueda, setBusqueda] = useState('');
+    const [editing, setEditing] = useState(null);
+    const [visitas, setVisitas] = useState(null);
+    const [selected, setSelected] = useState([]);
+    const [conservar, setConservar] = useState(null);
+    const [merging, setMerging] = useState(false);
+    const profileStore = PROFILE_STORES[tipo];
+    async function reload() {
+      const list = await getAllProfiles(db, profileStore);
+      list.sort((a, b) => (b.ultimaVisita || 0) - (a.ultimaVisita || 0));
+      setProfiles(list);
+    }
+    useEffect(() => {
+      let cancelled = false;
+      if (!db) return;
+      setEditing(null);
+      setSelected([]);
+      getAllProfiles(db, profileStore)
+        .then(list => {
+          list.sort((a, b) => (b.ultimaVisita || 0) - (a.ultimaVisita || 0));
+          if (!cancelled) setProfiles(list);
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+      };
+    }, [db, profileStore]);
+    // Visits pointing at the profile being edited
+    useEffect(() => {
+      let cancelled = false;
+      setVisitas(null);
+      if (!db || !editing) return;
+      countProfileRecords(db, tipo, editing.uid)
+        .then(count => {
+          if (!cancelled) setVisitas(count);
+        })
+        .catch(err => console.error(err));
+      return () => {
+        cancelled = true;
+      };
+    }, [db, tipo, editing && editing.uid]);
+    const term = tipo === 'vehiculos' ? normalizePlaca(busqueda) : foldName(busqueda);
+    const visible = profiles.filter(p => {
+      if (!term) return true;
+      if (tipo === 'vehiculos') return (p.placaNorm || '').includes(term) || foldName(p.nombre).includes(foldName(busqueda));
+      return (p.nombreNorm || '').includes(term) || String(p.codigoUnico || '').includes(busqueda.trim());
+    });
+    function setField(key, value) {
+      setEditing(Object.assign({}, editing, { [key]: value }));
+    }
+    function toggleSelected(id) {
+      if (selected.includes(id)) {
+        setSelected(selected.filter(s => s !== id));
+      } else {
+        // Two profiles are merged at a time; a third click replaces the oldest pick
+        setSelected(selected.concat(id).slice(-2));
+      }
+      setConservar(null);
+    }
+    async function saveEditing() {
+      const required = tipo === 'vehiculos' ? editing.placa : editing.nombre;
+      if (!String(required || '').trim()) {
+        alert(tipo === 'vehiculos' ? 'La placa es obligatoria' : 'El nombre es obligatorio');
+        return;
+      }
+      if (editing.registroTipo === 'boletinado' && !String(editing.razonBloqueo || '').trim()) {
+        alert('Debe indicar la razón de bloqueo');
+        return;
+      }
+      try {
+        const updated = Object.assign({}, editing);
+        if (updated.registroTipo !== 'boletinado') updated.razonBloqueo = '';
+        await saveProfile(db, profileStore, withProfileKeys(tipo, updated));
+        await reload();
+        setEditing(null);
+      } catch (err) {
+        console.error(err);
+        alert('No se pudo guardar el perfil');
+      }
+    }
+    async function mergeSelected() {
+      const [keep, drop] = conservar === selected[1]
+        ? [selected[1], selected[0]].map(id => profiles.find(p => p.id === id))
+        : selected.map(id => profiles.find(p => p.id === id));
+      if (!keep || !drop) return;
+      if (!confirm('Las visitas del perfil descartado pasarán al perfil conservado y se eliminará. ¿Continuar?')) return;
+      setMerging(true);
+      try {
+        await mergeProfiles(db, tipo, keep, drop);
+        setSelected([]);
+        setConservar(null);
+        if (editing && (editing.id === drop.id || editing.id === keep.id)) setEditing(null);
+        await reload();
+      } catch (err) {
+        console.error(err);
+        alert('No se pudieron fusionar los perfiles');
+      } finally {
+        setMerging(false);
+      }
+    }
+    function profileTitle(p) {
+      return tipo === 'vehiculos' ? `${p.placa || ''} · ${p.nombre || ''}` : `${p.nombre || ''}${p.codigoUnico ? ' (' + p.codigoUnico + ')' : ''}`;
+    }
+    const mergeCandidates = selected.map(id => profiles.find(p => p.id === id)).filter(Boolean);
+    return React.createElement(
+      React.Fragment,
+      null,
+      React.createElement('div', { style: { display: 'flex', gap: '0.5rem', flexWrap: 'wrap' } },
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Tipo'),
+          React.createElement('select', { value: tipo, onChange: e => setTipo(e.target.value) },
+            React.createElement('option', { value: 'vehiculos' }, 'Vehículos'),
+            React.createElement('option', { value: 'peatones' }, 'Peatones')
+          )
+        ),
+        React.createElement('div', { className: 'input-group', style: { flex: 1 } },
+          React.createElement('label', null, 'Buscar'),
+          React.createElement('input', {
+            type: 'text',
+            value: busqueda,
+            onChange: e => setBusqueda(e.target.value),
+            placeholder: tipo === 'vehiculos' ? 'Placa o conductor' : 'Nombre o código'
+          })
+        )
+      ),
+      editing && React.createElement('div', { className: 'profile-panel' },
+        React.createElement('h3', null, editing.id != null ? 'Editar perfil' : 'Perfil'),
+        visitas != null && React.createElement('p', null, `Visitas registradas: ${visitas}`),
+        PROFILE_FORM_FIELDS[tipo].map(field =>
+          React.createElement('div', { className: 'input-group', key: field.key },
+            React.createElement('label', null, field.label),
+            React.createElement('input', {
+              type: 'text',
+              value: editing[field.key] || '',
+              onChange: e => setField(field.key, e.target.value)
+            })
+          )
+        ),
+        tipo === 'vehiculos' && React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Color'),
+          React.createElement('input', {
+            type: 'color',
+            value: editing.color || '#2F855A',
+            onChange: e => setField('color', e.target.value)
+          })
+        ),
+        React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Clasificación'),
+          React.createElement('select', {
+            value: normalizeRegistroTipo(editing.registroTipo),
+            onChange: e => setField('registroTipo', e.target.value)
+          },
+            React.createElement('option', { value: '' }, 'Seleccione'),
+            React.createElement('option', { value: 'llamar siempre' }, 'Llamar siempre📞'),
+            React.createElement('option', { value: 'pase directo' }, 'Pase directo✅'),
+            React.createElement('option', { value: 'boletinado' }, 'Boletinado❌')
+          )
+        ),
+        editing.registroTipo === 'boletinado' && React.createElement('div', { className: 'input-group' },
+          React.createElement('label', null, 'Razón de bloqueo'),
+          React.createElement('input', {
+            type: 'text',
+            value: editing.razonBloqueo || '',
+            onChange: e => setField('razonBloqueo', e.target.value)
+          })
+        ),
+        React.createElement('div', { style: { display: 'flex', gap: '0.5rem', flexWrap: 'wrap', marginBottom: '0.5rem' } },
+          PROFILE_FIELDS[tipo].filter(field => FOTO_FIELDS.includes(field) && editing[field]).map(field =>
+            React.createElement('div', { key: field, style: { textAlign: 'center' } },
+              React.createElement(FotoPreview, { db, foto: editing[field], alt: FOTO_LABELS[field], style: { maxWidth: '120px' } }),
+              React.createElement('div', null, FOTO_LABELS[field]),
+              React.createElement('button', { className: 'button danger', onClick: () => setField(field, '') }, 'Quitar')
+            )
+          )
+        ),
+        React.createElement('div', { style: { display: 'flex', gap: '0.5rem' } },
+          React.createElement('button', { className: 'button', onClick: saveEditing }, 'Guardar cambios'),
+          React.createElement('button', { className: 'button', onClick: () => setEditing(null) }, 'Cancelar edición')
+        )
+      ),
+      mergeCandidates.length === 2 && React.createElement('div', { className: 'profile-panel' },
+        React.createElement('h3', null, 'Fusionar perfiles'),
+        React.createElement('p', null, '¿Qué perfil se conserva?'),
+        mergeCandidates.map(p =>
+          React.createElement('label', { key: p.id, style: { display: 'block' } },
+            React.createElement('input', {
+              type: 'radio',
+              name: 'perfilConservar',
+              checked: (conservar == null ? selected[0] : conservar) === p.id,
+              onChange: () => setConservar(p.id)
+            }),
+            ' ' + profileTitle(p)
+          )
+        ),
+        React.createElement('button', { className: 'button', onClick: mergeSelected, disabled: merging }, merging ? 'Fusionando…' : 'Fusionar perfiles')
+      ),
+      React.createElement('div', { className: 'table-container' },
+        React.createElement('table', null,
+          React.createElement('thead', null,
+            React.createElement('tr', null,
+              React.createElement('th', null, ''),
+              tipo === 'vehiculos' && React.createElement('th', null, 'Placa'),
+              React.createElement('th', null, tipo === 'vehiculos' ? 'Conductor' : 'Nombre'),
+              tipo === 'vehiculos'
+                ? React.createElement('th', null, 'Modelo')
+                : React.createElement('th', null, 'Código'),
+              React.createElement('th', null, 'Tipo'),
+              React.createElement('th', null, 'Última visita'),
+              React.createElement('th', null, '')
+            )
+          ),
+          React.createElement('tbody', null,
+            visible.map(p =>
+              React.createElement('tr', { key: p.id },
+                React.createElement('td', null,
+                  React.createElement('input', {
+                    type: 'checkbox',
+                    checked: selected.includes(p.id),
+                    onChange: () => toggleSelected(p.id),
+                    title: 'Seleccionar para fusionar'
+                  })
+                ),
+                tipo === 'vehiculos' && React.createElement('td', null, p.placa),
+                React.createElement('td', null, p.nombre),
+                React.createElement('td', null, tipo === 'vehiculos' ? p.modelo : p.codigoUnico),
+                React.createElement('td', null, registroTipoLabel(p.registroTipo)),
+                React.createElement('td', null, p.ultimaVisita ? new Date(p.ultimaVisita).toLocaleString() : ''),
+                React.createElement('td', null,
+                  React.createElement('button', { className: 'button', onClick: () => setEditing(Object.assign({}, p)) }, 'Editar')
+                )
+              )
+            )
+          )
+        )
+      ),
+      visible.length === 0 && React.createElement('p', null, 'No hay perfiles que coincidan.'),
+      React.createElement('div', { style: { marginTop: '1rem', textAlign: 'right' } },
+        React.createElement('button', { className: 'button danger', onClick: onClose }, 'Cerrar')
+      )
+    );
+  }
+
   /**
    * Main application component. Handles initialisation of SQL.js and the
    * database, stores global state such as the current view and user
@@ -2392,6 +8532,8 @@
     const [directorios, setDirectorios] = useState([]);
     const [role, setRole] = useState('');
     const [turno, setTurno] = useState('');
+    // Guard currently on shift ({ id, nombre, usuario, rol }), set on login
+    const [guard, setGuard] = useState(null);
     const [view, setView] = useState('loading');
 
     // Initialisation: open IndexedDB and load initial data
@@ -2399,6 +8541,12 @@
       let cancelled = false;
       async function init() {
         let dbInstance = null;
+        try {
+          await connectFirestoreFromSettings();
+        } catch (err) {
+          console.warn('No se pudo inicializar Firebase', err);
+          updateSyncStatus({ ultimoError: err.message });
+        }
         try {
           // Attempt to open (or upgrade) the IndexedDB. This may throw
           // if the existing database is incompatible.
@@ -2461,6 +8609,35 @@
         cancelled = true;
       };
     }, []);
+    // Push queued Firestore changes and pull other booths' changes in
+    // the background while the app runs, restarting when the Firebase
+    // settings change
+    const firestoreConnection = useFirestoreConnection();
+    useEffect(() => {
+      if (!db) return;
+      const stopPush = startOutboxSync(db);
+      const stopPull = startRemotePull(db);
+      const stopListening = onRemoteChange(storeName => {
+        if (storeName !== 'directorios') return;
+        getAllDirectorios(db).then(setDirectorios).catch(err => console.error(err));
+      });
+      return () => {
+        stopPush();
+        stopPull();
+        stopListening();
+      };
+    }, [db, firestoreConnection]);
+    // Take the automatic backup when it is due: at start-up, when the
+    // shift changes and periodically while the app stays open
+    useEffect(() => {
+      if (!db) return;
+      function runBackup() {
+        runScheduledBackup(db, turno).catch(err => console.error('Error en el respaldo automático', err));
+      }
+      runBackup();
+      const timer = setInterval(runBackup, AUTO_BACKUP_CHECK_MS);
+      return () => clearInterval(timer);
+    }, [db, turno]);
     // saveDb remains for compatibility but IndexedDB writes are immediate
     function saveDb() {
       // No-op: IndexedDB persists automatically. Retained for API compatibility.
@@ -2566,57 +8743,22 @@
 
     /**
      * Export the entire database and trigger a download of the JSON
-     * representation. If the database is not available, an alert is
-     * shown. Errors are logged and also surfaced via an alert.
+     * representation, encrypted when a passphrase is given. If the
+     * database is not available, an alert is shown. Errors are logged
+     * and also surfaced via an alert.
+     *
+     * @param {string|null} passphrase Passphrase to encrypt the backup with.
      */
-    async function exportDbHandler() {
+    async function exportDbHandler(passphrase) {
       if (!db) {
         alert('Base de datos no inicializada');
         return;
       }
       try {
         const data = await exportDatabase(db);
-        const json = JSON.stringify(data, null, 2);
-        const blob = new Blob([json], { type: 'application/json' });
-        const filename = 'respaldo_db.json';
-        // Attempt to share the file using the Web Share API on
-        // supported platforms (e.g. iOS Safari, Android Chrome). If
-        // share is not available or fails, fall back to download via
-        // anchor tag. Finally, for iOS where downloads via anchors may
-        // be blocked, open the data in a new tab.
-        let downloadDone = false;
-        try {
-          if (navigator.share && typeof File === 'function') {
-            const file = new File([blob], filename, { type: 'application/json' });
-            await navigator.share({ files: [file], title: 'Respaldo de base de datos', text: 'Respaldo generado por la aplicación' });
-            downloadDone = true;
-          }
-        } catch (errShare) {
-          // Ignore share errors and fall back
-        }
-        if (!downloadDone) {
-          try {
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-            downloadDone = true;
-          } catch (errLink) {
-            // ignore and fall back
-          }
-        }
-        // On iOS/Safari, anchor downloads may silently fail. In that
-        // case open the JSON as a data URL in a new tab so the user
-        // can copy/save the contents manually.
-        const isiOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-        if (!downloadDone && isiOS) {
-          const dataUrl = 'data:application/json;charset=utf-8,' + encodeURIComponent(json);
-          window.open(dataUrl, '_blank');
-        }
+        let json = JSON.stringify(data, null, 2);
+        if (passphrase) json = JSON.stringify(await encryptBackup(json, passphrase), null, 2);
+        await shareBackupFile(json, passphrase ? 'respaldo_db_cifrado.json' : 'respaldo_db.json');
       } catch (err) {
         console.error('Error exportando base', err);
         alert('Error exportando base de datos: ' + err.message);
@@ -2624,20 +8766,22 @@
     }
 
     /**
-     * Import the database from the provided data object. After
+     * Merge a previewed backup into the database (see applyImport). After
      * completion, reload the in-memory directory state so that the UI
      * reflects the imported data. Any errors are logged and surfaced
      * via an alert.
      *
-     * @param {Object} data The parsed JSON from the backup file.
+     * @param {Object} plan     The plan returned by planImport().
+     * @param {Object} opciones How to resolve conflicts.
+     * @returns {Promise<boolean>} Whether the import was written.
      */
-    async function importDbHandler(data) {
+    async function importDbHandler(plan, opciones) {
       if (!db) {
         alert('Base de datos no inicializada');
-        return;
+        return false;
       }
       try {
-        await importDatabase(db, data);
+        const { insertados, actualizados } = await applyImport(db, plan, opciones);
         if (saveDb) saveDb();
         // Refresh directorios state after import
         try {
@@ -2646,10 +8790,12 @@
         } catch (_) {
           // ignore refresh errors
         }
-        alert('Importación completada. Los cambios se verán reflejados al recargar la página.');
+        alert(`Importación completada: ${insertados} registros nuevos y ${actualizados} actualizados. Los cambios se verán reflejados al recargar la página.`);
+        return true;
       } catch (err) {
         console.error('Error importando base', err);
-        alert('Error importando base de datos: ' + err.message);
+        alert('Error importando base de datos; no se guardó ningún cambio: ' + err.message);
+        return false;
       }
     }
     // Render according to current view
@@ -2658,8 +8804,10 @@
     }
     if (view === 'login') {
       return React.createElement(Login, {
-        onSubmit: (selectedRole, selectedTurno) => {
-          setRole(selectedRole);
+        db,
+        onSubmit: (loggedGuard, selectedTurno) => {
+          setGuard(loggedGuard);
+          setRole(loggedGuard.rol);
           setTurno(selectedTurno);
           setView('dashboard');
         }
@@ -2667,9 +8815,17 @@
     }
     if (view === 'dashboard') {
       return React.createElement(Dashboard, {
+        db,
         role,
+        guard,
         turno,
-        onNavigate: (target) => setView(target)
+        onNavigate: (target) => setView(target),
+        onLogout: () => {
+          setGuard(null);
+          setRole('');
+          setTurno('');
+          setView('login');
+        }
       });
     }
     // For each modal view, wrap the form inside ModalWrapper
@@ -2683,7 +8839,9 @@
           saveDb,
           onClose: () => setView('dashboard'),
           onAddModel: addCustomModel,
-          directorios
+          directorios,
+          guard,
+          turno
         })
       });
     }
@@ -2695,7 +8853,9 @@
           db,
           saveDb,
           onClose: () => setView('dashboard'),
-          directorios
+          directorios,
+          guard,
+          turno
         })
       });
     }
@@ -2706,14 +8866,28 @@
         children: React.createElement(HistoryView, { db, onClose: () => setView('dashboard') })
       });
     }
+    if (view === 'search') {
+      return React.createElement(ModalWrapper, {
+        title: 'Búsqueda',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(SearchView, { db, onClose: () => setView('dashboard') })
+      });
+    }
+    if (view === 'turno') {
+      return React.createElement(ModalWrapper, {
+        title: 'Reporte de turno',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(ShiftReportView, { db, guard, turno, onClose: () => setView('dashboard') })
+      });
+    }
     if (view === 'bitacora') {
       return React.createElement(ModalWrapper, {
         title: 'Bitácora de incidencias',
         onClose: () => setView('dashboard'),
-        children: React.createElement(BitacoraView, { db, turno, saveDb, onClose: () => setView('dashboard') })
+        children: React.createElement(BitacoraView, { db, turno, guard, saveDb, onClose: () => setView('dashboard') })
       });
     }
-    if (view === 'admin') {
+    if (view === 'admin' && role === 'Administrador') {
       return React.createElement(ModalWrapper, {
         title: 'Panel de administración',
         onClose: () => setView('dashboard'),
@@ -2721,6 +8895,8 @@
           db,
           saveDb,
           onClose: () => setView('dashboard'),
+          guard,
+          turno,
           directorios,
           addDirectorioEntry,
           deleteDirectorioEntry,
@@ -2729,7 +8905,35 @@
         })
       });
     }
-    if (view === 'directorio') {
+    if (view === 'listaNegra' && role === 'Administrador') {
+      return React.createElement(ModalWrapper, {
+        title: 'Lista negra',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(ListaNegraView, { db, guard, onClose: () => setView('dashboard') })
+      });
+    }
+    if (view === 'reportes' && role === 'Administrador') {
+      return React.createElement(ModalWrapper, {
+        title: 'Reportes',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(ReportsView, { db, onClose: () => setView('dashboard') })
+      });
+    }
+    if (view === 'importarCsv' && role === 'Administrador') {
+      return React.createElement(ModalWrapper, {
+        title: 'Importar datos desde CSV',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(CsvImportView, { db, onImport: importDbHandler, onClose: () => setView('dashboard') })
+      });
+    }
+    if (view === 'perfiles' && role === 'Administrador') {
+      return React.createElement(ModalWrapper, {
+        title: 'Perfiles de visitantes',
+        onClose: () => setView('dashboard'),
+        children: React.createElement(PerfilesView, { db, onClose: () => setView('dashboard') })
+      });
+    }
+    if (view === 'directorio' && role === 'Administrador') {
       return React.createElement(ModalWrapper, {
         title: 'Directorio de destinos',
         onClose: () => setView('dashboard'),
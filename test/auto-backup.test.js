@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+app.useOffsetZone();
+test.after(app.shutdown);
+
+test('automatic snapshots leave photos out and are kept per motivo', async () => {
+  await app.startApp();
+  await app.addRecord('fotos', { id: 'foto-prueba', tipo: 'image/png', creado: 1, blob: new app.w.Blob(['foto'], { type: 'image/png' }) });
+  await app.addRecord('vehiculos', { placa: 'FOT-1', nombre: 'Visitante', destino: 'Casa 1', fecha: '2026-10-01', hora: '08:00:00', accion: 'entrada', fotoVehiculo: 'foto-prueba' });
+  // Login takes the daily snapshot
+  await app.waitFor(async () => (await app.readStore('respaldos', 'access_control_backups')).length === 1);
+
+  app.click(app.card('Administración'));
+  const respaldar = await app.waitFor(() => app.btn('Respaldar ahora'));
+  for (let i = 1; i <= 15; i++) {
+    app.click(respaldar);
+    await app.waitFor(async () => !respaldar.disabled && (await app.readStore('respaldos', 'access_control_backups')).some(r => r.motivo === 'manual' && r.id > i));
+  }
+  const respaldos = await app.readStore('respaldos', 'access_control_backups');
+  assert.strictEqual(respaldos.filter(r => r.motivo === 'manual').length, 14);
+  assert.deepStrictEqual(respaldos.filter(r => r.motivo === 'diario').map(r => r.id), [1]);
+  // Dated by the booth's day, which is not the UTC one in this zone
+  assert.strictEqual(respaldos[0].fecha, app.localDate(respaldos[0].creado));
+
+  const contenidos = await app.readStore('contenidos', 'access_control_backups');
+  const backup = JSON.parse(contenidos[contenidos.length - 1].texto);
+  assert.deepStrictEqual(backup.datos.fotos, []);
+  assert.strictEqual(backup.datos.vehiculos.find(v => v.placa === 'FOT-1').fotoVehiculo, 'foto-prueba');
+
+  // Restoring the snapshot still validates and changes nothing
+  app.click(await app.waitFor(() => app.btn('Restaurar')));
+  const preview = await app.waitFor(() => app.$$('.profile-panel').find(p => /Vista previa de la importación/.test(p.textContent)));
+  assert.match(preview.textContent, /El respaldo no contiene cambios/, preview.textContent);
+});
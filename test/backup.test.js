@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+// Export from the administration panel and return the file's text
+async function exportBackup() {
+  let shared = null;
+  app.w.navigator.share = async ({ files }) => {
+    shared = files[0];
+  };
+  app.click(app.btn('Exportar datos'));
+  await app.waitFor(() => shared);
+  return app.readBlob(shared);
+}
+
+test('a freshly exported backup passes validation, denied accesses included', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'EXP-1' });
+  await app.registerVehicle({ placa: 'EXP-1', accion: 'Registrar salida' });
+  await app.addRecord('vehiculos', { placa: 'NEG-1', nombre: 'Negado', destino: 'Casa 1', fecha: '2026-10-01', hora: '08:00:00', accion: 'denegado' });
+  await app.addRecord('peatones', { nombre: 'Legado', destino: 'Casa 1', fecha: '2026-09-01', hora: '09:30:00', accion: 'negado' });
+  await app.addRecord('bitacora', { fecha: '2026-10-01', hora: '10:00:00', nota: 'Ronda sin novedades' });
+  app.click(app.card('Administración'));
+  await app.waitFor(() => app.btn('Exportar datos'));
+
+  const backup = JSON.parse(await exportBackup());
+  assert.strictEqual(backup.conteos.vehiculos, 3);
+
+  app.chooseFile(app.$('input[type=file]'), JSON.stringify(backup), 'respaldo_db.json');
+  const panel = await app.waitFor(() => app.$('.profile-panel'));
+  assert.match(panel.textContent, /Vista previa de la importación/, panel.textContent);
+  assert.match(panel.textContent, /El respaldo no contiene cambios/);
+});
+
+test('a modified backup is rejected with its errors', async () => {
+  const backup = JSON.parse(await exportBackup());
+  backup.datos.vehiculos[0].fecha = 'ayer';
+  app.click(app.btn('Cancelar'));
+  app.chooseFile(app.$('input[type=file]'), JSON.stringify(backup), 'respaldo_db.json');
+  const panel = await app.waitFor(() => app.$$('.profile-panel').find(p => /no se puede importar/.test(p.textContent)));
+  assert.match(panel.textContent, /suma de verificación/);
+  assert.match(panel.textContent, /Accesos vehiculares, registro 1: fecha debe ser una fecha/);
+});
+
+test('imported accesses point at the local profile matched by plate', async () => {
+  const backup = JSON.parse(await exportBackup());
+  // The same plate was registered with another profile uid elsewhere
+  const perfil = backup.datos.vehiculos_registrados.find(p => p.placa === 'EXP-1');
+  const localUid = perfil.uid;
+  perfil.uid = 'perfil-otra-caseta';
+  backup.datos.vehiculos = [{ id: 900, uid: 'acceso-otra-caseta', placa: 'EXP-1', nombre: 'Visitante', destino: 'Casa 1', fecha: '2026-10-03', hora: '07:00:00', accion: 'entrada', vehiculoUid: 'perfil-otra-caseta' }];
+  backup.conteos.vehiculos = 1;
+  backup.checksum = crypto.createHash('sha256').update(JSON.stringify(backup.datos)).digest('hex');
+  app.chooseFile(app.$('input[type=file]'), JSON.stringify(backup), 'respaldo_db.json');
+  await app.waitFor(() => app.btn('Importar'));
+  app.click(app.btn('Importar'));
+  await app.waitFor(() => app.w.alerts.some(a => a.startsWith('Importación completada')));
+  const imported = (await app.readStore('vehiculos')).find(v => v.uid === 'acceso-otra-caseta');
+  assert.strictEqual(imported.vehiculoUid, localUid);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+test('an exported history imports back without changes', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'CSV-1' });
+  await app.registerVehicle({ placa: 'CSV-1', accion: 'Registrar salida' });
+  await app.registerVehicle({ placa: 'CSV-2' });
+  // A visit closed by the next shift's guard
+  await app.addRecord('vehiculos', { id: 500, placa: 'CSV-3', nombre: 'Nocturno', destino: 'Casa 1', motivo: 'Entrega', fecha: '2026-10-01', hora: '23:00:00', accion: 'entrada', guardiaNombre: 'Ana Admin', turno: 'Nocturno', salidaId: 501, salidaFecha: '2026-10-02', salidaHora: '07:30:00' });
+  await app.addRecord('vehiculos', { id: 501, placa: 'CSV-3', nombre: 'Nocturno', destino: 'Casa 1', fecha: '2026-10-02', hora: '07:30:00', accion: 'salida', guardiaNombre: 'Beto Matutino', turno: 'Matutino', entradaId: 500 });
+
+  let exported = null;
+  const createObjectURL = app.w.URL.createObjectURL;
+  app.w.URL.createObjectURL = blob => {
+    exported = blob;
+    return createObjectURL(blob);
+  };
+  app.click(app.card('Historial de accesos'));
+  await app.waitFor(() => /3 visitas|4 visitas/.test(app.text()));
+  app.click(app.btn('Exportar CSV'));
+  const csv = await app.readBlob(await app.waitFor(() => exported));
+  app.w.URL.createObjectURL = createObjectURL;
+  app.click(app.btn('Cerrar'));
+
+  app.click(await app.waitFor(() => app.card('Importar CSV')));
+  await app.waitFor(() => app.inputByLabel('Datos a importar'));
+  app.setVal(app.inputByLabel('Datos a importar'), 'historial');
+  app.chooseFile(app.$('input[type=file]'), csv, 'historial.csv');
+  const revisar = await app.waitFor(() => app.btn('Revisar'));
+  await app.waitFor(() => !revisar.disabled);
+  app.click(revisar);
+  const preview = await app.waitFor(() => app.$$('.profile-panel').find(p => /Vista previa de la importación/.test(p.textContent)));
+  assert.match(preview.textContent, /El respaldo no contiene cambios/, preview.textContent);
+});
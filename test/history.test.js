@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+// Plates shown in the history table once the filters settle, in order
+async function platesInOrder() {
+  await app.sleep(400);
+  await app.waitFor(() => !app.text().includes('Cargando'));
+  const plates = ['ABC-123', 'ABD-77', 'XYZ-9'];
+  return app.$$('tbody tr')
+    .map(tr => plates.find(placa => tr.textContent.includes(placa)))
+    .filter(Boolean);
+}
+async function shownPlates() {
+  return (await platesInOrder()).sort();
+}
+function header(label) {
+  return app.$$('th').find(th => th.textContent.replace(/ [▲▼]$/, '') === label);
+}
+
+test('plate and destination filters match a prefix regardless of case', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'ABC-123', destino: 'Casa Azul' });
+  await app.registerVehicle({ placa: 'ABD-77', destino: 'casa verde' });
+  await app.registerVehicle({ placa: 'XYZ-9', destino: 'Oficina' });
+  app.click(app.card('Historial de accesos'));
+  await app.waitFor(() => app.$('input[placeholder="Placa"]'));
+  assert.deepStrictEqual(await shownPlates(), ['ABC-123', 'ABD-77', 'XYZ-9']);
+
+  app.setVal(app.$('input[placeholder="Placa"]'), 'ab');
+  assert.deepStrictEqual(await shownPlates(), ['ABC-123', 'ABD-77']);
+  app.setVal(app.$('input[placeholder="Placa"]'), 'abc 1');
+  assert.deepStrictEqual(await shownPlates(), ['ABC-123']);
+
+  app.setVal(app.$('input[placeholder="Placa"]'), '');
+  app.setVal(app.$('input[placeholder="Destino"]'), 'CASA');
+  assert.deepStrictEqual(await shownPlates(), ['ABC-123', 'ABD-77']);
+});
+
+test('the history is sorted by the clicked column', async () => {
+  app.setVal(app.$('input[placeholder="Destino"]'), '');
+  assert.deepStrictEqual(await platesInOrder(), ['XYZ-9', 'ABD-77', 'ABC-123']);
+  app.click(header('Placa'));
+  assert.deepStrictEqual(await platesInOrder(), ['ABC-123', 'ABD-77', 'XYZ-9']);
+  app.click(header('Placa'));
+  assert.deepStrictEqual(await platesInOrder(), ['XYZ-9', 'ABD-77', 'ABC-123']);
+  app.click(header('Fecha'));
+  assert.deepStrictEqual(await platesInOrder(), ['ABC-123', 'ABD-77', 'XYZ-9']);
+  assert.strictEqual(header('Fecha').textContent, 'Fecha ▲');
+});
+
+test('an unlinked exit is paired with its entry on the normalised plate', async () => {
+  // Registered before visits were linked, with the plate typed differently
+  await app.addRecord('vehiculos', { placa: 'LNK-1', placaNorm: 'LNK1', nombre: 'Visitante', destino: 'Casa 1', fecha: '2026-10-01', hora: '08:00:00', accion: 'entrada' });
+  await app.addRecord('vehiculos', { placa: 'lnk 1', placaNorm: 'LNK1', nombre: 'Visitante', destino: 'Casa 1', fecha: '2026-10-01', hora: '09:15:00', accion: 'salida' });
+  app.click(app.btn('Cerrar'));
+  app.click(await app.waitFor(() => app.card('Historial de accesos')));
+  await app.waitFor(() => app.$('input[placeholder="Placa"]'));
+  app.setVal(app.$('input[placeholder="Placa"]'), 'lnk');
+  await app.sleep(400);
+  const rows = await app.waitFor(() => {
+    const found = app.$$('tbody tr').filter(tr => /LNK-1|lnk 1/.test(tr.textContent));
+    return found.length > 0 && found;
+  });
+  assert.strictEqual(rows.length, 1, rows.map(tr => tr.textContent).join('\n'));
+  assert.match(rows[0].textContent, /08:00:00/);
+  assert.match(rows[0].textContent, /09:15:00/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+test('a guard with a plaintext password can log in and gets it hashed', async () => {
+  await app.startApp();
+  // As received from a booth that still stores plaintext passwords
+  await app.addRecord('guardias', { uid: 'g-legado', nombre: 'Luis Legado', usuario: 'luis', password: 'clave1', rol: 'Guardia' });
+  app.click(app.btn('Cerrar sesión'));
+  await app.waitFor(() => app.btn('Ingresar'));
+
+  app.setVal(app.inputByLabel('Usuario'), 'luis');
+  app.setVal(app.inputByLabel('Contraseña'), 'otra');
+  app.click(app.btn('Ingresar'));
+  await app.sleep(300);
+  assert.ok(!app.card('Registrar vehículo'));
+
+  app.setVal(app.inputByLabel('Contraseña'), 'clave1');
+  app.click(app.btn('Ingresar'));
+  await app.waitFor(() => app.card('Registrar vehículo'));
+  const guard = await app.waitFor(async () => {
+    const found = (await app.readStore('guardias')).find(g => g.usuario === 'luis');
+    return found.passwordHash && found;
+  });
+  assert.strictEqual(guard.password, undefined);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+const PHOTO = 'data:image/png;base64,' + Buffer.from('foto original').toString('base64');
+const BROKEN = 'data:image/png;base64,%%%';
+
+// A version 8 database, from before the fotos store, with inline photos
+function seedInlinePhotos(w) {
+  return new Promise((resolve, reject) => {
+    const request = w.indexedDB.open('access_control_db', 8);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      ['vehiculos', 'peatones', 'bitacora', 'guardias', 'directorios', 'lista_negra', 'pendientes_sync'].forEach(name => {
+        const store = db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+        if (name !== 'pendientes_sync') store.createIndex('uid', 'uid');
+        if (name === 'peatones') store.createIndex('codigoUnico', 'codigoUnico');
+        if (name === 'lista_negra') store.createIndex('clave', ['tipo', 'clave']);
+        if (name === 'directorios') store.createIndex('destino', 'destino');
+        if (name === 'vehiculos') {
+          store.createIndex('placa', 'placa');
+          store.createIndex('fecha', 'fecha');
+        }
+      });
+      const vehiculos = request.transaction.objectStore('vehiculos');
+      vehiculos.add({ uid: 'v1', placa: 'OLD-1', nombre: 'Viejo', destino: 'Casa 1', accion: 'entrada', fecha: '2026-10-01', hora: '08:00:00', fotoVehiculo: BROKEN });
+      vehiculos.add({ uid: 'v2', placa: 'OLD-2', nombre: 'Viejo', destino: 'Casa 1', accion: 'entrada', fecha: '2026-10-01', hora: '09:00:00', fotoVehiculo: PHOTO });
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+test('inline photos are moved to the fotos store without queuing the records', async () => {
+  await app.startApp(seedInlinePhotos);
+  const [broken, converted] = await app.waitFor(async () => {
+    const vehiculos = await app.readStore('vehiculos');
+    return vehiculos.length === 2 && !vehiculos[1].fotoVehiculo.startsWith('data:') && vehiculos;
+  });
+  await app.sleep(200);
+  const fotos = await app.readStore('fotos');
+  assert.deepStrictEqual(fotos.map(f => f.id), [converted.fotoVehiculo]);
+  assert.strictEqual(converted.actualizado, undefined);
+  // The upgrade's other rewrites are kept
+  assert.strictEqual(converted.uid, 'v2');
+  assert.strictEqual(converted.placaNorm, 'OLD2');
+  assert.strictEqual(converted.destinoNorm, 'casa 1');
+  assert.strictEqual(broken.fotoVehiculo, BROKEN);
+  const pendientes = await app.readStore('pendientes_sync');
+  assert.ok(!pendientes.some(p => p.storeName === 'vehiculos'));
+  // The photo that failed is retried on the next start
+  assert.strictEqual(app.w.localStorage.getItem('fotos_migradas'), null);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+test('an exit closes the open entry of the same plate', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'REG-1' });
+  await app.registerVehicle({ placa: 'REG-2' });
+  await app.registerVehicle({ placa: 'reg 1', accion: 'Registrar salida' });
+  const vehiculos = await app.readStore('vehiculos');
+  const entrada = vehiculos.find(v => v.placa === 'REG-1');
+  const salida = vehiculos.find(v => v.accion === 'salida');
+  assert.strictEqual(salida.entradaId, entrada.id);
+  assert.strictEqual(entrada.salidaId, salida.id);
+  assert.strictEqual(vehiculos.find(v => v.placa === 'REG-2').salidaId, undefined);
+  const [perfil] = (await app.readStore('vehiculos_registrados')).filter(p => p.placaNorm === 'REG1');
+  assert.strictEqual(salida.vehiculoUid, perfil.uid);
+
+  // The exit, the closed entry and the profile are all queued
+  const pendientes = await app.readStore('pendientes_sync');
+  assert.ok(pendientes.some(p => p.op === 'insert' && p.recordId === salida.id));
+  assert.ok(pendientes.some(p => p.op === 'update' && p.recordId === entrada.id && p.record.salidaId === salida.id));
+  assert.ok(pendientes.some(p => p.storeName === 'vehiculos_registrados' && p.record.uid === perfil.uid));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+app.useOffsetZone();
+test.after(app.shutdown);
+
+// Click the "Exportar CSV" button of a report section and return the file's rows
+async function exportSection(titulo) {
+  let exported = null;
+  const createObjectURL = app.w.URL.createObjectURL;
+  app.w.URL.createObjectURL = blob => {
+    exported = blob;
+    return createObjectURL(blob);
+  };
+  const section = app.$$('.report-section').find(s => s.querySelector('h3').textContent === titulo);
+  app.click(section.querySelector('button'));
+  const csv = await app.readBlob(await app.waitFor(() => exported));
+  app.w.URL.createObjectURL = createObjectURL;
+  return csv.split('\n').map(line => line.split(',').map(cell => cell.replace(/^"|"$/g, '')));
+}
+
+test('reports place accesses on the local day, weekday and hour', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'REP-1' });
+  const [vehiculo] = await app.readStore('vehiculos');
+  const time = new Date(vehiculo.timestamp);
+  const today = app.localDate(time);
+
+  app.click(app.card('Reportes'));
+  await app.waitFor(() => app.$$('.report-section').length > 0);
+  assert.strictEqual(app.inputByLabel('Hasta').value, today);
+
+  const porDia = await exportSection('Entradas por día');
+  assert.deepStrictEqual(porDia.find(row => row[0] === today), [today, '1', '0', '0']);
+
+  const horas = await exportSection('Entradas por hora del día');
+  const dia = ['Dom', 'Lun', 'Mar', 'Mié', 'Jue', 'Vie', 'Sáb'][time.getDay()];
+  const row = horas.find(r => r[0] === dia);
+  assert.strictEqual(row[1 + time.getHours()], '1', horas.map(r => r.join(',')).join('\n'));
+});
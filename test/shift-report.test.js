@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+app.useOffsetZone();
+test.after(app.shutdown);
+
+function exit(placa, fecha, hora, turno) {
+  return app.addRecord('vehiculos', { placa, nombre: 'Visitante', destino: 'Casa 1', accion: 'salida', fecha, hora, turno });
+}
+
+test('the night shift report covers its own night only', async () => {
+  await app.startApp();
+  await exit('NOC-PREV', '2026-10-01', '05:00:00', 'Nocturno');
+  await exit('NOC-A', '2026-10-01', '22:00:00', 'Nocturno');
+  await exit('NOC-B', '2026-10-02', '03:00:00', 'Nocturno');
+  await exit('NOC-NEXT', '2026-10-02', '22:00:00', 'Nocturno');
+  await exit('MAT-1', '2026-10-01', '08:00:00', 'Matutino');
+  await exit('MAT-2', '2026-10-02', '08:00:00', 'Matutino');
+  app.click(app.card('Reporte de turno'));
+  await app.waitFor(() => app.inputByLabel('Turno'));
+  app.setVal(app.inputByLabel('Fecha'), '2026-10-01');
+  app.setVal(app.inputByLabel('Turno'), 'Nocturno');
+  const preview = () => app.$('.shift-report-preview');
+  await app.sleep(200);
+  let shown = (await app.waitFor(preview)).textContent;
+  assert.ok(shown.includes('NOC-A') && shown.includes('NOC-B'));
+  assert.ok(!shown.includes('NOC-PREV') && !shown.includes('NOC-NEXT') && !shown.includes('MAT-'));
+
+  app.setVal(app.inputByLabel('Turno'), 'Matutino');
+  await app.sleep(200);
+  shown = (await app.waitFor(preview)).textContent;
+  assert.ok(shown.includes('MAT-1'));
+  assert.ok(!shown.includes('MAT-2') && !shown.includes('NOC-'));
+});
+
+test('registered accesses fall in the shift of their local day', async () => {
+  app.click(app.btn('Cerrar'));
+  await app.registerVehicle({ placa: 'LOC-MAT' });
+  app.click(app.btn('Cerrar sesión'));
+  await app.waitFor(() => app.btn('Ingresar'));
+  app.setVal(app.inputByLabel('Usuario'), 'ana');
+  app.setVal(app.inputByLabel('Contraseña'), 'secreta');
+  app.setVal(app.inputByLabel('Turno'), 'Nocturno');
+  app.click(app.btn('Ingresar'));
+  await app.waitFor(() => app.card('Registrar vehículo'));
+  await app.registerVehicle({ placa: 'LOC-NOC' });
+  const noche = (await app.readStore('vehiculos')).find(v => v.placa === 'LOC-NOC');
+  const today = app.localDate(noche.timestamp);
+  // Before noon the night shift is the one that started yesterday
+  const inicioNoche = new Date(noche.timestamp).getHours() >= 12 ? today : app.localDate(noche.timestamp - 86400000);
+
+  app.click(app.card('Reporte de turno'));
+  await app.waitFor(() => app.inputByLabel('Turno'));
+  assert.strictEqual(app.inputByLabel('Fecha').value, today);
+  // The accesses table only; both visitors are still inside
+  const accesos = () => {
+    const report = app.$('.shift-report-preview');
+    return report && report.querySelector('table').textContent;
+  };
+  app.setVal(app.inputByLabel('Turno'), 'Matutino');
+  await app.sleep(200);
+  let shown = await app.waitFor(accesos);
+  assert.ok(shown.includes('LOC-MAT') && !shown.includes('LOC-NOC'), shown);
+
+  app.setVal(app.inputByLabel('Fecha'), inicioNoche);
+  app.setVal(app.inputByLabel('Turno'), 'Nocturno');
+  await app.sleep(200);
+  shown = await app.waitFor(accesos);
+  assert.ok(shown.includes('LOC-NOC') && !shown.includes('LOC-MAT'), shown);
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+test('plate suggestions are the five most recent matching profiles', async () => {
+  await app.startApp();
+  for (const n of [3, 8, 1, 6, 4, 7, 2, 5]) {
+    await app.addRecord('vehiculos_registrados', { uid: `perfil-${n}`, placa: `SUG-${n}`, placaNorm: `SUG${n}`, nombre: `Visitante ${n}`, ultimaVisita: n * 1000 });
+  }
+  await app.addRecord('vehiculos_registrados', { uid: 'perfil-otro', placa: 'OTR-9', placaNorm: 'OTR9', nombre: 'Otro', ultimaVisita: 9000 });
+  app.click(app.card('Registrar vehículo'));
+  await app.waitFor(() => app.inputByLabel('Placa'));
+  await app.sleep(150);
+  app.setVal(app.inputByLabel('Placa'), 'sug');
+  const options = await app.waitFor(() => {
+    const list = app.$$('#placasList option').map(o => o.value);
+    return list.length > 0 && list;
+  });
+  assert.deepStrictEqual(options, ['SUG-8', 'SUG-7', 'SUG-6', 'SUG-5', 'SUG-4']);
+});
@@ -0,0 +1,240 @@
+// Loads app.js into a jsdom window backed by fake-indexeddb, so tests
+// can drive the UI the way a guard would. Every test file runs in its
+// own process and therefore gets a fresh database.
+const fs = require('fs');
+const path = require('path');
+const { webcrypto } = require('crypto');
+const { JSDOM } = require('jsdom');
+const { indexedDB, IDBKeyRange } = require('fake-indexeddb');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+const dom = new JSDOM('<!DOCTYPE html><div id="root"></div>', {
+  runScripts: 'outside-only',
+  url: 'http://localhost/',
+  pretendToBeVisual: true
+});
+const w = dom.window;
+global.window = w;
+global.document = w.document;
+global.navigator = w.navigator;
+global.HTMLElement = w.HTMLElement;
+
+w.React = require('react');
+w.ReactDOM = require('react-dom');
+w.indexedDB = indexedDB;
+w.IDBKeyRange = IDBKeyRange;
+w.TextEncoder = TextEncoder;
+w.TextDecoder = TextDecoder;
+w.console = console;
+w.alerts = [];
+w.alert = message => {
+  w.alerts.push(String(message));
+};
+w.confirm = () => true;
+w.fetch = async file => ({ json: async () => JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8')) });
+
+// WebCrypto from Node, taking typed arrays created inside the window
+const toBuffer = data => (data && data.byteLength !== undefined
+  ? Buffer.from(new Uint8Array(data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data))
+  : data);
+const withBuffers = alg => (alg && typeof alg === 'object'
+  ? Object.fromEntries(Object.entries(alg).map(([k, v]) => [k, k === 'salt' || k === 'iv' ? toBuffer(v) : v]))
+  : alg);
+const subtle = {
+  digest: (alg, data) => webcrypto.subtle.digest(alg, toBuffer(data)),
+  importKey: (format, data, alg, extractable, usages) => webcrypto.subtle.importKey(format, toBuffer(data), alg, extractable, usages),
+  deriveBits: (alg, key, length) => webcrypto.subtle.deriveBits(withBuffers(alg), key, length),
+  deriveKey: (alg, key, derived, extractable, usages) => webcrypto.subtle.deriveKey(withBuffers(alg), key, derived, extractable, usages),
+  encrypt: (alg, key, data) => webcrypto.subtle.encrypt(withBuffers(alg), key, toBuffer(data)),
+  decrypt: (alg, key, data) => webcrypto.subtle.decrypt(withBuffers(alg), key, toBuffer(data))
+};
+Object.defineProperty(w, 'crypto', {
+  value: { subtle, getRandomValues: a => webcrypto.getRandomValues(a), randomUUID: () => webcrypto.randomUUID() },
+  configurable: true
+});
+
+// fake-indexeddb clones with Node's structuredClone, which drops jsdom Blobs
+const nodeClone = global.structuredClone;
+global.structuredClone = function keepBlobs(value) {
+  if (value instanceof w.Blob) return value;
+  if (Array.isArray(value)) return value.map(keepBlobs);
+  if (value && Object.prototype.toString.call(value) === '[object Object]') {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = keepBlobs(value[key]);
+    });
+    return copy;
+  }
+  return nodeClone(value);
+};
+// jsdom's FileReader only reads its own Blobs
+['readAsDataURL', 'readAsArrayBuffer', 'readAsText'].forEach(method => {
+  const original = w.FileReader.prototype[method];
+  w.FileReader.prototype[method] = function (blob) {
+    if (blob instanceof w.Blob) return original.call(this, blob);
+    blob.arrayBuffer().then(buf => original.call(this, new w.Blob([new Uint8Array(buf)], { type: blob.type })));
+  };
+});
+// No image decoding or canvas in jsdom
+let objectUrls = 0;
+w.URL.createObjectURL = () => 'blob:test/' + (++objectUrls);
+w.URL.revokeObjectURL = () => {};
+w.Image = class {
+  set src(value) {
+    this._src = value;
+    this.naturalWidth = 1600;
+    this.naturalHeight = 1200;
+    setTimeout(() => this.onload && this.onload(), 0);
+  }
+  get src() {
+    return this._src;
+  }
+};
+w.HTMLCanvasElement.prototype.getContext = () => ({ drawImage() {} });
+w.HTMLCanvasElement.prototype.toBlob = function (callback, type) {
+  callback(new w.Blob([`jpeg ${this.width}x${this.height}`], { type }));
+};
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const $ = selector => w.document.querySelector(selector);
+const $$ = selector => Array.from(w.document.querySelectorAll(selector));
+const text = () => w.document.getElementById('root').textContent;
+
+async function waitFor(check, timeout = 5000) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeout) throw new Error('Tiempo de espera agotado');
+    await sleep(50);
+  }
+}
+function setVal(el, value) {
+  const proto = el.tagName === 'SELECT' ? w.HTMLSelectElement.prototype
+    : el.tagName === 'TEXTAREA' ? w.HTMLTextAreaElement.prototype
+      : w.HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, 'value').set.call(el, value);
+  el.dispatchEvent(new w.Event('input', { bubbles: true }));
+  el.dispatchEvent(new w.Event('change', { bubbles: true }));
+}
+function click(el) {
+  el.dispatchEvent(new w.MouseEvent('click', { bubbles: true }));
+}
+function btn(label) {
+  return $$('button').find(b => b.textContent.trim() === label);
+}
+function card(title) {
+  return $$('.card').find(c => c.textContent.includes(title));
+}
+function inputByLabel(label) {
+  const group = $$('.input-group').find(g => g.querySelector('label') && g.querySelector('label').textContent.trim() === label);
+  return group && group.querySelector('input,select,textarea');
+}
+// Select a file on an <input type=file>
+function chooseFile(input, contents, name = 'archivo') {
+  Object.defineProperty(input, 'files', { value: [new w.File([contents], name)], configurable: true });
+  input.dispatchEvent(new w.Event('change', { bubbles: true }));
+}
+function readBlob(blob) {
+  return new Promise(resolve => {
+    const reader = new w.FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+// All records of a store of access_control_db, or of another database
+function readStore(storeName, dbName = 'access_control_db') {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName);
+    request.onsuccess = () => {
+      const db = request.result;
+      const req = db.transaction(storeName).objectStore(storeName).getAll();
+      req.onsuccess = () => {
+        db.close();
+        resolve(req.result);
+      };
+      req.onerror = () => reject(req.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Write a record straight into a store of access_control_db
+function addRecord(storeName, record) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open('access_control_db');
+    request.onsuccess = () => {
+      const db = request.result;
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).add(record);
+      tx.oncomplete = () => {
+        db.close();
+        resolve();
+      };
+      tx.onerror = () => reject(tx.error);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Evaluate app.js and log in as the administrator, creating it on the
+ * first run. `before` runs first, e.g. to seed an older database.
+ */
+async function startApp(before) {
+  if (before) await before(w);
+  w.eval(fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'));
+  await waitFor(() => inputByLabel('Usuario'));
+  if (text().includes('administrador inicial')) {
+    setVal(inputByLabel('Nombre'), 'Ana Admin');
+    setVal(inputByLabel('Usuario'), 'ana');
+    setVal(inputByLabel('Contraseña'), 'secreta');
+    click(btn('Crear administrador e ingresar'));
+  } else {
+    setVal(inputByLabel('Usuario'), 'ana');
+    setVal(inputByLabel('Contraseña'), 'secreta');
+    click(btn('Ingresar'));
+  }
+  await waitFor(() => card('Registrar vehículo'));
+}
+
+// Register a vehicle entry or exit from the dashboard
+async function registerVehicle({ placa, nombre = 'Visitante', destino = 'Casa 1', accion = 'Registrar entrada' }) {
+  click(card('Registrar vehículo'));
+  await waitFor(() => inputByLabel('Placa'));
+  await sleep(150);
+  setVal(inputByLabel('Placa'), placa);
+  await sleep(150);
+  setVal(inputByLabel('Nombre completo'), nombre);
+  setVal(inputByLabel('Destino'), destino);
+  await sleep(50);
+  click(btn(accion));
+  await waitFor(() => card('Registrar vehículo'));
+}
+
+/**
+ * Move the process to a time zone whose date differs from the UTC date
+ * right now, so that mixing local and UTC dates shows up in a test.
+ * Call it before startApp().
+ */
+function useOffsetZone() {
+  process.env.TZ = new Date().getUTCHours() < 11 ? 'Etc/GMT+12' : 'Etc/GMT-14';
+}
+
+// The local date of a time as YYYY-MM-DD
+function localDate(time) {
+  const d = new Date(time);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function shutdown() {
+  w.close();
+  setImmediate(() => process.exit(process.exitCode || 0));
+}
+
+module.exports = {
+  w, sleep, $, $$, text, waitFor, setVal, click, btn, card, inputByLabel,
+  chooseFile, readBlob, readStore, addRecord, startApp, registerVehicle, useOffsetZone, localDate, shutdown
+};
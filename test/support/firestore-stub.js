@@ -0,0 +1,71 @@
+// In-memory stand-in for the subset of the Firestore v8 API the
+// replication layer uses: collections, documents, where/orderBy
+// queries and snapshot listeners. `data` exposes the documents by
+// collection for assertions.
+module.exports = function createFirestoreStub() {
+  const data = {};
+  const listeners = [];
+  let autoId = 0;
+  function notify(name) {
+    listeners.filter(l => l.name === name).forEach(l => setTimeout(l.run, 0));
+  }
+  function collection(name) {
+    const docs = data[name] = data[name] || new Map();
+    function doc(id) {
+      return {
+        id,
+        async get() {
+          return { id, exists: docs.has(id), data: () => docs.get(id) };
+        },
+        async set(value, options) {
+          docs.set(id, options && options.merge ? Object.assign({}, docs.get(id), value) : value);
+          notify(name);
+        },
+        async delete() {
+          docs.delete(id);
+          notify(name);
+        }
+      };
+    }
+    function snapshot(filter) {
+      const matches = [...docs.entries()]
+        .filter(([, value]) => filter(value))
+        .map(([id, value]) => ({ id, ref: doc(id), exists: true, data: () => value }));
+      return {
+        docs: matches,
+        size: matches.length,
+        empty: matches.length === 0,
+        forEach: fn => matches.forEach(fn),
+        docChanges: () => matches.map(d => ({ type: 'added', doc: d }))
+      };
+    }
+    function query(filter) {
+      return {
+        where: (field, op, value) => query(v => filter(v) && (
+          op === '==' ? v[field] === value
+            : op === '>' ? v[field] > value
+              : op === '>=' ? v[field] >= value
+                : true)),
+        orderBy: () => query(filter),
+        limit: () => query(filter),
+        get: async () => snapshot(filter),
+        onSnapshot(callback) {
+          const listener = { name, run: () => callback(snapshot(filter)) };
+          listeners.push(listener);
+          setTimeout(listener.run, 0);
+          return () => listeners.splice(listeners.indexOf(listener), 1);
+        }
+      };
+    }
+    return Object.assign(query(() => true), {
+      doc: id => doc(id || 'auto' + (++autoId)),
+      async add(value) {
+        const id = 'auto' + (++autoId);
+        docs.set(id, value);
+        notify(name);
+        return doc(id);
+      }
+    });
+  }
+  return { collection, data };
+};
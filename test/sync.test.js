@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+const createFirestoreStub = require('./support/firestore-stub');
+
+test.after(app.shutdown);
+
+test('changes made before Firestore is connected are queued and pushed later', async () => {
+  await app.startApp();
+  await app.registerVehicle({ placa: 'SYN-1' });
+  const [vehiculo] = (await app.readStore('vehiculos')).filter(v => v.placa === 'SYN-1');
+  const pendientes = await app.readStore('pendientes_sync');
+  assert.ok(pendientes.some(p => p.storeName === 'vehiculos' && p.recordId === vehiculo.id));
+
+  const firestore = createFirestoreStub();
+  app.w.firestore = firestore;
+  app.w.dispatchEvent(new app.w.Event('online'));
+  const doc = await app.waitFor(() => firestore.data.vehiculos && firestore.data.vehiculos.get(vehiculo.uid));
+  assert.strictEqual(doc.placa, 'SYN-1');
+  await app.waitFor(async () => (await app.readStore('pendientes_sync')).length === 0);
+});
+
+test('a queued change without a uid leaves documents with the same local key alone', async () => {
+  const firestore = app.w.firestore;
+  // A document another booth pushed before documents carried `origen`
+  await firestore.collection('vehiculos').doc('otra-caseta').set({ placa: 'AJENO', indexedDbId: 999, actualizado: 1, subido: 1 });
+  await app.addRecord('pendientes_sync', { storeName: 'vehiculos', op: 'update', recordId: 999, record: { placa: 'PROPIO', actualizado: 2 }, creado: 2, intentos: 0, siguienteIntento: 0, ultimoError: '' });
+  app.w.dispatchEvent(new app.w.Event('online'));
+  await app.waitFor(async () => (await app.readStore('pendientes_sync')).length === 0);
+  assert.strictEqual(firestore.data.vehiculos.get('otra-caseta').placa, 'AJENO');
+});
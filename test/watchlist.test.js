@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const app = require('./support/app');
+
+test.after(app.shutdown);
+
+test('a watchlisted plate submitted before the banner appears is refused', async () => {
+  await app.startApp();
+  await app.addRecord('lista_negra', { tipo: 'placa', valor: 'BLK-1', clave: 'BLK1', razon: 'Robo', expira: '' });
+  app.click(app.card('Registrar vehículo'));
+  await app.waitFor(() => app.inputByLabel('Placa'));
+  await app.sleep(150);
+  // Submit right after typing, before the watchlist hook has resolved
+  app.setVal(app.inputByLabel('Placa'), 'blk-1');
+  app.setVal(app.inputByLabel('Nombre completo'), 'Visitante');
+  app.setVal(app.inputByLabel('Destino'), 'Casa 1');
+  app.click(app.btn('Registrar entrada'));
+  await app.waitFor(() => app.w.alerts.length > 0);
+  assert.match(app.w.alerts[0], /lista negra/);
+  const vehiculos = await app.readStore('vehiculos');
+  assert.strictEqual(vehiculos.filter(v => v.placa === 'blk-1').length, 0);
+});